@@ -0,0 +1,240 @@
+// ============================================================================
+// CONNEXION POSTGRESQL (POOL PARTAGÉ ET REQUÊTES COURANTES)
+// Fichier : /var/www/libekoo/backend/config/database.js
+// ============================================================================
+
+const { Pool } = require('pg');
+const logger = require('./logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const DATABASE_CONFIG = {
+  // Base créée par scripts/setup-database.sh
+  HOST: process.env.DB_HOST || '127.0.0.1',
+  PORT: parseInt(process.env.DB_PORT, 10) || 5432,
+  NAME: process.env.DB_NAME || 'libekoo_db',
+  USER: process.env.DB_USER || 'libekoo_user',
+  PASSWORD: process.env.DB_PASSWORD,
+  
+  // Taille du pool et délais (en millisecondes)
+  POOL_MAX: parseInt(process.env.DB_POOL_MAX, 10) || 20,
+  IDLE_TIMEOUT_MS: 30000,
+  CONNECTION_TIMEOUT_MS: 5000,
+  
+  // Requêtes plus lentes journalisées en avertissement (en millisecondes)
+  SLOW_QUERY_MS: 1000
+};
+
+// ============================================================================
+// POOL
+// ============================================================================
+
+// Aucune connexion n'est ouverte avant la première requête
+const pool = new Pool({
+  host: DATABASE_CONFIG.HOST,
+  port: DATABASE_CONFIG.PORT,
+  database: DATABASE_CONFIG.NAME,
+  user: DATABASE_CONFIG.USER,
+  password: DATABASE_CONFIG.PASSWORD,
+  max: DATABASE_CONFIG.POOL_MAX,
+  idleTimeoutMillis: DATABASE_CONFIG.IDLE_TIMEOUT_MS,
+  connectionTimeoutMillis: DATABASE_CONFIG.CONNECTION_TIMEOUT_MS
+});
+
+// Erreur d'une connexion inactive : le pool la remplace
+pool.on('error', (error) => {
+  logger.logError(error, { module: 'database', event: 'idle_client_error' });
+});
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Exécuter une requête paramétrée
+ */
+async function query(text, params = []) {
+  const start = Date.now();
+  const result = await pool.query(text, params);
+  const duration = Date.now() - start;
+  
+  if (duration > DATABASE_CONFIG.SLOW_QUERY_MS) {
+    logger.warn(`Requête lente (${duration} ms): ${text.replace(/\s+/g, ' ').trim().substring(0, 120)}`);
+  }
+  
+  return result;
+}
+
+/**
+ * Exécuter des requêtes dans une transaction (work reçoit le client de la transaction).
+ * ROLLBACK si work échoue ; la connexion est rendue au pool dans tous les cas
+ */
+async function transaction(work) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============================================================================
+// UTILISATEURS
+// ============================================================================
+
+/**
+ * Récupérer un utilisateur par son identifiant public
+ */
+async function getUserById(userId) {
+  return query('SELECT * FROM users WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Récupérer un utilisateur inscrit par son email
+ */
+async function getUserByEmail(email) {
+  return query('SELECT * FROM users WHERE email = $1', [email]);
+}
+
+/**
+ * Créer un utilisateur (anonyme ou inscrit)
+ */
+async function insertUser(userData) {
+  return query(`
+    INSERT INTO users (
+      user_id, username, email, password_hash, gender, age_range, bio,
+      country, city, ip_hash, account_type, preferences
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    userData.user_id,
+    userData.username,
+    userData.email || null,
+    userData.password_hash || null,
+    userData.gender || 'non-specifie',
+    userData.age_range || null,
+    userData.bio || null,
+    userData.country || null,
+    userData.city || null,
+    userData.ip_hash || null,
+    userData.account_type || 'anonymous',
+    JSON.stringify(userData.preferences || {})
+  ]);
+}
+
+/**
+ * Mettre à jour le statut et la dernière activité d'un utilisateur
+ */
+async function updateUserStatus(userId, status, lastActive = new Date()) {
+  return query(`
+    UPDATE users
+    SET status = $2, last_active = $3, updated_at = NOW()
+    WHERE user_id = $1
+  `, [userId, status, lastActive]);
+}
+
+// ============================================================================
+// SESSIONS ET MESSAGES
+// ============================================================================
+
+/**
+ * Créer une session de chat active
+ * (client : client d'une transaction en cours, voir transaction)
+ */
+async function createChatSession(sessionData, client = null) {
+  return (client || { query }).query(`
+    INSERT INTO chat_sessions (
+      session_id, user1_id, user1_username, user2_id, user2_username, session_type,
+      user1_country, user1_city, user2_country, user2_city, started_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+    RETURNING *
+  `, [
+    sessionData.session_id,
+    sessionData.user1_id,
+    sessionData.user1_username,
+    sessionData.user2_id,
+    sessionData.user2_username,
+    sessionData.session_type,
+    sessionData.user1_country || null,
+    sessionData.user1_city || null,
+    sessionData.user2_country || null,
+    sessionData.user2_city || null
+  ]);
+}
+
+/**
+ * Insérer un message de chat (avec sa référence de réponse éventuelle)
+ */
+async function insertMessage(messageData) {
+  return query(`
+    INSERT INTO messages (
+      message_id, session_id, sender_id, sender_username,
+      content, message_type, sender_ip_hash, reply_to_message_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING *
+  `, [
+    messageData.message_id,
+    messageData.session_id,
+    messageData.sender_id,
+    messageData.sender_username,
+    messageData.content,
+    messageData.message_type,
+    messageData.sender_ip_hash,
+    messageData.reply_to_message_id || null
+  ]);
+}
+
+// ============================================================================
+// MODÉRATION
+// ============================================================================
+
+/**
+ * Vérifier si une IP (hachée) fait l'objet d'un bannissement en cours
+ */
+async function checkBannedIP(ipHash) {
+  const result = await query(`
+    SELECT 1
+    FROM banned_ips
+    WHERE ip_hash = $1 AND (expires_at IS NULL OR expires_at > NOW())
+  `, [ipHash]);
+  
+  return result.rows.length > 0;
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Requêtes
+  query,
+  transaction,
+  
+  // Utilisateurs
+  getUserById,
+  getUserByEmail,
+  insertUser,
+  updateUserStatus,
+  
+  // Sessions et messages
+  createChatSession,
+  insertMessage,
+  
+  // Modération
+  checkBannedIP,
+  
+  // Configuration
+  DATABASE_CONFIG
+};
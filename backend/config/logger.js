@@ -0,0 +1,175 @@
+// ============================================================================
+// JOURNALISATION (LIGNES JSON SUR STDOUT / STDERR, COLLECTÉES PAR PM2)
+// Fichier : /var/www/libekoo/backend/config/logger.js
+// ============================================================================
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const LOGGER_CONFIG = {
+  // Niveaux par ordre de gravité ('silent' coupe toute sortie, par exemple pendant les tests)
+  LEVELS: {
+    silent: -1,
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3
+  },
+  
+  // Niveau par défaut si LOG_LEVEL est absent ou inconnu
+  DEFAULT_LEVEL: 'info',
+  
+  // Longueur maximale du contenu d'un message conservée dans les journaux
+  MAX_CONTENT_LENGTH: 100
+};
+
+const currentLevel = LOGGER_CONFIG.LEVELS[process.env.LOG_LEVEL] ?? LOGGER_CONFIG.LEVELS[LOGGER_CONFIG.DEFAULT_LEVEL];
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Écrire une ligne JSON si le niveau est actif (erreurs et avertissements sur stderr)
+ */
+function write(level, message, details = {}) {
+  if (LOGGER_CONFIG.LEVELS[level] > currentLevel) return;
+  
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...details
+  });
+  
+  if (level === 'error' || level === 'warn') {
+    process.stderr.write(`${line}\n`);
+  } else {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+/**
+ * Détails passés en second argument (objet, erreur ou valeur simple)
+ */
+function normalizeDetails(details) {
+  if (details === undefined) return {};
+  if (details instanceof Error) return { error: details.message, stack: details.stack };
+  if (details && typeof details === 'object') return details;
+  
+  return { details };
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Message informatif (démarrage, nettoyages, cycles du matchmaker)
+ */
+function info(message, details) {
+  write('info', message, normalizeDetails(details));
+}
+
+/**
+ * Avertissement (donnée invalide ignorée, service dégradé)
+ */
+function warn(message, details) {
+  write('warn', message, normalizeDetails(details));
+}
+
+/**
+ * Journaliser une erreur avec son contexte (fonction, route, identifiants)
+ */
+function logError(error, context = {}) {
+  write('error', error?.message || String(error), {
+    category: 'error',
+    stack: error?.stack,
+    code: error?.code,
+    context
+  });
+}
+
+/**
+ * Activité d'un utilisateur (connexion, messages, sessions...)
+ */
+function logUserActivity(userId, action, details = {}) {
+  write('info', action, { category: 'user_activity', userId, details });
+}
+
+/**
+ * Étape du matching entre deux utilisateurs (user2Id null tant qu'aucun partenaire)
+ */
+function logMatching(user1Id, user2Id, matchType, success, details = {}) {
+  write('info', 'matching', { category: 'matching', user1Id, user2Id, matchType, success, details });
+}
+
+/**
+ * Événement de sécurité (bannissements, accès refusés, validations échouées)
+ */
+function logSecurityEvent(event, details = {}) {
+  write('warn', event, { category: 'security', details });
+}
+
+/**
+ * Message de chat (contenu tronqué : les messages complets restent en base pour la modération)
+ */
+function logChatMessage(message) {
+  const content = typeof message.content === 'string'
+    ? message.content.substring(0, LOGGER_CONFIG.MAX_CONTENT_LENGTH)
+    : null;
+  
+  write('debug', 'chat_message', { category: 'chat', ...message, content });
+}
+
+/**
+ * Action d'un administrateur
+ */
+function logAdminAction(adminId, action, targetType, targetId, details = {}) {
+  write('info', action, { category: 'admin', adminId, targetType, targetId, details });
+}
+
+/**
+ * Métriques applicatives (analytics, qualité vidéo)
+ */
+function logMetrics(name, metrics = {}) {
+  write('info', name, { category: 'metrics', metrics });
+}
+
+/**
+ * Durée de traitement d'une requête HTTP (en millisecondes)
+ */
+function logRequestPerformance(req, res, duration) {
+  write('debug', 'request', {
+    category: 'performance',
+    method: req.method,
+    url: req.originalUrl,
+    statusCode: res.statusCode,
+    duration,
+    userId: req.user?.userId
+  });
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Niveaux génériques
+  info,
+  warn,
+  
+  // Journaux spécialisés
+  logError,
+  logUserActivity,
+  logMatching,
+  logSecurityEvent,
+  logChatMessage,
+  logAdminAction,
+  logMetrics,
+  logRequestPerformance,
+  
+  // Configuration
+  LOGGER_CONFIG
+};
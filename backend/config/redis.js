@@ -0,0 +1,303 @@
+// ============================================================================
+// CONNEXION REDIS (CACHE, SESSIONS, PRÉSENCE, FILES DE MATCHING)
+// Fichier : /var/www/libekoo/backend/config/redis.js
+// ============================================================================
+
+const { createClient } = require('redis');
+const logger = require('./logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const REDIS_CONFIG = {
+  // Serveur Redis (local par défaut, comme en production derrière pm2)
+  URL: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  
+  // Délai maximal entre deux tentatives de reconnexion (en millisecondes)
+  MAX_RECONNECT_DELAY_MS: 5000,
+  
+  // Durées de vie par défaut (en secondes)
+  CACHE_TTL: 3600,
+  USER_SESSION_TTL: 3600 * 24 * 7,
+  PRESENCE_TTL: 3600,
+  VIDEO_ROOM_TTL: 3600 * 2,
+  LIVE_STATS_TTL: 60,
+  COUNTER_TTL: 3600 * 24,
+  
+  // Préfixes des clés gérées par ce module
+  CACHE_PREFIX: 'cache:',
+  USER_SESSION_PREFIX: 'user_session:',
+  PRESENCE_PREFIX: 'user_presence:',
+  VIDEO_ROOM_PREFIX: 'video_room:',
+  RATE_LIMIT_PREFIX: 'rate_limit:',
+  COUNTER_PREFIX: 'counter:',
+  LIVE_STATS_KEY: 'live_stats'
+};
+
+// Script Lua : retirer toutes les entrées d'un utilisateur d'une file de matching.
+// Retourne le nombre d'entrées retirées.
+const REMOVE_USER_ENTRIES_SCRIPT = `
+  local removed = 0
+  local entries = redis.call('LRANGE', KEYS[1], 0, -1)
+  for _, entry in ipairs(entries) do
+    local ok, decoded = pcall(cjson.decode, entry)
+    if ok and type(decoded) == 'table' and decoded.userId == ARGV[1] then
+      removed = removed + redis.call('LREM', KEYS[1], 0, entry)
+    end
+  end
+  return removed
+`;
+
+// Script Lua : incrémenter un compteur de limite et fixer sa fenêtre au premier appel.
+// Retourne { compteur, ttl restant }.
+const RATE_LIMIT_SCRIPT = `
+  local count = redis.call('INCR', KEYS[1])
+  if count == 1 then
+    redis.call('EXPIRE', KEYS[1], ARGV[1])
+  end
+  return { count, redis.call('TTL', KEYS[1]) }
+`;
+
+// ============================================================================
+// CLIENT
+// ============================================================================
+
+const client = createClient({
+  url: REDIS_CONFIG.URL,
+  socket: {
+    reconnectStrategy: retries => Math.min(retries * 100, REDIS_CONFIG.MAX_RECONNECT_DELAY_MS)
+  }
+});
+
+// Une seule erreur journalisée par coupure (le client réessaie en boucle)
+let connectionLost = false;
+
+client.on('error', (error) => {
+  if (connectionLost) return;
+  connectionLost = true;
+  logger.logError(error, { module: 'redis', url: REDIS_CONFIG.URL });
+});
+
+client.on('ready', () => {
+  connectionLost = false;
+  logger.info('Connexion Redis prête');
+});
+
+// Connexion à l'ouverture du module : les commandes émises avant sont mises en attente
+client.connect().catch((error) => {
+  logger.logError(error, { function: 'connect', module: 'redis' });
+});
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Écrire une valeur JSON avec une durée de vie
+ */
+async function setJSON(key, value, ttl) {
+  await client.set(key, JSON.stringify(value), { EX: ttl });
+}
+
+/**
+ * Lire une valeur JSON (null si absente ou illisible)
+ */
+async function getJSON(key) {
+  const raw = await client.get(key);
+  if (raw === null) return null;
+  
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.warn(`Valeur Redis illisible ignorée: ${key}`);
+    return null;
+  }
+}
+
+// ============================================================================
+// CACHE GÉNÉRIQUE
+// ============================================================================
+
+/**
+ * Mettre une valeur en cache (en secondes)
+ */
+async function setCache(key, value, ttl = REDIS_CONFIG.CACHE_TTL) {
+  await setJSON(`${REDIS_CONFIG.CACHE_PREFIX}${key}`, value, ttl);
+}
+
+/**
+ * Lire une valeur du cache
+ */
+async function getCache(key) {
+  return getJSON(`${REDIS_CONFIG.CACHE_PREFIX}${key}`);
+}
+
+/**
+ * Supprimer une valeur du cache
+ */
+async function deleteCache(key) {
+  await client.del(`${REDIS_CONFIG.CACHE_PREFIX}${key}`);
+}
+
+// ============================================================================
+// SESSIONS ET PRÉSENCE
+// ============================================================================
+
+/**
+ * Enregistrer la session d'un utilisateur authentifié
+ */
+async function setUserSession(userId, session, ttl = REDIS_CONFIG.USER_SESSION_TTL) {
+  await setJSON(`${REDIS_CONFIG.USER_SESSION_PREFIX}${userId}`, session, ttl);
+}
+
+/**
+ * Lire la session d'un utilisateur
+ */
+async function getUserSession(userId) {
+  return getJSON(`${REDIS_CONFIG.USER_SESSION_PREFIX}${userId}`);
+}
+
+/**
+ * Supprimer la session d'un utilisateur (déconnexion, bannissement)
+ */
+async function deleteUserSession(userId) {
+  await client.del(`${REDIS_CONFIG.USER_SESSION_PREFIX}${userId}`);
+}
+
+/**
+ * Enregistrer la présence d'un utilisateur sur une socket (lastSeen lu par cleanupService)
+ */
+async function setUserPresence(userId, socketId, data = {}) {
+  await setJSON(`${REDIS_CONFIG.PRESENCE_PREFIX}${userId}`, {
+    ...data,
+    socketId,
+    lastSeen: Date.now()
+  }, REDIS_CONFIG.PRESENCE_TTL);
+}
+
+/**
+ * Lire la présence d'un utilisateur
+ */
+async function getUserPresence(userId) {
+  return getJSON(`${REDIS_CONFIG.PRESENCE_PREFIX}${userId}`);
+}
+
+/**
+ * Supprimer la présence d'un utilisateur
+ */
+async function removeUserPresence(userId) {
+  await client.del(`${REDIS_CONFIG.PRESENCE_PREFIX}${userId}`);
+}
+
+// ============================================================================
+// SALLES VIDÉO ET STATISTIQUES
+// ============================================================================
+
+/**
+ * Enregistrer l'état d'une salle vidéo
+ */
+async function setVideoRoomState(roomId, state, ttl = REDIS_CONFIG.VIDEO_ROOM_TTL) {
+  await setJSON(`${REDIS_CONFIG.VIDEO_ROOM_PREFIX}${roomId}`, state, ttl);
+}
+
+/**
+ * Lire l'état d'une salle vidéo
+ */
+async function getVideoRoomState(roomId) {
+  return getJSON(`${REDIS_CONFIG.VIDEO_ROOM_PREFIX}${roomId}`);
+}
+
+/**
+ * Enregistrer les statistiques temps réel
+ */
+async function setLiveStats(stats, ttl = REDIS_CONFIG.LIVE_STATS_TTL) {
+  await setJSON(REDIS_CONFIG.LIVE_STATS_KEY, stats, ttl);
+}
+
+/**
+ * Lire les statistiques temps réel
+ */
+async function getLiveStats() {
+  return getJSON(REDIS_CONFIG.LIVE_STATS_KEY);
+}
+
+/**
+ * Incrémenter un compteur (la durée de vie part du premier incrément)
+ */
+async function incrementCounter(name, ttl = REDIS_CONFIG.COUNTER_TTL) {
+  const key = `${REDIS_CONFIG.COUNTER_PREFIX}${name}`;
+  const value = await client.incr(key);
+  
+  if (value === 1) {
+    await client.expire(key, ttl);
+  }
+  
+  return value;
+}
+
+// ============================================================================
+// FILES DE MATCHING ET LIMITES
+// ============================================================================
+
+/**
+ * Retirer un utilisateur d'une file de matching (toutes ses entrées)
+ */
+async function removeFromMatchingQueue(userId, matchType) {
+  return client.eval(REMOVE_USER_ENTRIES_SCRIPT, {
+    keys: [`matching_queue:${matchType}`],
+    arguments: [userId]
+  });
+}
+
+/**
+ * Compter un appel dans une fenêtre fixe (limit appels par windowSeconds)
+ */
+async function checkRateLimit(key, limit, windowSeconds) {
+  const [count, ttl] = await client.eval(RATE_LIMIT_SCRIPT, {
+    keys: [`${REDIS_CONFIG.RATE_LIMIT_PREFIX}${key}`],
+    arguments: [String(windowSeconds)]
+  });
+  
+  return {
+    allowed: count <= limit,
+    remaining: Math.max(limit - count, 0),
+    resetTime: Date.now() + Math.max(ttl, 0) * 1000
+  };
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Client (commandes Redis directes)
+  client,
+  
+  // Cache générique
+  setCache,
+  getCache,
+  deleteCache,
+  
+  // Sessions et présence
+  setUserSession,
+  getUserSession,
+  deleteUserSession,
+  setUserPresence,
+  getUserPresence,
+  removeUserPresence,
+  
+  // Salles vidéo et statistiques
+  setVideoRoomState,
+  getVideoRoomState,
+  setLiveStats,
+  getLiveStats,
+  incrementCounter,
+  
+  // Files de matching et limites
+  removeFromMatchingQueue,
+  checkRateLimit,
+  
+  // Configuration
+  REDIS_CONFIG
+};
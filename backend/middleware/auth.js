@@ -168,6 +168,61 @@ const requireAuth = async (req, res, next) => {
   });
 };
 
+// ============================================================================
+// MIDDLEWARE D'AUTHENTIFICATION SOCKET.IO
+// ============================================================================
+
+/**
+ * Middleware Socket.io : token obligatoire (les anonymes en reçoivent un via /auth/anonymous)
+ */
+const socketAuthMiddleware = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+      return next(new Error('Authentification requise'));
+    }
+    
+    // Même vérification que authMiddleware (les tokens de /auth n'ont ni issuer ni audience)
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'libekoo_jwt_secret_2024');
+    
+    const session = await redisClient.getUserSession(decoded.userId);
+    if (!session) {
+      return next(new Error('Session expirée'));
+    }
+    
+    const userResult = await db.getUserById(decoded.userId);
+    if (userResult.rows.length === 0 || userResult.rows[0].is_banned) {
+      return next(new Error('Accès refusé'));
+    }
+    
+    // Derrière nginx : première adresse de X-Forwarded-For
+    const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+    const userIP = forwardedFor ? forwardedFor.split(',')[0].trim() : socket.handshake.address;
+    
+    const isIPBanned = await moderationService.checkBannedIP(moderationService.hashIP(userIP));
+    if (isIPBanned) {
+      logger.logSecurityEvent('banned_ip_socket_attempt', {
+        userId: decoded.userId,
+        ip: userIP
+      });
+      return next(new Error('Accès temporairement restreint'));
+    }
+    
+    socket.userId = decoded.userId;
+    socket.userIP = userIP;
+    
+    next();
+  
+  } catch (error) {
+    if (error.name === 'TokenExpiredError' || error.name === 'JsonWebTokenError') {
+      return next(new Error('Token invalide'));
+    }
+    
+    logger.logError(error, { middleware: 'socketAuthMiddleware', socketId: socket.id });
+    next(new Error('Erreur d\'authentification'));
+  }
+};
+
 // ============================================================================
 // MIDDLEWARE DE PERMISSIONS
 // ============================================================================
@@ -220,6 +275,13 @@ function getUserPermissions(accountType) {
   return permissions[accountType] || permissions.anonymous;
 }
 
+/**
+ * Vérifier qu'une liste de permissions contient une permission donnée
+ */
+function hasPermission(permissions, permission) {
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
 /**
  * Middleware de vérification des permissions
  */
@@ -496,10 +558,12 @@ module.exports = {
   authMiddleware,
   requireAuth,
   requireAdmin,
+  socketAuthMiddleware,
   
   // Middlewares de permissions
   requirePermission,
   getUserPermissions,
+  hasPermission,
   
   // Middlewares de sécurité
   checkBannedIP,
@@ -142,6 +142,51 @@ const isValidMessageContent = (value) => {
   return true;
 };
 
+/**
+ * Valider une liste de centres d'intérêt (tags libres)
+ */
+const isValidInterestTags = (value) => {
+  if (!Array.isArray(value)) {
+    throw new Error('Les centres d\'intérêt doivent être une liste');
+  }
+  
+  if (value.length > 15) {
+    throw new Error('Trop de centres d\'intérêt (15 maximum)');
+  }
+  
+  for (const tag of value) {
+    if (typeof tag !== 'string' || !/^[\p{L}\p{N}][\p{L}\p{N} '-]{1,29}$/u.test(tag.trim())) {
+      throw new Error('Centre d\'intérêt invalide (2-30 caractères, lettres et chiffres)');
+    }
+  }
+  
+  return true;
+};
+
+/**
+ * Valider une liste de langues (codes ISO 639-1 / 639-2)
+ */
+const isValidLanguageList = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > 5) {
+    throw new Error('Liste de langues invalide (1 à 5 langues)');
+  }
+  
+  if (!value.every(lang => typeof lang === 'string' && /^[a-z]{2,3}$/i.test(lang))) {
+    throw new Error('Code de langue invalide (ex: fr, en, es)');
+  }
+  
+  return true;
+};
+
+/**
+ * Normaliser les centres d'intérêt (minuscules, espaces, doublons)
+ */
+const normalizeInterestTags = (value) => {
+  if (!Array.isArray(value)) return value;
+  
+  return [...new Set(value.map(tag => tag.trim().toLowerCase().replace(/\s+/g, ' ')))];
+};
+
 // ============================================================================
 // VALIDATEURS PAR DOMAINE
 // ============================================================================
@@ -289,7 +334,150 @@ const matchingValidators = {
     body('preferences.maxDistance')
       .optional()
       .isInt({ min: 5, max: 5000 })
-      .withMessage('Distance invalide (5-5000 km)')
+      .withMessage('Distance invalide (5-5000 km)'),
+    
+    body('preferences.interests')
+      .optional()
+      .custom(isValidInterestTags)
+      .customSanitizer(normalizeInterestTags),
+    
+    body('preferences.interestsOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('Option centres d\'intérêt invalide')
+      .toBoolean(),
+    
+    body('preferences.matchPreview')
+      .optional()
+      .isBoolean()
+      .withMessage('Option aperçu avant match invalide')
+      .toBoolean(),
+    
+    body('preferences.preferWellRated')
+      .optional()
+      .isBoolean()
+      .withMessage('Option partenaires bien notés invalide')
+      .toBoolean(),
+    
+    body('preferences.languages')
+      .optional()
+      .custom(isValidLanguageList)
+      .customSanitizer(value => [...new Set(value.map(lang => lang.toLowerCase()))]),
+    
+    body('preferences.mustShareLanguage')
+      .optional()
+      .isBoolean()
+      .withMessage('Option langue commune invalide')
+      .toBoolean(),
+    
+    body('preferences.countryWhitelist')
+      .optional()
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Liste de pays invalide (1 à 20 pays)'),
+    
+    body('preferences.countryWhitelist.*')
+      .isString()
+      .isLength({ min: 2, max: 2 })
+      .withMessage('Code pays invalide (ex: FR)')
+      .toUpperCase(),
+    
+    body('preferences.ageRanges')
+      .optional()
+      .isArray({ min: 1, max: 5 })
+      .withMessage('Tranches d\'âge invalides'),
+    
+    body('preferences.ageRanges.*')
+      .isIn(['13-17', '18-24', '25-34', '35-44', '45+'])
+      .withMessage('Tranche d\'âge invalide'),
+    
+    body('preferences.groupSize')
+      .optional()
+      .isInt({ min: 3, max: 8 })
+      .withMessage('Taille de groupe invalide (3-8 membres)')
+      .toInt()
+  ],
+  
+  updatePreferences: [
+    body('genderPreference')
+      .optional()
+      .isIn(['all', 'homme', 'femme', 'non-binaire'])
+      .withMessage('Préférence de genre invalide'),
+    
+    body('ageRangePreference')
+      .optional()
+      .isIn(['all', '13-17', '18-24', '25-34', '35-44', '45+'])
+      .withMessage('Préférence d\'âge invalide'),
+    
+    body('maxDistance')
+      .optional()
+      .isInt({ min: 5, max: 5000 })
+      .withMessage('Distance invalide (5-5000 km)'),
+    
+    body('rematchCooldownMinutes')
+      .optional()
+      .isInt({ min: 0, max: 1440 })
+      .withMessage('Délai de re-match invalide (0-1440 minutes)')
+      .toInt(),
+    
+    body('interests')
+      .optional()
+      .custom(isValidInterestTags)
+      .customSanitizer(normalizeInterestTags),
+    
+    body('interestsOnly')
+      .optional()
+      .isBoolean()
+      .withMessage('Option centres d\'intérêt invalide')
+      .toBoolean(),
+    
+    body('matchPreview')
+      .optional()
+      .isBoolean()
+      .withMessage('Option aperçu avant match invalide')
+      .toBoolean(),
+    
+    body('preferWellRated')
+      .optional()
+      .isBoolean()
+      .withMessage('Option partenaires bien notés invalide')
+      .toBoolean(),
+    
+    body('languages')
+      .optional()
+      .custom(isValidLanguageList)
+      .customSanitizer(value => [...new Set(value.map(lang => lang.toLowerCase()))]),
+    
+    body('mustShareLanguage')
+      .optional()
+      .isBoolean()
+      .withMessage('Option langue commune invalide')
+      .toBoolean(),
+    
+    body('countryWhitelist')
+      .optional()
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Liste de pays invalide (1 à 20 pays)'),
+    
+    body('countryWhitelist.*')
+      .isString()
+      .isLength({ min: 2, max: 2 })
+      .withMessage('Code pays invalide (ex: FR)')
+      .toUpperCase(),
+    
+    body('ageRanges')
+      .optional()
+      .isArray({ min: 1, max: 5 })
+      .withMessage('Tranches d\'âge invalides'),
+    
+    body('ageRanges.*')
+      .isIn(['13-17', '18-24', '25-34', '35-44', '45+'])
+      .withMessage('Tranche d\'âge invalide'),
+    
+    body('groupSize')
+      .optional()
+      .isInt({ min: 3, max: 8 })
+      .withMessage('Taille de groupe invalide (3-8 membres)')
+      .toInt()
   ],
   
   reportUser: [
@@ -310,6 +498,25 @@ const matchingValidators = {
       .optional()
       .isUUID()
       .withMessage('ID de session invalide')
+  ],
+  
+  blockUser: [
+    body('blockedUserId')
+      .notEmpty()
+      .withMessage('ID utilisateur requis'),
+    
+    body('sessionId')
+      .optional()
+      .isUUID()
+      .withMessage('ID de session invalide')
+  ],
+  
+  nearbyUsers: [
+    query('radius')
+      .optional()
+      .isInt({ min: 1, max: 5000 })
+      .withMessage('Rayon invalide (1-5000 km)')
+      .toInt()
   ]
 };
 
@@ -575,5 +782,8 @@ module.exports = {
   isValidUsername,
   isValidPassword,
   isValidMessageContent,
+  isValidInterestTags,
+  isValidLanguageList,
+  normalizeInterestTags,
   notInBlacklist
 };
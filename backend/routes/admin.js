@@ -10,9 +10,14 @@ const rateLimit = require('express-rate-limit');
 const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
 const moderationService = require('../services/moderationService');
 const analyticsService = require('../services/analyticsService');
+const experimentService = require('../services/experimentService');
+const qualityService = require('../services/qualityService');
+const messageService = require('../services/messageService');
+const attachmentService = require('../services/attachmentService');
+const eventBus = require('../services/eventBus');
 
 const router = express.Router();
 
@@ -183,6 +188,75 @@ router.get('/analytics',
   }
 );
 
+/**
+ * GET /api/admin/experiments
+ * Lister les expériences A/B du matching
+ */
+router.get('/experiments', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      experiments: experimentService.listExperiments()
+    });
+  } catch (error) {
+    logger.logError(error, { route: '/admin/experiments', adminId: req.admin?.user_id });
+    res.status(500).json({ error: 'Erreur récupération expériences' });
+  }
+});
+
+/**
+ * GET /api/admin/experiments/:experimentId/report
+ * Comparer les variantes d'une expérience (durée, messages, évaluations)
+ */
+router.get('/experiments/:experimentId/report',
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Paramètres invalides', details: errors.array() });
+      }
+      
+      const { experimentId } = req.params;
+      const { startDate, endDate } = req.query;
+      
+      const experiment = experimentService.getExperiment(experimentId);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Expérience non trouvée' });
+      }
+      
+      const report = await analyticsService.getExperimentReport(
+        experimentId,
+        startDate ? new Date(startDate) : null,
+        endDate ? new Date(endDate) : null
+      );
+      
+      if (!report.success) {
+        // Détail réservé aux journaux, message générique pour le client
+        logger.warn(`Rapport d'expérience indisponible (${experimentId}): ${report.error}`);
+        return res.status(500).json({ error: 'Erreur rapport d\'expérience' });
+      }
+      
+      res.json({
+        success: true,
+        experiment: {
+          id: experiment.id,
+          description: experiment.description,
+          active: experiment.active
+        },
+        variants: report.variants
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/admin/experiments/report', adminId: req.admin?.user_id });
+      res.status(500).json({ error: 'Erreur rapport d\'expérience' });
+    }
+  }
+);
+
 // ============================================================================
 // GESTION DES UTILISATEURS
 // ============================================================================
@@ -468,6 +542,23 @@ router.post('/users/:userId/ban',
       const success = await moderationService.banUser(userId, reason, banDuration, adminId);
       
       if (success) {
+        // Déconnecter l'utilisateur, quelle que soit l'instance qui porte ses sockets
+        await eventBus.emitToUsers([userId], 'user:banned', {
+          reason,
+          duration: banType,
+          bannedBy: 'admin'
+        });
+        await eventBus.disconnectUsers([userId]);
+        
+        // Notifier les admins connectés
+        await eventBus.emitToAdmins('admin:user_banned', {
+          userId,
+          reason,
+          duration: banDuration,
+          bannedBy: adminId,
+          timestamp: new Date().toISOString()
+        });
+        
         res.json({
           success: true,
           message: `Utilisateur ${userId} banni avec succès`,
@@ -502,6 +593,12 @@ router.post('/users/:userId/unban', async (req, res) => {
     const success = await moderationService.unbanUser(userId, adminId);
     
     if (success) {
+      await eventBus.emitToAdmins('admin:user_unbanned', {
+        userId,
+        unbannedBy: adminId,
+        timestamp: new Date().toISOString()
+      });
+      
       res.json({
         success: true,
         message: `Utilisateur ${userId} débanni avec succès`,
@@ -699,6 +796,43 @@ router.put('/reports/:reportId',
 // SURVEILLANCE DES MESSAGES
 // ============================================================================
 
+/**
+ * GET /api/admin/watchlist
+ * Utilisateurs très souvent skippés dans les premières secondes
+ */
+router.get('/watchlist',
+  [
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Paramètres invalides', details: errors.array() });
+      }
+      
+      const { limit = 50 } = req.query;
+      
+      const watchlist = await qualityService.getWatchlist(parseInt(limit));
+      
+      res.json({
+        success: true,
+        watchlist,
+        criteria: {
+          windowDays: qualityService.QUALITY_CONFIG.WINDOW_DAYS,
+          earlySkipSeconds: qualityService.QUALITY_CONFIG.EARLY_SKIP_SECONDS,
+          minSessions: qualityService.QUALITY_CONFIG.MIN_SESSIONS,
+          earlySkipRatio: qualityService.QUALITY_CONFIG.WATCHLIST_EARLY_SKIP_RATIO
+        }
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/admin/watchlist', adminId: req.admin?.user_id });
+      res.status(500).json({ error: 'Erreur récupération liste de surveillance' });
+    }
+  }
+);
+
 /**
  * GET /api/admin/messages/flagged
  * Récupérer les messages signalés automatiquement
@@ -738,6 +872,7 @@ router.get('/messages/flagged',
           flagReasons: msg.auto_flag_reasons,
           containsPersonalInfo: msg.contains_personal_info,
           sentAt: msg.sent_at,
+          isEdited: msg.is_edited,
           isDeleted: msg.is_deleted
         }))
       });
@@ -749,6 +884,42 @@ router.get('/messages/flagged',
   }
 );
 
+/**
+ * GET /api/admin/messages/:messageId/edits
+ * Historique des modifications d'un message
+ */
+router.get('/messages/:messageId/edits', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    
+    const message = await messageService.getMessageWithSession(messageId);
+    if (!message) {
+      return res.status(404).json({ error: 'Message non trouvé' });
+    }
+    
+    const edits = await messageService.getEditHistory(messageId);
+    
+    res.json({
+      success: true,
+      message: {
+        id: message.message_id,
+        sessionId: message.public_session_id,
+        senderId: message.sender_id,
+        content: message.content,
+        isEdited: message.is_edited,
+        isDeleted: message.is_deleted,
+        deletedBy: message.deleted_by,
+        sentAt: message.sent_at
+      },
+      edits
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/admin/messages/:messageId/edits', adminId: req.admin?.user_id });
+    res.status(500).json({ error: 'Erreur récupération historique' });
+  }
+});
+
 /**
  * POST /api/admin/messages/:messageId/delete
  * Supprimer un message
@@ -794,6 +965,164 @@ router.post('/messages/:messageId/delete',
   }
 );
 
+// ============================================================================
+// MODÉRATION DES PIÈCES JOINTES
+// ============================================================================
+
+/**
+ * GET /api/admin/attachments/pending
+ * File de modération des images et fichiers (les plus anciens d'abord)
+ */
+router.get('/attachments/pending',
+  [
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  async (req, res) => {
+    try {
+      const { limit = 50 } = req.query;
+      
+      const attachments = await attachmentService.getPendingAttachments(parseInt(limit));
+      
+      res.json({
+        success: true,
+        attachments: attachments.map(attachment => ({
+          ...attachmentService.formatAttachment(attachment),
+          url: `/api/admin/attachments/${attachment.id}/file`,
+          thumbnailUrl: attachment.thumbnail_key ? `/api/admin/attachments/${attachment.id}/file?variant=thumbnail` : null,
+          sessionId: attachment.session_id,
+          messageId: attachment.message_id,
+          uploader: {
+            id: attachment.uploader_id,
+            username: attachment.uploader_username
+          },
+          createdAt: attachment.created_at
+        }))
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/admin/attachments/pending', adminId: req.admin?.user_id });
+      res.status(500).json({ error: 'Erreur récupération pièces jointes' });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/attachments/:attachmentId/file
+ * Consulter une pièce jointe, quel que soit son statut
+ */
+router.get('/attachments/:attachmentId/file', async (req, res) => {
+  try {
+    const attachment = await attachmentService.getAttachment(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ error: 'Pièce jointe non trouvée' });
+    }
+    
+    const file = attachmentService.openAttachment(attachment, req.query.variant);
+    
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Disposition': 'attachment',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-store'
+    });
+    
+    file.stream.on('error', (error) => {
+      logger.logError(error, { route: '/admin/attachments/:attachmentId/file', attachmentId: attachment.id });
+      if (!res.headersSent) {
+        res.status(404).json({ error: 'Fichier introuvable sur le stockage' });
+      } else {
+        res.destroy();
+      }
+    });
+    
+    file.stream.pipe(res);
+  
+  } catch (error) {
+    logger.logError(error, { route: '/admin/attachments/:attachmentId/file', adminId: req.admin?.user_id });
+    res.status(500).json({ error: 'Erreur récupération fichier' });
+  }
+});
+
+/**
+ * POST /api/admin/attachments/:attachmentId/approve
+ * Approuver une pièce jointe (le message devient visible pour les autres participants)
+ */
+router.post('/attachments/:attachmentId/approve', async (req, res) => {
+  try {
+    const { attachmentId } = req.params;
+    const adminId = req.admin.user_id;
+    
+    const result = await attachmentService.approveAttachment(attachmentId, adminId);
+    
+    if (!result.success) {
+      const status = result.code === 'ATTACHMENT_NOT_FOUND' ? 404
+        : result.code === 'ALREADY_MODERATED' ? 409
+        : 500;
+      return res.status(status).json({ error: result.reason, code: result.code });
+    }
+    
+    await db.query(`
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, action_details)
+      VALUES ($1, 'approve_attachment', 'attachment', $2, $3)
+    `, [adminId, attachmentId, JSON.stringify({ uploaderId: result.attachment.uploader_id, released: result.released })]);
+    
+    res.json({
+      success: true,
+      message: 'Pièce jointe approuvée',
+      released: result.released
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/admin/attachments/:attachmentId/approve', adminId: req.admin?.user_id });
+    res.status(500).json({ error: 'Erreur approbation pièce jointe' });
+  }
+});
+
+/**
+ * POST /api/admin/attachments/:attachmentId/reject
+ * Refuser une pièce jointe (le message associé est supprimé)
+ */
+router.post('/attachments/:attachmentId/reject',
+  [
+    body('reason').notEmpty().isLength({ max: 200 }).withMessage('Raison requise')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: 'Données invalides', details: errors.array() });
+      }
+      
+      const { attachmentId } = req.params;
+      const { reason } = req.body;
+      const adminId = req.admin.user_id;
+      
+      const result = await attachmentService.rejectAttachment(attachmentId, adminId, reason);
+      
+      if (!result.success) {
+        const status = result.code === 'ATTACHMENT_NOT_FOUND' ? 404
+          : result.code === 'ALREADY_MODERATED' ? 409
+          : 500;
+        return res.status(status).json({ error: result.reason, code: result.code });
+      }
+      
+      await db.query(`
+        INSERT INTO admin_logs (admin_id, action, target_type, target_id, reason, action_details)
+        VALUES ($1, 'reject_attachment', 'attachment', $2, $3, $4)
+      `, [adminId, attachmentId, reason, JSON.stringify({ uploaderId: result.attachment.uploader_id })]);
+      
+      res.json({
+        success: true,
+        message: 'Pièce jointe refusée'
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/admin/attachments/:attachmentId/reject', adminId: req.admin?.user_id });
+      res.status(500).json({ error: 'Erreur refus pièce jointe' });
+    }
+  }
+);
+
 // ============================================================================
 // GESTION DES IP BANNIES
 // ============================================================================
@@ -9,7 +9,7 @@ const { query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
 const { analyticsValidators, handleValidationErrors } = require('../middleware/validation');
 const analyticsService = require('../services/analyticsService');
 
@@ -410,24 +410,36 @@ router.get('/live-stats', async (req, res) => {
 router.get('/queue-status', async (req, res) => {
   try {
     const matchingService = require('../services/matchingService');
+    const waitTimeService = require('../services/waitTimeService');
     const queueStats = await matchingService.getQueueStats();
     
+    // Estimation historique (médiane / p90), éventuellement pour un pays
+    const country = /^[A-Z]{2}$/i.test(req.query.country || '') ? req.query.country.toUpperCase() : null;
+    const [randomEstimate, localEstimate, groupEstimate] = await Promise.all([
+      waitTimeService.estimateWaitTime('random', country),
+      waitTimeService.estimateWaitTime('local', country),
+      waitTimeService.estimateWaitTime('group', country)
+    ]);
+    
     res.json({
       success: true,
       queues: {
         random: {
           waiting: queueStats.randomQueue,
           averageWait: queueStats.averageWaitRandom,
+          waitEstimate: randomEstimate,
           activeMatches: queueStats.activeRandomMatches
         },
         local: {
           waiting: queueStats.localQueue,
           averageWait: queueStats.averageWaitLocal,
+          waitEstimate: localEstimate,
           activeMatches: queueStats.activeLocalMatches
         },
         group: {
           waiting: queueStats.groupQueue,
           averageWait: queueStats.averageWaitGroup,
+          waitEstimate: groupEstimate,
           activeMatches: queueStats.activeGroupMatches
         }
       },
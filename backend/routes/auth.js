@@ -82,6 +82,29 @@ function getLocationFromIP(ip) {
   };
 }
 
+/**
+ * Extraire les langues parlées depuis l'en-tête Accept-Language
+ */
+function getLanguagesFromHeader(acceptLanguage) {
+  if (!acceptLanguage || typeof acceptLanguage !== 'string') return [];
+  
+  const languages = acceptLanguage
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      return {
+        code: tag.split('-')[0].trim().toLowerCase(),
+        quality: qParam ? parseFloat(qParam.trim().slice(2)) : 1
+      };
+    })
+    .filter(lang => /^[a-z]{2,3}$/.test(lang.code) && lang.quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(lang => lang.code);
+  
+  return [...new Set(languages)].slice(0, 5);
+}
+
 /**
  * Générer un token JWT
  */
@@ -128,6 +151,18 @@ router.post('/anonymous', async (req, res) => {
     const userId = generateAnonymousId();
     const location = getLocationFromIP(userIP);
     
+    // Déduire les langues parlées du navigateur si non renseignées
+    const userPreferences = preferences || {};
+    if (!userPreferences.matching?.languages) {
+      const languages = getLanguagesFromHeader(req.headers['accept-language']);
+      if (languages.length > 0) {
+        userPreferences.matching = {
+          ...userPreferences.matching,
+          languages
+        };
+      }
+    }
+    
     // Créer utilisateur anonyme dans la DB
     const userData = {
       user_id: userId,
@@ -137,7 +172,7 @@ router.post('/anonymous', async (req, res) => {
       city: location.city,
       ip_hash: ipHash,
       account_type: 'anonymous',
-      preferences: preferences || {}
+      preferences: userPreferences
     };
     
     await db.insertUser(userData);
@@ -4,20 +4,40 @@
 // ============================================================================
 
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult, query } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
 
 const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const moderationService = require('../services/moderationService');
+const groupSessionService = require('../services/groupSessionService');
+const qualityService = require('../services/qualityService');
+const ratingService = require('../services/ratingService');
+const messageService = require('../services/messageService');
+const readReceiptService = require('../services/readReceiptService');
+const attachmentService = require('../services/attachmentService');
+const eventBus = require('../services/eventBus');
 
 const router = express.Router();
 
 // Appliquer l'authentification à toutes les routes
 router.use(authMiddleware);
 
+// Types de message portant une pièce jointe
+const ATTACHMENT_MESSAGE_TYPES = ['image', 'file'];
+
+// Upload en mémoire : le fichier est vérifié et réencodé avant d'atteindre le stockage
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: attachmentService.ATTACHMENT_CONFIG.MAX_UPLOAD_BYTES,
+    files: 1
+  }
+}).single('file');
+
 // ============================================================================
 // UTILITAIRES
 // ============================================================================
@@ -86,7 +106,7 @@ async function analyzeToxicity(content) {
 /**
  * Formater un message pour la réponse
  */
-function formatMessage(message, currentUserId) {
+function formatMessage(message, currentUserId, readPointers = []) {
   return {
     id: message.message_id,
     sessionId: message.session_id,
@@ -99,7 +119,11 @@ function formatMessage(message, currentUserId) {
     },
     sentAt: message.sent_at,
     isEdited: message.is_edited,
-    editedAt: message.edited_at
+    editedAt: message.edited_at,
+    state: readReceiptService.getMessageState(message, readPointers, currentUserId),
+    reactions: message.reactions || [],
+    replyTo: message.reply_quote || null,
+    attachment: attachmentService.formatAttachment(message.attachment_id ? { ...message, id: message.attachment_id } : null)
   };
 }
 
@@ -117,12 +141,25 @@ router.post('/send-message',
       .notEmpty()
       .withMessage('ID de session requis'),
     body('content')
+      .if((value, { req }) => !ATTACHMENT_MESSAGE_TYPES.includes(req.body.messageType))
       .isLength({ min: 1, max: 1000 })
       .withMessage('Message invalide (1-1000 caractères)'),
+    body('content')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Message trop long (1000 caractères max)'),
     body('messageType')
       .optional()
       .isIn(['text', 'emoji', 'image', 'file'])
-      .withMessage('Type de message invalide')
+      .withMessage('Type de message invalide'),
+    body('attachmentId')
+      .if(body('messageType').isIn(ATTACHMENT_MESSAGE_TYPES))
+      .isUUID()
+      .withMessage('Pièce jointe requise'),
+    body('replyToMessageId')
+      .optional()
+      .isString()
+      .withMessage('Message cité invalide')
   ],
   async (req, res) => {
     try {
@@ -134,27 +171,20 @@ router.post('/send-message',
         });
       }
       
-      const { sessionId, content, messageType = 'text', metadata = {} } = req.body;
+      const { sessionId, messageType = 'text', metadata = {}, attachmentId, replyToMessageId } = req.body;
       const userId = req.user.userId;
       const userIP = req.userIP;
       
       // Vérifier que la session existe et que l'utilisateur y participe
-      const sessionResult = await db.query(`
-        SELECT * FROM chat_sessions 
-        WHERE session_id = $1 
-        AND (user1_id = $2 OR user2_id = $2)
-        AND status = 'active'
-      `, [sessionId, userId]);
-      
-      if (sessionResult.rows.length === 0) {
+      const session = await groupSessionService.getParticipantSession(sessionId, userId, { activeOnly: true });
+      
+      if (!session) {
         return res.status(404).json({
           error: 'Session non trouvée ou inactive',
           code: 'SESSION_NOT_FOUND'
         });
       }
       
-      const session = sessionResult.rows[0];
-      
       // Rate limiting par utilisateur
       const rateLimitResult = await redisClient.checkRateLimit(
         `chat_messages:${userId}`, 
@@ -170,6 +200,35 @@ router.post('/send-message',
         });
       }
       
+      // Messages image / fichier : pièce jointe déjà envoyée par l'expéditeur dans cette session
+      let attachment = null;
+      if (ATTACHMENT_MESSAGE_TYPES.includes(messageType)) {
+        const prepared = await attachmentService.prepareForMessage(attachmentId, session, userId, messageType);
+        if (!prepared.success) {
+          return res.status(prepared.code === 'ATTACHMENT_NOT_FOUND' ? 404 : 400).json({
+            error: prepared.reason,
+            code: prepared.code
+          });
+        }
+        attachment = prepared.attachment;
+      }
+      
+      // Réponse : le message cité doit appartenir à la même session
+      let replyQuote = null;
+      if (replyToMessageId) {
+        const replyTarget = await messageService.getReplyTarget(session.id, replyToMessageId);
+        if (!replyTarget.success) {
+          return res.status(replyTarget.code === 'REPLY_TARGET_NOT_FOUND' ? 404 : 400).json({
+            error: replyTarget.reason,
+            code: replyTarget.code
+          });
+        }
+        replyQuote = replyTarget.quote;
+      }
+      
+      // Légende facultative pour une pièce jointe (nom du fichier par défaut)
+      const content = req.body.content || (attachment ? attachment.original_name : '');
+      
       // Récupérer les informations utilisateur
       const userResult = await db.getUserById(userId);
       const user = userResult.rows[0];
@@ -207,11 +266,26 @@ router.post('/send-message',
         sender_username: user.username,
         content,
         message_type: messageType,
-        sender_ip_hash: ipHash
+        sender_ip_hash: ipHash,
+        reply_to_message_id: replyQuote ? replyQuote.messageId : null
       };
       
-      const insertResult = await db.insertMessage(messageData);
-      const insertedMessage = insertResult.rows[0];
+      // Avec une pièce jointe : réservation et insertion dans la même transaction
+      let insertedMessage;
+      if (attachment) {
+        const inserted = await attachmentService.insertMessageWithAttachment(messageData, attachment.id);
+        if (!inserted.success) {
+          return res.status(409).json({
+            error: inserted.reason,
+            code: inserted.code
+          });
+        }
+        insertedMessage = inserted.message;
+        attachment = inserted.attachment;
+      } else {
+        const insertResult = await db.insertMessage(messageData);
+        insertedMessage = insertResult.rows[0];
+      }
       
       // Mettre à jour les informations de modération si nécessaire
       if (toxicityAnalysis.toxicityScore > 0) {
@@ -271,13 +345,28 @@ router.post('/send-message',
           isOwn: true
         },
         sentAt: insertedMessage.sent_at,
-        metadata: metadata
+        metadata: metadata,
+        replyTo: replyQuote,
+        attachment: attachmentService.formatAttachment(attachment)
       };
       
-      // Retourner la réponse (le Socket.io handler se chargera de la diffusion)
+      // Une pièce jointe en attente de modération n'est montrée qu'à l'expéditeur
+      const pendingModeration = Boolean(attachment && attachment.moderation_status !== 'approved');
+      
+      // Diffuser aux participants connectés en WebSocket, sur toutes les instances
+      if (!pendingModeration) {
+        const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+        await eventBus.emitToRooms(
+          [`chat_session:${sessionId}`, ...recipientIds.map(id => `user_${id}`)],
+          'chat:new_message',
+          { ...responseMessage, sender: { ...responseMessage.sender, isOwn: false } }
+        );
+      }
+      
       res.json({
         success: true,
         message: responseMessage,
+        pendingModeration,
         toxicityWarning: toxicityAnalysis.autoFlagged ? 'Message signalé pour modération' : null
       });
       
@@ -294,60 +383,90 @@ router.post('/send-message',
 /**
  * GET /api/chat/session/:sessionId/messages
  * Récupérer l'historique des messages d'une session
+ * (?before=<messageId> pour la page précédente, ?after=<messageId> pour les suivants)
  */
 router.get('/session/:sessionId/messages',
   [
     query('limit')
       .optional()
-      .isInt({ min: 1, max: 100 })
-      .withMessage('Limite invalide (1-100)'),
+      .isInt({ min: 1, max: messageService.MESSAGE_CONFIG.MAX_PAGE_SIZE })
+      .withMessage(`Limite invalide (1-${messageService.MESSAGE_CONFIG.MAX_PAGE_SIZE})`),
     query('offset')
       .optional()
       .isInt({ min: 0 })
-      .withMessage('Offset invalide')
+      .withMessage('Offset invalide'),
+    query('before')
+      .optional()
+      .isString()
+      .withMessage('Curseur invalide'),
+    query('after')
+      .optional()
+      .isString()
+      .withMessage('Curseur invalide'),
+    query('after')
+      .if(query('before').exists())
+      .not().exists()
+      .withMessage('Utiliser before ou after, pas les deux')
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
       const { sessionId } = req.params;
-      const { limit = 50, offset = 0 } = req.query;
+      const { limit = messageService.MESSAGE_CONFIG.DEFAULT_PAGE_SIZE, offset = 0, before, after } = req.query;
       const userId = req.user.userId;
       
       // Vérifier que l'utilisateur a accès à cette session
-      const sessionResult = await db.query(`
-        SELECT * FROM chat_sessions 
-        WHERE session_id = $1 
-        AND (user1_id = $2 OR user2_id = $2)
-      `, [sessionId, userId]);
+      const session = await groupSessionService.getParticipantSession(sessionId, userId);
       
-      if (sessionResult.rows.length === 0) {
+      if (!session) {
         return res.status(403).json({
           error: 'Accès refusé à cette session',
           code: 'SESSION_ACCESS_DENIED'
         });
       }
       
-      // Récupérer les messages
-      const messagesResult = await db.query(`
-        SELECT m.*, cs.session_id
-        FROM messages m
-        JOIN chat_sessions cs ON m.session_id = cs.id
-        WHERE cs.session_id = $1
-        AND m.is_deleted = false
-        ORDER BY m.sent_at DESC
-        LIMIT $2 OFFSET $3
-      `, [sessionId, parseInt(limit), parseInt(offset)]);
-      
-      const messages = messagesResult.rows
-        .reverse() // Inverser pour avoir l'ordre chronologique
-        .map(message => formatMessage(message, userId));
+      // Récupérer les messages (ordre chronologique)
+      const historyResult = await messageService.getSessionMessages(sessionId, userId, {
+        before,
+        after,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+      
+      if (!historyResult.success) {
+        return res.status(400).json({
+          error: historyResult.reason,
+          code: historyResult.code
+        });
+      }
+      
+      // Pointeurs de lecture des participants (état envoyé / reçu / lu)
+      const userResult = await db.getUserById(userId);
+      const readPointers = await readReceiptService.getSessionPointers(sessionId, userResult.rows[0]);
+      
+      const messages = historyResult.messages.map(message => formatMessage(message, userId, readPointers));
+      const oldest = messages[0];
+      const newest = messages[messages.length - 1];
       
       res.json({
         success: true,
         messages,
+        readPointers,
         pagination: {
           limit: parseInt(limit),
           offset: parseInt(offset),
-          total: messages.length
+          total: messages.length,
+          hasMore: historyResult.hasMore,
+          // Curseurs à renvoyer dans before / after
+          before: oldest ? oldest.id : before || null,
+          after: newest ? newest.id : after || null
         }
       });
       
@@ -361,6 +480,300 @@ router.get('/session/:sessionId/messages',
   }
 );
 
+/**
+ * Code HTTP correspondant à un refus du service de messages
+ */
+function getMessageErrorStatus(code) {
+  if (code === 'MESSAGE_NOT_FOUND') return 404;
+  if (code.endsWith('_ERROR')) return 500;
+  return 400;
+}
+
+/**
+ * PUT /api/chat/message/:messageId
+ * Modifier un de ses messages (dans le délai autorisé)
+ */
+router.put('/message/:messageId',
+  [
+    body('content')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: messageService.MESSAGE_CONFIG.MAX_LENGTH })
+      .withMessage(`Message invalide (1-${messageService.MESSAGE_CONFIG.MAX_LENGTH} caractères)`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
+      const { messageId } = req.params;
+      const userId = req.user.userId;
+      
+      const result = await messageService.editMessage(messageId, userId, req.body.content);
+      
+      if (!result.success) {
+        return res.status(getMessageErrorStatus(result.code)).json({
+          error: result.reason,
+          code: result.code
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: formatMessage({ ...result.message, session_id: result.message.public_session_id }, userId),
+        blocked: result.moderation ? result.moderation.messageBlocked : false
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/chat/message/edit', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur modification message',
+        code: 'MESSAGE_EDIT_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/chat/message/:messageId
+ * Supprimer un de ses messages (dans le délai autorisé)
+ */
+router.delete('/message/:messageId', async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.userId;
+    
+    const result = await messageService.deleteMessage(messageId, userId);
+    
+    if (!result.success) {
+      return res.status(getMessageErrorStatus(result.code)).json({
+        error: result.reason,
+        code: result.code
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Message supprimé',
+      deletedAt: result.deletedAt
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/chat/message/delete', userId: req.user?.userId });
+    res.status(500).json({ 
+      error: 'Erreur suppression message',
+      code: 'MESSAGE_DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/chat/session/:sessionId/attachments
+ * Envoyer une image ou un fichier (multipart, champ "file"), en attente de modération
+ */
+router.post('/session/:sessionId/attachments', (req, res, next) => {
+  attachmentUpload(req, res, (error) => {
+    if (!error) return next();
+    
+    if (error instanceof multer.MulterError) {
+      const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        error: status === 413 ? 'Fichier trop volumineux' : 'Envoi de fichier invalide',
+        code: error.code
+      });
+    }
+    
+    next(error);
+  });
+}, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.user.userId;
+    
+    const session = await groupSessionService.getParticipantSession(sessionId, userId, { activeOnly: true });
+    
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session non trouvée ou inactive',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+    
+    const result = await attachmentService.uploadAttachment(session, userId, req.file);
+    
+    if (!result.success) {
+      const status = {
+        RATE_LIMIT_EXCEEDED: 429,
+        FILE_TOO_LARGE: 413,
+        UNSUPPORTED_TYPE: 415,
+        UPLOAD_ERROR: 500
+      }[result.code] || 400;
+      
+      return res.status(status).json({
+        error: result.reason,
+        code: result.code
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      attachment: attachmentService.formatAttachment(result.attachment)
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/chat/session/attachments', userId: req.user?.userId });
+    res.status(500).json({ 
+      error: 'Erreur envoi fichier',
+      code: 'UPLOAD_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/chat/attachments/:attachmentId
+ * Télécharger une pièce jointe (?variant=thumbnail pour la miniature)
+ */
+router.get('/attachments/:attachmentId',
+  [
+    query('variant')
+      .optional()
+      .isIn(['original', 'thumbnail'])
+      .withMessage('Variante invalide')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
+      const { attachmentId } = req.params;
+      const userId = req.user.userId;
+      
+      const attachment = await attachmentService.getAttachment(attachmentId);
+      
+      // Même réponse qu'une pièce jointe inexistante tant qu'elle n'est pas accessible
+      if (!attachment || !await attachmentService.canAccess(attachment, userId)) {
+        return res.status(404).json({
+          error: 'Pièce jointe non trouvée',
+          code: 'ATTACHMENT_NOT_FOUND'
+        });
+      }
+      
+      const file = attachmentService.openAttachment(attachment, req.query.variant);
+      
+      res.set({
+        'Content-Type': file.mimeType,
+        'Content-Disposition': `${attachment.kind === 'image' ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.fileName)}`,
+        'X-Content-Type-Options': 'nosniff',
+        'Cache-Control': 'private, max-age=3600'
+      });
+      
+      file.stream.on('error', (error) => {
+        logger.logError(error, { route: '/chat/attachments', attachmentId });
+        if (!res.headersSent) {
+          res.status(404).json({ error: 'Pièce jointe non trouvée', code: 'ATTACHMENT_NOT_FOUND' });
+        } else {
+          res.destroy();
+        }
+      });
+      
+      file.stream.pipe(res);
+    
+    } catch (error) {
+      logger.logError(error, { route: '/chat/attachments', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur récupération fichier',
+        code: 'ATTACHMENT_FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/chat/search
+ * Rechercher dans l'historique de ses propres sessions (comptes inscrits)
+ */
+router.get('/search',
+  requirePermission('chat:view_history'),
+  [
+    query('q')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Recherche invalide (2-200 caractères)'),
+    query('sessionId')
+      .optional()
+      .isString()
+      .withMessage('ID de session invalide'),
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('Date de début invalide'),
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('Date de fin invalide'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: messageService.MESSAGE_CONFIG.SEARCH_MAX_PAGE_SIZE })
+      .withMessage(`Limite invalide (1-${messageService.MESSAGE_CONFIG.SEARCH_MAX_PAGE_SIZE})`),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset invalide')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
+      const { q, sessionId, from, to, limit = messageService.MESSAGE_CONFIG.SEARCH_PAGE_SIZE, offset = 0 } = req.query;
+      const userId = req.user.userId;
+      
+      const results = await messageService.searchMessages(userId, {
+        query: q,
+        sessionId: sessionId || null,
+        from: from || null,
+        to: to || null,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      });
+      
+      res.json({
+        success: true,
+        query: q,
+        results,
+        pagination: {
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          total: results.length
+        }
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/chat/search', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur recherche messages',
+        code: 'SEARCH_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/chat/sessions
  * Récupérer les sessions de chat de l'utilisateur
@@ -462,49 +875,69 @@ router.post('/session/:sessionId/end',
     body('reason')
       .optional()
       .isIn(['normal', 'timeout', 'inappropriate', 'technical'])
-      .withMessage('Raison invalide')
+      .withMessage('Raison invalide'),
+    body('skipReason')
+      .optional()
+      .isIn(qualityService.QUALITY_CONFIG.SKIP_REASONS)
+      .withMessage('Raison de skip invalide')
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
       const { sessionId } = req.params;
-      const { rating, reason = 'normal' } = req.body;
+      const { rating, reason = 'normal', skipReason } = req.body;
       const userId = req.user.userId;
       
       // Vérifier que la session existe et appartient à l'utilisateur
-      const sessionResult = await db.query(`
-        SELECT * FROM chat_sessions 
-        WHERE session_id = $1 
-        AND (user1_id = $2 OR user2_id = $2)
-        AND status = 'active'
-      `, [sessionId, userId]);
-      
-      if (sessionResult.rows.length === 0) {
+      const session = await groupSessionService.getParticipantSession(sessionId, userId, { activeOnly: true });
+      
+      if (!session) {
         return res.status(404).json({
           error: 'Session non trouvée ou déjà terminée',
           code: 'SESSION_NOT_FOUND'
         });
       }
       
-      const session = sessionResult.rows[0];
+      // En groupe, terminer revient à quitter le groupe
+      if (session.session_type === 'group') {
+        const leaveResult = await groupSessionService.leaveGroupSession(session, userId, reason);
+        
+        return res.json({
+          success: true,
+          message: 'Groupe quitté',
+          session: {
+            id: sessionId,
+            left: true,
+            ended: leaveResult.sessionEnded || false
+          }
+        });
+      }
       
       // Calculer la durée de la session
       const startTime = new Date(session.started_at || session.created_at);
       const endTime = new Date();
       const durationSeconds = Math.floor((endTime - startTime) / 1000);
       
-      // Déterminer quel utilisateur note
-      const isUser1 = session.user1_id === userId;
-      const ratingColumn = isUser1 ? 'rating_user1' : 'rating_user2';
-      
       // Mettre à jour la session
       await db.query(`
         UPDATE chat_sessions 
         SET status = 'ended', 
             ended_at = NOW(), 
-            duration_seconds = $2,
-            ${ratingColumn} = $3
+            duration_seconds = $2
         WHERE id = $1
-      `, [session.id, durationSeconds, rating || null]);
+      `, [session.id, durationSeconds]);
+      
+      // Note donnée en fin de session (même règles que la notation différée)
+      const ratingResult = rating
+        ? await ratingService.rateSession(sessionId, userId, parseInt(rating))
+        : null;
       
       // Mettre à jour les statistiques utilisateur
       await db.query(`
@@ -521,11 +954,17 @@ router.post('/session/:sessionId/end',
         WHERE user_id = $1
       `, [userId, Math.floor(durationSeconds / 60)]);
       
+      // Raison de skip éventuelle (alimente le score de qualité du partenaire)
+      if (skipReason) {
+        await qualityService.recordSkip(session, userId, skipReason);
+      }
+      
       logger.logUserActivity(userId, 'chat_session_ended', {
         sessionId,
         duration: durationSeconds,
         rating,
-        reason
+        reason,
+        skipReason
       });
       
       res.json({
@@ -534,7 +973,8 @@ router.post('/session/:sessionId/end',
         session: {
           id: sessionId,
           duration: durationSeconds,
-          endedAt: endTime.toISOString()
+          endedAt: endTime.toISOString(),
+          rated: Boolean(ratingResult?.success)
         }
       });
       
@@ -548,6 +988,60 @@ router.post('/session/:sessionId/end',
   }
 );
 
+/**
+ * POST /api/chat/session/:sessionId/rate
+ * Noter le partenaire après la fin d'une session
+ */
+router.post('/session/:sessionId/rate',
+  [
+    body('rating')
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Note invalide (1-5)')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
+      const { sessionId } = req.params;
+      const { rating } = req.body;
+      const userId = req.user.userId;
+      
+      const result = await ratingService.rateSession(sessionId, userId, rating);
+      
+      if (!result.success) {
+        const status = result.code === 'SESSION_NOT_FOUND' ? 404
+          : result.code === 'RATING_ERROR' ? 500
+          : 400;
+        
+        return res.status(status).json({
+          error: result.reason,
+          code: result.code
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: 'Session notée',
+        rating
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/chat/session/rate', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur notation session',
+        code: 'SESSION_RATE_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/chat/session/:sessionId/report
  * Signaler une session ou un message
@@ -584,21 +1078,16 @@ router.post('/session/:sessionId/report',
       const reporterId = req.user.userId;
       
       // Vérifier que la session existe et appartient à l'utilisateur
-      const sessionResult = await db.query(`
-        SELECT * FROM chat_sessions 
-        WHERE session_id = $1 
-        AND (user1_id = $2 OR user2_id = $2)
-      `, [sessionId, reporterId]);
+      const session = await groupSessionService.getParticipantSession(sessionId, reporterId);
       
-      if (sessionResult.rows.length === 0) {
+      if (!session) {
         return res.status(404).json({
           error: 'Session non trouvée',
           code: 'SESSION_NOT_FOUND'
         });
       }
       
-      const session = sessionResult.rows[0];
-      const reportedUserId = session.user1_id === reporterId ? session.user2_id : session.user1_id;
+      let reportedUserId = session.user1_id === reporterId ? session.user2_id : session.user1_id;
       
       // Si c'est un message, vérifier qu'il existe
       if (targetType === 'message' && targetId) {
@@ -614,6 +1103,11 @@ router.post('/session/:sessionId/report',
             code: 'MESSAGE_NOT_FOUND'
           });
         }
+        
+        // En groupe, l'auteur du message est la personne signalée
+        if (session.session_type === 'group') {
+          reportedUserId = messageResult.rows[0].sender_id;
+        }
       }
       
       // Créer le signalement
@@ -655,6 +1149,73 @@ router.post('/session/:sessionId/report',
   }
 );
 
+/**
+ * POST /api/chat/preferences
+ * Mettre à jour les préférences de chat (accusés de lecture)
+ */
+router.post('/preferences',
+  [
+    body('readReceipts')
+      .optional()
+      .isBoolean()
+      .withMessage('Préférence d\'accusés de lecture invalide')
+      .toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          error: 'Données invalides',
+          details: errors.array()
+        });
+      }
+      
+      const userId = req.user.userId;
+      const newPreferences = {};
+      if (req.body.readReceipts !== undefined) newPreferences.readReceipts = req.body.readReceipts;
+      
+      // Récupérer les préférences actuelles
+      const userResult = await db.getUserById(userId);
+      if (userResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+      
+      const currentPreferences = userResult.rows[0].preferences || {};
+      const updatedPreferences = {
+        ...currentPreferences,
+        chat: {
+          ...currentPreferences.chat,
+          ...newPreferences
+        }
+      };
+      
+      await db.query(
+        'UPDATE users SET preferences = $2, updated_at = NOW() WHERE user_id = $1',
+        [userId, JSON.stringify(updatedPreferences)]
+      );
+      
+      logger.logUserActivity(userId, 'preferences_updated', { type: 'chat', preferences: newPreferences });
+      
+      res.json({
+        success: true,
+        message: 'Préférences mises à jour',
+        preferences: {
+          ...updatedPreferences.chat,
+          readReceipts: readReceiptService.areReadReceiptsEnabled({ preferences: updatedPreferences })
+        }
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/chat/preferences', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur mise à jour préférences',
+        code: 'PREFERENCES_ERROR'
+      });
+    }
+  }
+);
+
 /**
  * GET /api/chat/blocked-words
  * Récupérer la liste des mots bloqués (pour le filtre côté client)
@@ -10,8 +10,16 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware, hasPermission } = require('../middleware/auth');
+const { matchingValidators, handleValidationErrors } = require('../middleware/validation');
 const matchingService = require('../services/matchingService');
+const blockService = require('../services/blockService');
+const groupSessionService = require('../services/groupSessionService');
+const waitTimeService = require('../services/waitTimeService');
+const matchProposalService = require('../services/matchProposalService');
+const geoIndexService = require('../services/geoIndexService');
+const ratingService = require('../services/ratingService');
+const heartbeatService = require('../services/heartbeatService');
 
 const router = express.Router();
 
@@ -23,22 +31,10 @@ router.use(authMiddleware);
 // ============================================================================
 
 /**
- * Calculer la distance entre deux points géographiques
+ * Vérifier si des préférences contiennent des filtres premium
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  if (!lat1 || !lon1 || !lat2 || !lon2) return null;
-  
-  const R = 6371; // Rayon de la Terre en km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return Math.round(R * c);
+function usesPremiumFilters(preferences = {}) {
+  return matchingService.MATCHING_CONFIG.PREMIUM_FILTERS.some(filter => preferences[filter] !== undefined);
 }
 
 /**
@@ -63,27 +59,22 @@ function getDefaultMatchingPreferences(userType) {
  * Rechercher un partenaire de chat
  */
 router.post('/find-partner',
-  [
-    body('matchType')
-      .isIn(['random', 'local', 'group'])
-      .withMessage('Type de match invalide'),
-    body('preferences')
-      .optional()
-      .isObject()
-      .withMessage('Préférences invalides')
-  ],
+  matchingValidators.findPartner,
+  handleValidationErrors,
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          error: 'Données invalides',
-          details: errors.array()
-        });
-      }
-      
       const { matchType, preferences = {} } = req.body;
       const userId = req.user.userId;
+      const permissions = req.user.permissions || [];
+      const canUsePremiumFilters = hasPermission(permissions, 'matching:premium_filters');
+      
+      // Les filtres premium exigent la permission correspondante
+      if (!canUsePremiumFilters && usesPremiumFilters(preferences)) {
+        return res.status(403).json({
+          error: 'Filtres réservés aux comptes premium',
+          code: 'PREMIUM_REQUIRED'
+        });
+      }
       
       logger.logMatching(userId, null, matchType, false, { stage: 'search_started', preferences });
       
@@ -113,9 +104,12 @@ router.post('/find-partner',
       
       const userLocation = locationResult.rows[0];
       
-      // Merge des préférences
+      // Merge des préférences (défauts, préférences enregistrées, requête).
+      // Les filtres premium enregistrés sont ignorés si le compte n'y a plus droit.
+      const storedPreferences = user.preferences?.matching || {};
       const matchingPreferences = {
         ...getDefaultMatchingPreferences(matchType),
+        ...(canUsePremiumFilters ? storedPreferences : matchingService.stripPremiumFilters(storedPreferences)),
         ...preferences
       };
       
@@ -131,6 +125,8 @@ router.post('/find-partner',
         longitude: userLocation?.longitude,
         matchType,
         preferences: matchingPreferences,
+        rating: ratingService.getRatingSummary(user.stats),
+        priority: hasPermission(permissions, 'chat:priority_matching'),
         joinedAt: Date.now()
       };
       
@@ -144,8 +140,32 @@ router.post('/find-partner',
         startedAt: Date.now() 
       }, 300); // 5 minutes
       
-      // Recherche immédiate d'un partenaire
-      let matchResult = await matchingService.findPartner(matchingData);
+      // Groupe : rejoindre directement un groupe en cours ayant une place compatible
+      // (entrée éventuelle en file réservée d'abord : pas de second groupe en parallèle)
+      let joinResult = null;
+      if (matchType === 'group') {
+        joinResult = await groupSessionService.joinOpenGroup(matchingData);
+        
+        if (joinResult?.success) {
+          return res.json({
+            success: true,
+            matched: true,
+            isGroup: true,
+            searchId,
+            sessionId: joinResult.sessionId,
+            participants: joinResult.participants,
+            session: {
+              id: joinResult.sessionId,
+              createdAt: joinResult.createdAt
+            }
+          });
+        }
+      }
+      
+      // Recherche immédiate d'un partenaire (sauf si le matchmaker vient de placer l'utilisateur)
+      let matchResult = joinResult?.code === 'ALREADY_MATCHED'
+        ? joinResult
+        : await matchingService.findPartner(matchingData, { proposals: matchProposalService });
       
       if (matchResult.success && matchResult.partner) {
         // Match trouvé immédiatement
@@ -178,25 +198,60 @@ router.post('/find-partner',
               city: matchResult.partner.city
             },
             distance: matchResult.distance
-          }
+          },
+          sharedInterests: matchResult.sharedInterests
         });
         
+      } else if (matchResult.success && matchResult.proposed) {
+        // Aperçu demandé : les deux utilisateurs doivent accepter (chat:match_proposed)
+        res.json({
+          success: true,
+          matched: false,
+          proposed: true,
+          searchId,
+          proposalId: matchResult.proposalId,
+          expiresAt: new Date(matchResult.expiresAt).toISOString()
+        });
+      
+      } else if (matchResult.code === 'ALREADY_MATCHED') {
+        // Apparié pendant la recherche : le match arrive par chat:matched (ou chat:match_proposed)
+        res.json({
+          success: true,
+          matched: false,
+          pending: true,
+          searchId,
+          message: 'Partenaire trouvé, ouverture de la session...'
+        });
+      
       } else {
-        // Aucun match trouvé, ajouter à la file d'attente
-        await redisClient.addToMatchingQueue(userId, matchingData);
+        // Aucun match trouvé, ajouter à la file d'attente (à son rang), sauf si
+        // l'utilisateur y attend déjà : une seconde entrée permettrait deux appariements
+        if (!matchResult.queued) {
+          await matchingService.enqueueUser(matchingData);
+        }
+        await heartbeatService.recordHeartbeat(userId);
         
         logger.logMatching(userId, null, matchType, false, { 
           stage: 'added_to_queue', 
           queuePosition: await matchingService.getQueuePosition(userId, matchType)
         });
         
+        const waitEstimate = await waitTimeService.estimateWaitTime(matchType, user.country);
+        
         res.json({
           success: true,
           matched: false,
           searchId,
           message: 'Recherche en cours...',
           queuePosition: await matchingService.getQueuePosition(userId, matchType),
-          estimatedWait: await matchingService.getEstimatedWaitTime(matchType)
+          estimatedWait: waitEstimate ? waitEstimate.median : await matchingService.getEstimatedWaitTime(matchType),
+          waitEstimate: waitEstimate ? {
+            median: waitEstimate.median,
+            p90: waitEstimate.p90,
+            sampleCount: waitEstimate.sampleCount
+          } : null,
+          // Sans socket connectée, polling du statut attendu à cet intervalle (en secondes)
+          heartbeatInterval: heartbeatService.HEARTBEAT_CONFIG.INTERVAL_SECONDS
         });
       }
       
@@ -238,11 +293,18 @@ router.post('/cancel-search', async (req, res) => {
       });
     }
     
+    // Refuser une éventuelle proposition en attente (le partenaire retourne en file)
+    const pendingProposal = await redisClient.getCache(`user_proposal:${userId}`);
+    if (pendingProposal) {
+      await matchProposalService.declineProposal(pendingProposal.proposalId, userId, 'cancelled');
+    }
+    
     // Retirer de toutes les files d'attente possibles
     await Promise.all([
       redisClient.removeFromMatchingQueue(userId, 'random'),
       redisClient.removeFromMatchingQueue(userId, 'local'),
-      redisClient.removeFromMatchingQueue(userId, 'group')
+      redisClient.removeFromMatchingQueue(userId, 'group'),
+      geoIndexService.removeUser(userId, 'local')
     ]);
     
     // Nettoyer le cache de recherche
@@ -271,42 +333,75 @@ router.get('/status/:searchId', async (req, res) => {
     const userId = req.user.userId;
     const { searchId } = req.params;
     
-    // Vérifier si l'utilisateur est en recherche
     const existingSearch = await redisClient.getCache(`searching:${userId}`);
-    if (!existingSearch || existingSearch.searchId !== searchId) {
-      return res.status(404).json({
-        error: 'Recherche non trouvée',
-        code: 'SEARCH_NOT_FOUND'
-      });
-    }
     
-    // Vérifier s'il y a eu un match entre temps
+    // Vérifier s'il y a eu un match entre temps (le matchmaker peut avoir
+    // déjà clos la recherche après avoir notifié par chat:matched)
     const matchResult = await redisClient.getCache(`match:${userId}`);
-    if (matchResult) {
+    if (matchResult && (matchResult.searchId === searchId || existingSearch?.searchId === searchId)) {
       // Match trouvé
       await redisClient.deleteCache(`searching:${userId}`);
       await redisClient.deleteCache(`match:${userId}`);
       
-      logger.logMatching(userId, matchResult.partnerId, existingSearch.matchType, true, { stage: 'async_match' });
+      logger.logMatching(userId, matchResult.partnerId, existingSearch?.matchType, true, { stage: 'async_match' });
       
       return res.json({
         success: true,
         matched: true,
         searchId,
         session: matchResult.session,
-        partner: matchResult.partner
+        partner: matchResult.partner,
+        isGroup: Boolean(matchResult.isGroup),
+        participants: matchResult.participants
+      });
+    }
+    
+    // Vérifier si l'utilisateur est en recherche
+    if (!existingSearch || existingSearch.searchId !== searchId) {
+      return res.status(404).json({
+        error: 'Recherche non trouvée',
+        code: 'SEARCH_NOT_FOUND'
+      });
+    }
+    
+    // Le polling du statut vaut heartbeat (clients sans WebSocket)
+    await heartbeatService.recordHeartbeat(userId);
+    
+    // Proposition en attente d'acceptation
+    const pendingProposal = await redisClient.getCache(`user_proposal:${userId}`);
+    if (pendingProposal) {
+      return res.json({
+        success: true,
+        matched: false,
+        searchId,
+        status: 'proposed',
+        proposalId: pendingProposal.proposalId,
+        expiresAt: new Date(pendingProposal.expiresAt).toISOString()
       });
     }
     
     // Toujours en recherche
     const queuePosition = await matchingService.getQueuePosition(userId, existingSearch.matchType);
     const estimatedWait = await matchingService.getEstimatedWaitTime(existingSearch.matchType);
+    const relaxationStage = matchingService.getRelaxationStage(
+      existingSearch.matchType,
+      existingSearch.queueJoinedAt || existingSearch.startedAt
+    );
     
     res.json({
       success: true,
       matched: false,
       searchId,
       status: 'searching',
+      matchType: existingSearch.matchType,
+      fallbackFrom: existingSearch.fallbackFrom || null,
+      stage: {
+        index: relaxationStage.index,
+        name: relaxationStage.name,
+        minScore: relaxationStage.minScore,
+        distanceFactor: relaxationStage.distanceFactor,
+        nextStageIn: relaxationStage.nextStageIn
+      },
       queuePosition,
       estimatedWait,
       elapsedTime: Date.now() - existingSearch.startedAt
@@ -321,6 +416,71 @@ router.get('/status/:searchId', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/matching/proposals/:proposalId/accept
+ * Accepter une proposition de match (session créée quand les deux ont accepté)
+ */
+router.post('/proposals/:proposalId/accept', async (req, res) => {
+  try {
+    const { proposalId } = req.params;
+    
+    const result = await matchProposalService.acceptProposal(proposalId, req.user.userId);
+    
+    if (!result.success) {
+      return res.status(404).json({
+        error: result.reason,
+        code: 'PROPOSAL_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      proposalId,
+      waiting: result.waiting,
+      sessionId: result.sessionId || null
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/matching/proposals/:proposalId/accept', userId: req.user?.userId });
+    res.status(500).json({ 
+      error: 'Erreur lors de l\'acceptation',
+      code: 'PROPOSAL_ACCEPT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/matching/proposals/:proposalId/decline
+ * Refuser une proposition de match (retour en file sans pénalité)
+ */
+router.post('/proposals/:proposalId/decline', async (req, res) => {
+  try {
+    const { proposalId } = req.params;
+    
+    const result = await matchProposalService.declineProposal(proposalId, req.user.userId);
+    
+    if (!result.success) {
+      return res.status(404).json({
+        error: result.reason,
+        code: 'PROPOSAL_NOT_FOUND'
+      });
+    }
+    
+    res.json({
+      success: true,
+      proposalId,
+      message: 'Proposition refusée, retour en file d\'attente'
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/matching/proposals/:proposalId/decline', userId: req.user?.userId });
+    res.status(500).json({ 
+      error: 'Erreur lors du refus',
+      code: 'PROPOSAL_DECLINE_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/matching/queue-stats
  * Statistiques des files d'attente
@@ -366,33 +526,20 @@ router.get('/queue-stats', async (req, res) => {
  * Mettre à jour les préférences de matching
  */
 router.post('/preferences',
-  [
-    body('genderPreference')
-      .optional()
-      .isIn(['all', 'homme', 'femme', 'non-binaire'])
-      .withMessage('Préférence de genre invalide'),
-    body('ageRangePreference')
-      .optional()
-      .isIn(['all', '13-17', '18-24', '25-34', '35-44', '45+'])
-      .withMessage('Préférence d\'âge invalide'),
-    body('maxDistance')
-      .optional()
-      .isInt({ min: 5, max: 5000 })
-      .withMessage('Distance invalide (5-5000 km)')
-  ],
+  matchingValidators.updatePreferences,
+  handleValidationErrors,
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          error: 'Données invalides',
-          details: errors.array()
-        });
-      }
-      
       const userId = req.user.userId;
       const newPreferences = req.body;
       
+      if (!hasPermission(req.user.permissions || [], 'matching:premium_filters') && usesPremiumFilters(newPreferences)) {
+        return res.status(403).json({
+          error: 'Filtres réservés aux comptes premium',
+          code: 'PREMIUM_REQUIRED'
+        });
+      }
+      
       // Récupérer les préférences actuelles
       const userResult = await db.getUserById(userId);
       if (userResult.rows.length === 0) {
@@ -532,6 +679,12 @@ router.post('/report-user',
         }, 'warning');
       }
       
+      // Le signalement entraîne un blocage pour ne plus être apparié
+      await blockService.blockUser(reporterId, reportedUserId, {
+        reason: 'report',
+        sessionId: sessionId || null
+      });
+      
       logger.logUserActivity(reporterId, 'user_reported', {
         reportedUserId,
         reportType,
@@ -555,77 +708,187 @@ router.post('/report-user',
 );
 
 /**
- * GET /api/matching/nearby-users
- * Récupérer les utilisateurs à proximité (pour chat local)
+ * GET /api/matching/blocks
+ * Récupérer la liste des utilisateurs bloqués
  */
-router.get('/nearby-users', async (req, res) => {
+router.get('/blocks', async (req, res) => {
   try {
-    const userId = req.user.userId;
-    const { radius = 50 } = req.query; // Rayon en km
+    const blockedUsers = await blockService.getBlockedUsers(req.user.userId);
     
-    // Récupérer la localisation de l'utilisateur
-    const locationResult = await db.query(
-      'SELECT latitude, longitude, country, city FROM user_locations WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
-      [userId]
-    );
+    res.json({
+      success: true,
+      blockedUsers,
+      total: blockedUsers.length
+    });
+  
+  } catch (error) {
+    logger.logError(error, { route: '/matching/blocks', userId: req.user?.userId });
+    res.status(500).json({ 
+      error: 'Erreur récupération des blocages',
+      code: 'BLOCKS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/matching/blocks
+ * Bloquer un utilisateur
+ */
+router.post('/blocks',
+  matchingValidators.blockUser,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { blockedUserId, sessionId } = req.body;
+      const blockerId = req.user.userId;
+      
+      if (blockerId === blockedUserId) {
+        return res.status(400).json({
+          error: 'Impossible de se bloquer soi-même',
+          code: 'SELF_BLOCK'
+        });
+      }
+      
+      const blockedUserResult = await db.getUserById(blockedUserId);
+      if (blockedUserResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Utilisateur non trouvé' });
+      }
+      
+      const result = await blockService.blockUser(blockerId, blockedUserId, {
+        reason: 'manual',
+        sessionId: sessionId || null
+      });
+      
+      if (!result.success) {
+        return res.status(400).json({
+          error: result.reason,
+          code: 'BLOCK_FAILED'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: result.alreadyBlocked ? 'Utilisateur déjà bloqué' : 'Utilisateur bloqué',
+        blockedUserId
+      });
     
-    if (locationResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Localisation non trouvée' });
+    } catch (error) {
+      logger.logError(error, { route: '/matching/blocks', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur lors du blocage',
+        code: 'BLOCK_ERROR'
+      });
     }
+  }
+);
+
+/**
+ * DELETE /api/matching/blocks/:blockedUserId
+ * Débloquer un utilisateur
+ */
+router.delete('/blocks/:blockedUserId', async (req, res) => {
+  try {
+    const { blockedUserId } = req.params;
     
-    const userLocation = locationResult.rows[0];
-    
-    // Rechercher les utilisateurs dans le rayon (approximation simple)
-    const nearbyResult = await db.query(`
-      SELECT u.user_id, u.username, u.gender, u.country, u.city, 
-             ul.latitude, ul.longitude, u.status
-      FROM users u
-      JOIN user_locations ul ON u.user_id = ul.user_id
-      WHERE u.user_id != $1 
-        AND u.status = 'online'
-        AND ul.country = $2
-        AND ABS(ul.latitude - $3) < 1 
-        AND ABS(ul.longitude - $4) < 1
-      ORDER BY (ABS(ul.latitude - $3) + ABS(ul.longitude - $4))
-      LIMIT 20
-    `, [userId, userLocation.country, userLocation.latitude, userLocation.longitude]);
+    const result = await blockService.unblockUser(req.user.userId, blockedUserId);
     
-    const nearbyUsers = nearbyResult.rows.map(user => {
-      const distance = calculateDistance(
-        userLocation.latitude, userLocation.longitude,
-        user.latitude, user.longitude
-      );
-      
-      return {
-        id: user.user_id,
-        username: user.username,
-        gender: user.gender,
-        location: {
-          country: user.country,
-          city: user.city
-        },
-        distance: distance,
-        status: user.status
-      };
-    }).filter(user => user.distance <= parseInt(radius));
+    if (!result.success) {
+      return res.status(404).json({
+        error: result.reason,
+        code: 'BLOCK_NOT_FOUND'
+      });
+    }
     
     res.json({
       success: true,
-      nearbyUsers,
-      userLocation: {
-        country: userLocation.country,
-        city: userLocation.city
-      },
-      radius: parseInt(radius)
+      message: 'Utilisateur débloqué',
+      blockedUserId
     });
-    
+  
   } catch (error) {
-    logger.logError(error, { route: '/matching/nearby-users', userId: req.user?.userId });
+    logger.logError(error, { route: '/matching/blocks/:blockedUserId', userId: req.user?.userId });
     res.status(500).json({ 
-      error: 'Erreur recherche utilisateurs proches',
-      code: 'NEARBY_USERS_ERROR'
+      error: 'Erreur lors du déblocage',
+      code: 'UNBLOCK_ERROR'
     });
   }
 });
 
+/**
+ * GET /api/matching/nearby-users
+ * Récupérer les utilisateurs à proximité (pour chat local)
+ */
+router.get('/nearby-users',
+  matchingValidators.nearbyUsers,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.userId;
+      const { radius = 50 } = req.query; // Rayon en km (entier validé)
+      
+      // Récupérer la localisation de l'utilisateur
+      const locationResult = await db.query(
+        'SELECT latitude, longitude, country, city FROM user_locations WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1',
+        [userId]
+      );
+      
+      if (locationResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Localisation non trouvée' });
+      }
+      
+      const userLocation = locationResult.rows[0];
+      
+      // Rechercher dans l'index géographique de la file locale (coordonnées arrondies)
+      const nearby = await geoIndexService.searchNearby(
+        'local', userLocation.latitude, userLocation.longitude, radius,
+        { excludeUserId: userId, limit: 20 }
+      );
+      
+      const nearbyResult = nearby.length > 0 ? await db.query(`
+        SELECT user_id, username, gender, country, city, status
+        FROM users
+        WHERE user_id = ANY($1) AND status = 'online'
+      `, [nearby.map(result => result.userId)]) : { rows: [] };
+      
+      const usersById = new Map(nearbyResult.rows.map(user => [user.user_id, user]));
+      
+      // Ordre de l'index conservé (du plus proche au plus loin)
+      const nearbyUsers = nearby
+        .filter(result => usersById.has(result.userId))
+        .map(result => {
+          const user = usersById.get(result.userId);
+          
+          return {
+            id: user.user_id,
+            username: user.username,
+            gender: user.gender,
+            location: {
+              country: user.country,
+              city: user.city
+            },
+            distance: Math.round(result.distance),
+            status: user.status
+          };
+        });
+      
+      res.json({
+        success: true,
+        nearbyUsers,
+        userLocation: {
+          country: userLocation.country,
+          city: userLocation.city
+        },
+        radius
+      });
+    
+    } catch (error) {
+      logger.logError(error, { route: '/matching/nearby-users', userId: req.user?.userId });
+      res.status(500).json({ 
+        error: 'Erreur recherche utilisateurs proches',
+        code: 'NEARBY_USERS_ERROR'
+      });
+    }
+  }
+);
+
 module.exports = router;
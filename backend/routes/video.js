@@ -10,7 +10,7 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
-const authMiddleware = require('../middleware/auth');
+const { authMiddleware } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -0,0 +1,153 @@
+// ============================================================================
+// SERVEUR PRINCIPAL (API EXPRESS + SOCKET.IO + MATCHMAKER)
+// Fichier : /var/www/libekoo/backend/server.js
+// ============================================================================
+
+const http = require('http');
+const express = require('express');
+const { Server } = require('socket.io');
+
+const logger = require('./config/logger');
+const { socketAuthMiddleware } = require('./middleware/auth');
+const eventBus = require('./services/eventBus');
+const matchmakerService = require('./services/matchmakerService');
+
+const authRoutes = require('./routes/auth');
+const chatRoutes = require('./routes/chat');
+const matchingRoutes = require('./routes/matching');
+const videoRoutes = require('./routes/video');
+const adminRoutes = require('./routes/admin');
+const analyticsRoutes = require('./routes/analytics');
+
+const chatHandler = require('./sockets/chatHandler');
+const videoHandler = require('./sockets/videoHandler');
+const adminHandler = require('./sockets/adminHandler');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const SERVER_CONFIG = {
+  // Port d'écoute (nginx relaie /api et /socket.io vers ce port)
+  PORT: parseInt(process.env.PORT, 10) || 3001,
+  
+  // Origine autorisée pour les requêtes cross-origin
+  CORS_ORIGIN: process.env.CORS_ORIGIN || 'https://libekoo.me',
+  
+  // Taille maximale des corps JSON
+  JSON_LIMIT: '1mb'
+};
+
+// ============================================================================
+// APPLICATION EXPRESS
+// ============================================================================
+
+const app = express();
+
+// Derrière nginx : req.ip provient de X-Forwarded-For
+app.set('trust proxy', 1);
+
+app.use(express.json({ limit: SERVER_CONFIG.JSON_LIMIT }));
+
+// Adresse du client utilisée par les routes et les middlewares (bans IP, géolocalisation)
+app.use((req, res, next) => {
+  req.userIP = req.ip;
+  next();
+});
+
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.use('/api/auth', authRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/matching', matchingRoutes);
+app.use('/api/video', videoRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/analytics', analyticsRoutes);
+
+app.use('/api', (req, res) => {
+  res.status(404).json({
+    error: 'Route non trouvée',
+    code: 'NOT_FOUND'
+  });
+});
+
+app.use((error, req, res, next) => {
+  logger.logError(error, { url: req.originalUrl, method: req.method, ip: req.userIP });
+  
+  res.status(error.status || 500).json({
+    error: 'Erreur serveur',
+    code: 'INTERNAL_ERROR'
+  });
+});
+
+// ============================================================================
+// SERVEUR SOCKET.IO
+// ============================================================================
+
+const server = http.createServer(app);
+
+const io = new Server(server, {
+  cors: {
+    origin: SERVER_CONFIG.CORS_ORIGIN,
+    credentials: true
+  }
+});
+
+io.use(socketAuthMiddleware);
+
+io.on('connection', (socket) => {
+  // Room personnelle : cible des notifications (matchs, propositions, messages)
+  socket.join(`user_${socket.userId}`);
+  
+  chatHandler(io, socket);
+  videoHandler(io, socket);
+  adminHandler(io, socket);
+});
+
+// ============================================================================
+// DÉMARRAGE ET ARRÊT
+// ============================================================================
+
+/**
+ * Brancher le bus d'événements, démarrer le serveur HTTP puis le matchmaker
+ */
+async function startServer() {
+  // Adaptateur Redis et relais du bus : les émissions atteignent les sockets de toutes les instances
+  await eventBus.attachSocketServer(io);
+  
+  await new Promise(resolve => server.listen(SERVER_CONFIG.PORT, resolve));
+  
+  logger.info(`Serveur démarré sur le port ${SERVER_CONFIG.PORT}`);
+  
+  matchmakerService.startMatchmaker();
+}
+
+/**
+ * Arrêter proprement (pm2 envoie SIGINT, systemd SIGTERM)
+ */
+function shutdown(signal) {
+  logger.info(`Arrêt du serveur (${signal})`);
+  
+  matchmakerService.stopMatchmaker();
+  
+  io.close(() => {
+    process.exit(0);
+  });
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+startServer().catch(error => {
+  logger.logError(error, { function: 'startServer' });
+  process.exit(1);
+});
+
+module.exports = { app, server, io };
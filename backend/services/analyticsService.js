@@ -511,6 +511,78 @@ async function getAnalytics(periodType, startDate, endDate, limit = 100) {
   }
 }
 
+/**
+ * Comparer les variantes d'une expérience de matching (durée, messages, évaluations)
+ */
+async function getExperimentReport(experimentId, startDate = null, endDate = null) {
+  try {
+    let query = `
+      SELECT experiment_variant as variant,
+             COUNT(*) as sessions,
+             AVG(duration_seconds) FILTER (WHERE status = 'ended') as avg_duration,
+             PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY duration_seconds)
+               FILTER (WHERE status = 'ended') as median_duration,
+             AVG(message_count) as avg_messages,
+             COUNT(user1_rating) + COUNT(user2_rating) as rating_count,
+             (COALESCE(SUM(user1_rating), 0) + COALESCE(SUM(user2_rating), 0))::float
+               / NULLIF(COUNT(user1_rating) + COUNT(user2_rating), 0) as avg_rating
+      FROM chat_sessions
+      WHERE experiment_id = $1
+    `;
+    const params = [experimentId];
+    let paramIndex = 2;
+    
+    if (startDate) {
+      query += ` AND created_at >= $${paramIndex}`;
+      params.push(startDate);
+      paramIndex++;
+    }
+    
+    if (endDate) {
+      query += ` AND created_at < $${paramIndex}`;
+      params.push(endDate);
+      paramIndex++;
+    }
+    
+    query += ' GROUP BY experiment_variant ORDER BY experiment_variant';
+    
+    const result = await db.query(query, params);
+    
+    const variants = result.rows.map(row => ({
+      variant: row.variant,
+      sessions: parseInt(row.sessions),
+      averageDurationSeconds: parseFloat(row.avg_duration) || 0,
+      medianDurationSeconds: parseFloat(row.median_duration) || 0,
+      averageMessages: parseFloat(row.avg_messages) || 0,
+      ratingCount: parseInt(row.rating_count),
+      averageRating: row.avg_rating !== null ? parseFloat(row.avg_rating) : null
+    }));
+    
+    // Écarts relatifs par rapport à la variante témoin
+    const baseline = variants.find(v => v.variant === 'control') || null;
+    const relativeDelta = (value, reference) =>
+      reference ? Math.round(((value - reference) / reference) * 1000) / 10 : null;
+    
+    for (const variant of variants) {
+      if (!baseline || variant === baseline) continue;
+      
+      variant.vsControl = {
+        averageDurationPercent: relativeDelta(variant.averageDurationSeconds, baseline.averageDurationSeconds),
+        averageMessagesPercent: relativeDelta(variant.averageMessages, baseline.averageMessages),
+        averageRatingPercent: variant.averageRating !== null
+          ? relativeDelta(variant.averageRating, baseline.averageRating)
+          : null
+      };
+    }
+    
+    return { success: true, experimentId, variants };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'getExperimentReport', experimentId });
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Obtenir les statistiques en temps réel
  */
@@ -615,6 +687,7 @@ module.exports = {
   // Récupération d'analytics
   getAnalytics,
   getRealTimeStats,
+  getExperimentReport,
   
   // Mise à jour temps réel
   updateUserStatus,
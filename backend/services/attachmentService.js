@@ -0,0 +1,523 @@
+// ============================================================================
+// SERVICE DES PIÈCES JOINTES (IMAGES ET FICHIERS)
+// Fichier : /var/www/libekoo/backend/services/attachmentService.js
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const sharp = require('sharp');
+const db = require('../config/database');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+const attachmentStorage = require('./attachmentStorage');
+const groupSessionService = require('./groupSessionService');
+const eventBus = require('./eventBus');
+const messageService = require('./messageService');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const ATTACHMENT_CONFIG = {
+  // Types acceptés, détectés à partir du contenu (jamais du nom ou de l'en-tête envoyé)
+  ALLOWED_TYPES: {
+    'image/jpeg': { kind: 'image', extension: 'jpg' },
+    'image/png': { kind: 'image', extension: 'png' },
+    'image/gif': { kind: 'image', extension: 'gif' },
+    'image/webp': { kind: 'image', extension: 'webp' },
+    'application/pdf': { kind: 'file', extension: 'pdf' }
+  },
+  
+  // Tailles maximales par catégorie (en octets)
+  MAX_SIZE_BYTES: {
+    image: 8 * 1024 * 1024,
+    file: 10 * 1024 * 1024
+  },
+  
+  // Limite de l'upload multipart (la plus grande des deux)
+  MAX_UPLOAD_BYTES: 10 * 1024 * 1024,
+  
+  // Protection contre les images gigantesques une fois décompressées
+  MAX_IMAGE_PIXELS: 40000000,
+  
+  // Miniature (côté max en pixels)
+  THUMBNAIL_SIZE: 320,
+  
+  // Uploads par utilisateur et par heure
+  UPLOAD_RATE_LIMIT: 20,
+  UPLOAD_RATE_WINDOW_SECONDS: 3600,
+  
+  // Longueur maximale du nom de fichier conservé
+  MAX_NAME_LENGTH: 200
+};
+
+// Signatures (magic bytes) des types acceptés
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50], requires: { offset: 0, bytes: [0x52, 0x49, 0x46, 0x46] } },
+  { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }
+];
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Vérifier une suite d'octets à une position donnée
+ */
+function matchesBytes(buffer, offset, bytes) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Détecter le type MIME réel d'un fichier (null si non reconnu)
+ */
+function sniffMimeType(buffer) {
+  const signature = FILE_SIGNATURES.find(candidate =>
+    matchesBytes(buffer, candidate.offset, candidate.bytes) &&
+    (!candidate.requires || matchesBytes(buffer, candidate.requires.offset, candidate.requires.bytes))
+  );
+  
+  return signature ? signature.mimeType : null;
+}
+
+/**
+ * Nettoyer le nom de fichier fourni par le client
+ */
+function sanitizeFileName(name) {
+  const cleaned = String(name || '')
+    .replace(/[\\/\u0000-\u001f\u007f]/g, '')
+    .trim()
+    .substring(0, ATTACHMENT_CONFIG.MAX_NAME_LENGTH);
+  
+  return cleaned || 'fichier';
+}
+
+/**
+ * Réencoder une image sans métadonnées (EXIF, GPS) et produire sa miniature
+ */
+async function processImage(buffer, mimeType) {
+  // rotate() applique l'orientation EXIF avant que les métadonnées ne soient retirées
+  const { data, info } = await sharp(buffer, {
+    limitInputPixels: ATTACHMENT_CONFIG.MAX_IMAGE_PIXELS,
+    animated: mimeType === 'image/gif'
+  })
+    .rotate()
+    .toBuffer({ resolveWithObject: true });
+  
+  const thumbnail = await sharp(data, { limitInputPixels: ATTACHMENT_CONFIG.MAX_IMAGE_PIXELS })
+    .resize(ATTACHMENT_CONFIG.THUMBNAIL_SIZE, ATTACHMENT_CONFIG.THUMBNAIL_SIZE, {
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .webp({ quality: 70 })
+    .toBuffer();
+  
+  return {
+    data,
+    thumbnail,
+    width: info.width,
+    height: info.pageHeight || info.height
+  };
+}
+
+/**
+ * Vérifier qu'un utilisateur participe (ou a participé) à une session
+ */
+async function isSessionParticipant(sessionId, userId) {
+  const session = await groupSessionService.getParticipantSession(sessionId, userId, { includeLeft: true });
+  
+  return session !== null;
+}
+
+/**
+ * Récupérer une pièce jointe
+ */
+async function getAttachment(attachmentId) {
+  const result = await db.query('SELECT * FROM message_attachments WHERE id = $1', [attachmentId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Formater une pièce jointe pour la réponse
+ */
+function formatAttachment(attachment) {
+  if (!attachment || !attachment.id) return null;
+  
+  return {
+    id: attachment.id,
+    kind: attachment.kind,
+    mimeType: attachment.mime_type,
+    name: attachment.original_name,
+    size: attachment.size_bytes,
+    width: attachment.width,
+    height: attachment.height,
+    status: attachment.moderation_status,
+    url: `/api/chat/attachments/${attachment.id}`,
+    thumbnailUrl: attachment.thumbnail_key ? `/api/chat/attachments/${attachment.id}?variant=thumbnail` : null
+  };
+}
+
+/**
+ * Diffuser un message retenu en modération, une fois sa pièce jointe approuvée
+ */
+async function releaseMessage(attachment) {
+  const result = await db.query(`
+    SELECT m.*, cs.session_id as public_session_id, cs.session_type, cs.user1_id, cs.user2_id
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    WHERE m.attachment_id = $1 AND m.is_deleted = false
+  `, [attachment.id]);
+  
+  const message = result.rows[0];
+  if (!message) return false;
+  
+  const session = {
+    session_id: message.public_session_id,
+    session_type: message.session_type,
+    user1_id: message.user1_id,
+    user2_id: message.user2_id
+  };
+  const recipientIds = await groupSessionService.getRecipientIds(session, message.sender_id);
+  const quotes = await messageService.getReplyQuotes([message.reply_to_message_id], message.sender_id);
+  
+  await eventBus.emitToRooms(
+    [`chat_session:${session.session_id}`, ...recipientIds.map(id => `user_${id}`)],
+    'chat:new_message',
+    {
+      id: message.message_id,
+      sessionId: session.session_id,
+      content: message.content,
+      type: message.message_type,
+      sender: {
+        id: message.sender_id,
+        username: message.sender_username,
+        isOwn: false
+      },
+      sentAt: message.sent_at,
+      metadata: message.metadata || {},
+      replyTo: message.reply_to_message_id ? quotes.get(message.reply_to_message_id) : null,
+      attachment: formatAttachment(attachment)
+    }
+  );
+  
+  return true;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Enregistrer une pièce jointe envoyée dans une session (en attente de modération)
+ */
+async function uploadAttachment(session, userId, file) {
+  try {
+    const rateLimitResult = await redisClient.checkRateLimit(
+      `chat_attachments:${userId}`,
+      ATTACHMENT_CONFIG.UPLOAD_RATE_LIMIT,
+      ATTACHMENT_CONFIG.UPLOAD_RATE_WINDOW_SECONDS
+    );
+    
+    if (!rateLimitResult.allowed) {
+      return { success: false, code: 'RATE_LIMIT_EXCEEDED', reason: 'Limite d\'envoi de fichiers dépassée' };
+    }
+    
+    if (!file || !file.buffer || file.buffer.length === 0) {
+      return { success: false, code: 'FILE_REQUIRED', reason: 'Fichier requis' };
+    }
+    
+    const mimeType = sniffMimeType(file.buffer);
+    const type = mimeType && ATTACHMENT_CONFIG.ALLOWED_TYPES[mimeType];
+    if (!type) {
+      return { success: false, code: 'UNSUPPORTED_TYPE', reason: 'Type de fichier non autorisé' };
+    }
+    
+    if (file.buffer.length > ATTACHMENT_CONFIG.MAX_SIZE_BYTES[type.kind]) {
+      return { success: false, code: 'FILE_TOO_LARGE', reason: 'Fichier trop volumineux' };
+    }
+    
+    let data = file.buffer;
+    let thumbnail = null;
+    let width = null;
+    let height = null;
+    
+    if (type.kind === 'image') {
+      try {
+        ({ data, thumbnail, width, height } = await processImage(file.buffer, mimeType));
+      } catch (error) {
+        logger.warn(`Image illisible refusée (utilisateur: ${userId}): ${error.message}`);
+        return { success: false, code: 'INVALID_FILE', reason: 'Image illisible' };
+      }
+    }
+    
+    const attachmentId = uuidv4();
+    const storage = attachmentStorage.getStorage();
+    const storageKey = `${attachmentId}/original.${type.extension}`;
+    const thumbnailKey = thumbnail ? `${attachmentId}/thumbnail.webp` : null;
+    
+    await storage.save(storageKey, data);
+    if (thumbnail) await storage.save(thumbnailKey, thumbnail);
+    
+    let attachment;
+    try {
+      const result = await db.query(`
+        INSERT INTO message_attachments (
+          id, session_id, uploader_id, kind, mime_type, original_name, size_bytes,
+          width, height, storage_driver, storage_key, thumbnail_key
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+        RETURNING *
+      `, [
+        attachmentId, session.session_id, userId, type.kind, mimeType,
+        sanitizeFileName(file.originalname), data.length,
+        width, height, storage.name, storageKey, thumbnailKey
+      ]);
+      attachment = result.rows[0];
+    } catch (error) {
+      // Ne pas laisser de fichier orphelin sur le stockage
+      await storage.remove(storageKey);
+      if (thumbnailKey) await storage.remove(thumbnailKey);
+      throw error;
+    }
+    
+    // File de modération : rien n'est montré au partenaire avant approbation
+    await eventBus.emitToAdmins('admin:attachment_pending', {
+      attachmentId,
+      sessionId: session.session_id,
+      uploaderId: userId,
+      kind: type.kind,
+      mimeType,
+      timestamp: new Date().toISOString()
+    });
+    
+    logger.logUserActivity(userId, 'chat_attachment_uploaded', {
+      attachmentId,
+      sessionId: session.session_id,
+      mimeType,
+      size: data.length
+    });
+    
+    return { success: true, attachment };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'uploadAttachment', sessionId: session.session_id, userId });
+    return { success: false, code: 'UPLOAD_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Vérifier qu'une pièce jointe peut être envoyée dans un message
+ */
+async function prepareForMessage(attachmentId, session, userId, messageType) {
+  const attachment = attachmentId ? await getAttachment(attachmentId) : null;
+  
+  if (!attachment || attachment.uploader_id !== userId || attachment.session_id !== session.session_id) {
+    return { success: false, code: 'ATTACHMENT_NOT_FOUND', reason: 'Pièce jointe non trouvée' };
+  }
+  
+  if (attachment.kind !== messageType) {
+    return { success: false, code: 'ATTACHMENT_TYPE_MISMATCH', reason: 'Type de message incompatible avec la pièce jointe' };
+  }
+  
+  if (attachment.moderation_status === 'rejected') {
+    return { success: false, code: 'ATTACHMENT_REJECTED', reason: 'Pièce jointe refusée par la modération' };
+  }
+  
+  // Vérification rapide ; la réservation atomique a lieu dans insertMessageWithAttachment
+  if (attachment.linked_at) {
+    return { success: false, code: 'ATTACHMENT_ALREADY_SENT', reason: 'Pièce jointe déjà envoyée' };
+  }
+  
+  return { success: true, attachment };
+}
+
+/**
+ * Insérer un message avec sa pièce jointe en une seule requête (une seule transaction).
+ * La pièce jointe est réservée avant l'insertion : un envoi concurrent n'insère aucun message.
+ * Le statut de modération est relu après l'écriture pour ne pas manquer une approbation concurrente.
+ */
+async function insertMessageWithAttachment(messageData, attachmentId) {
+  const result = await db.query(`
+    WITH claimed AS (
+      UPDATE message_attachments
+      SET linked_at = NOW()
+      WHERE id = $8 AND linked_at IS NULL AND moderation_status <> 'rejected'
+      RETURNING id
+    )
+    INSERT INTO messages (
+      message_id, session_id, sender_id, sender_username,
+      content, message_type, sender_ip_hash, attachment_id, reply_to_message_id
+    )
+    SELECT $1, $2, $3, $4, $5, $6, $7, claimed.id, $9
+    FROM claimed
+    RETURNING *
+  `, [
+    messageData.message_id,
+    messageData.session_id,
+    messageData.sender_id,
+    messageData.sender_username,
+    messageData.content,
+    messageData.message_type,
+    messageData.sender_ip_hash,
+    attachmentId,
+    messageData.reply_to_message_id || null
+  ]);
+  
+  if (result.rows.length === 0) {
+    return { success: false, code: 'ATTACHMENT_ALREADY_SENT', reason: 'Pièce jointe déjà envoyée' };
+  }
+  
+  return { success: true, message: result.rows[0], attachment: await getAttachment(attachmentId) };
+}
+
+/**
+ * Vérifier l'accès à une pièce jointe (l'expéditeur pendant la modération, les participants après approbation)
+ */
+async function canAccess(attachment, userId) {
+  if (attachment.moderation_status === 'pending') return attachment.uploader_id === userId;
+  if (attachment.moderation_status !== 'approved') return false;
+  
+  return isSessionParticipant(attachment.session_id, userId);
+}
+
+/**
+ * Ouvrir le contenu d'une pièce jointe (original ou miniature)
+ */
+function openAttachment(attachment, variant = 'original') {
+  const useThumbnail = variant === 'thumbnail' && attachment.thumbnail_key;
+  const storage = attachmentStorage.getStorage(attachment.storage_driver);
+  
+  return {
+    stream: storage.createReadStream(useThumbnail ? attachment.thumbnail_key : attachment.storage_key),
+    mimeType: useThumbnail ? 'image/webp' : attachment.mime_type,
+    fileName: attachment.original_name
+  };
+}
+
+/**
+ * Récupérer la file de modération des pièces jointes
+ */
+async function getPendingAttachments(limit = 50) {
+  const result = await db.query(`
+    SELECT a.*, m.message_id, u.username as uploader_username
+    FROM message_attachments a
+    LEFT JOIN messages m ON m.attachment_id = a.id
+    LEFT JOIN users u ON a.uploader_id = u.user_id
+    WHERE a.moderation_status = 'pending'
+    ORDER BY a.created_at ASC
+    LIMIT $1
+  `, [limit]);
+  
+  return result.rows;
+}
+
+/**
+ * Approuver une pièce jointe : le message associé est diffusé aux autres participants
+ */
+async function approveAttachment(attachmentId, adminId) {
+  try {
+    const result = await db.query(`
+      UPDATE message_attachments
+      SET moderation_status = 'approved', moderated_by = $2, moderated_at = NOW()
+      WHERE id = $1 AND moderation_status = 'pending'
+      RETURNING *
+    `, [attachmentId, adminId]);
+    
+    if (result.rows.length === 0) {
+      const existing = await getAttachment(attachmentId);
+      return existing
+        ? { success: false, code: 'ALREADY_MODERATED', reason: 'Pièce jointe déjà modérée' }
+        : { success: false, code: 'ATTACHMENT_NOT_FOUND', reason: 'Pièce jointe non trouvée' };
+    }
+    
+    const attachment = result.rows[0];
+    const released = await releaseMessage(attachment);
+    
+    await eventBus.emitToUsers([attachment.uploader_id], 'chat:attachment_approved', {
+      attachmentId,
+      sessionId: attachment.session_id
+    });
+    
+    return { success: true, attachment, released };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'approveAttachment', attachmentId, adminId });
+    return { success: false, code: 'MODERATION_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Refuser une pièce jointe : le message associé est supprimé sans avoir été montré
+ */
+async function rejectAttachment(attachmentId, adminId, reason) {
+  try {
+    const result = await db.query(`
+      UPDATE message_attachments
+      SET moderation_status = 'rejected', moderated_by = $2, moderated_at = NOW(), rejection_reason = $3
+      WHERE id = $1 AND moderation_status = 'pending'
+      RETURNING *
+    `, [attachmentId, adminId, reason]);
+    
+    if (result.rows.length === 0) {
+      const existing = await getAttachment(attachmentId);
+      return existing
+        ? { success: false, code: 'ALREADY_MODERATED', reason: 'Pièce jointe déjà modérée' }
+        : { success: false, code: 'ATTACHMENT_NOT_FOUND', reason: 'Pièce jointe non trouvée' };
+    }
+    
+    const attachment = result.rows[0];
+    
+    // Fichiers conservés comme pièce de modération, mais plus jamais servis
+    await db.query(`
+      UPDATE messages
+      SET is_deleted = true, deleted_by = 'moderation', deleted_at = NOW()
+      WHERE attachment_id = $1 AND is_deleted = false
+    `, [attachmentId]);
+    
+    await eventBus.emitToUsers([attachment.uploader_id], 'chat:attachment_rejected', {
+      attachmentId,
+      sessionId: attachment.session_id,
+      reason
+    });
+    
+    logger.logSecurityEvent('attachment_rejected', {
+      attachmentId,
+      uploaderId: attachment.uploader_id,
+      adminId,
+      reason
+    });
+    
+    return { success: true, attachment };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'rejectAttachment', attachmentId, adminId });
+    return { success: false, code: 'MODERATION_ERROR', reason: 'Erreur système' };
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  uploadAttachment,
+  prepareForMessage,
+  insertMessageWithAttachment,
+  canAccess,
+  openAttachment,
+  getPendingAttachments,
+  approveAttachment,
+  rejectAttachment,
+  
+  // Utilitaires
+  getAttachment,
+  formatAttachment,
+  sniffMimeType,
+  
+  // Configuration
+  ATTACHMENT_CONFIG
+};
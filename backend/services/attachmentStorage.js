@@ -0,0 +1,99 @@
+// ============================================================================
+// STOCKAGE DES PIÈCES JOINTES (ADAPTATEURS)
+// Fichier : /var/www/libekoo/backend/services/attachmentStorage.js
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const STORAGE_CONFIG = {
+  // Adaptateur utilisé pour les nouvelles pièces jointes
+  DRIVER: process.env.ATTACHMENT_STORAGE_DRIVER || 'local',
+  
+  // Racine du stockage sur disque
+  LOCAL_ROOT: process.env.ATTACHMENT_STORAGE_DIR || '/var/www/libekoo/uploads/attachments'
+};
+
+// ============================================================================
+// ADAPTATEUR DISQUE LOCAL
+// ============================================================================
+
+/**
+ * Créer un adaptateur de stockage sur disque.
+ * Interface commune : { name, save(key, buffer), createReadStream(key), remove(key) }
+ */
+function createLocalStorage(rootDir) {
+  const root = path.resolve(rootDir);
+  
+  // Les clés sont générées par le serveur, mais ne doivent jamais sortir de la racine
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Clé de stockage invalide: ${key}`);
+    }
+    return filePath;
+  };
+  
+  return {
+    name: 'local',
+    
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx', mode: 0o640 });
+    },
+    
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+    
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+// Adaptateurs disponibles (un stockage objet s'ajoute ici avec la même interface)
+const STORAGE_ADAPTERS = {
+  local: () => createLocalStorage(STORAGE_CONFIG.LOCAL_ROOT)
+};
+
+const instances = new Map();
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Récupérer un adaptateur (celui configuré par défaut, ou celui d'une pièce jointe existante)
+ */
+function getStorage(driver = STORAGE_CONFIG.DRIVER) {
+  if (!instances.has(driver)) {
+    const factory = STORAGE_ADAPTERS[driver];
+    if (!factory) {
+      throw new Error(`Adaptateur de stockage inconnu: ${driver}`);
+    }
+    instances.set(driver, factory());
+  }
+  
+  return instances.get(driver);
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  getStorage,
+  
+  // Utilitaires
+  createLocalStorage,
+  
+  // Configuration
+  STORAGE_CONFIG
+};
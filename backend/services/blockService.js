@@ -0,0 +1,220 @@
+// ============================================================================
+// SERVICE DE BLOCAGE ENTRE UTILISATEURS
+// Fichier : /var/www/libekoo/backend/services/blockService.js
+// ============================================================================
+
+const db = require('../config/database');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const BLOCK_CONFIG = {
+  // Nombre max d'utilisateurs bloqués par compte
+  MAX_BLOCKS_PER_USER: 500,
+  
+  // Durée de vie du miroir Redis (en secondes)
+  CACHE_TTL: 3600 * 24,
+  
+  // Membre sentinelle indiquant que le miroir Redis est chargé
+  CACHE_SENTINEL: '__loaded__',
+  
+  // Origines possibles d'un blocage
+  REASONS: ['manual', 'report', 'skip']
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clé Redis du miroir de la liste de blocage d'un utilisateur
+ */
+function getBlockCacheKey(userId) {
+  return `user_blocks:${userId}`;
+}
+
+/**
+ * Charger la liste de blocage depuis PostgreSQL vers Redis si nécessaire
+ */
+async function loadBlockCache(userId) {
+  const cacheKey = getBlockCacheKey(userId);
+  
+  const exists = await redisClient.client.exists(cacheKey);
+  if (exists) return cacheKey;
+  
+  const result = await db.query(
+    'SELECT blocked_id FROM user_blocks WHERE blocker_id = $1',
+    [userId]
+  );
+  
+  // Le sentinelle permet de distinguer "liste vide" de "liste non chargée"
+  await redisClient.client.sAdd(cacheKey, [
+    BLOCK_CONFIG.CACHE_SENTINEL,
+    ...result.rows.map(row => row.blocked_id)
+  ]);
+  await redisClient.client.expire(cacheKey, BLOCK_CONFIG.CACHE_TTL);
+  
+  return cacheKey;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Bloquer un utilisateur
+ */
+async function blockUser(blockerId, blockedId, options = {}) {
+  try {
+    const { reason = 'manual', sessionId = null } = options;
+    
+    if (!blockerId || !blockedId) {
+      return { success: false, reason: 'Utilisateurs manquants' };
+    }
+    
+    if (blockerId === blockedId) {
+      return { success: false, reason: 'Impossible de se bloquer soi-même' };
+    }
+    
+    // Vérifier la limite de blocages
+    const countResult = await db.query(
+      'SELECT COUNT(*) as count FROM user_blocks WHERE blocker_id = $1',
+      [blockerId]
+    );
+    
+    if (parseInt(countResult.rows[0].count) >= BLOCK_CONFIG.MAX_BLOCKS_PER_USER) {
+      return { success: false, reason: 'Nombre maximum de blocages atteint' };
+    }
+    
+    const insertResult = await db.query(`
+      INSERT INTO user_blocks (blocker_id, blocked_id, reason, source_session_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (blocker_id, blocked_id) DO NOTHING
+      RETURNING id, created_at
+    `, [
+      blockerId,
+      blockedId,
+      BLOCK_CONFIG.REASONS.includes(reason) ? reason : 'manual',
+      sessionId
+    ]);
+    
+    // Mettre à jour le miroir Redis
+    const cacheKey = await loadBlockCache(blockerId);
+    await redisClient.client.sAdd(cacheKey, blockedId);
+    
+    const alreadyBlocked = insertResult.rows.length === 0;
+    
+    if (!alreadyBlocked) {
+      logger.logUserActivity(blockerId, 'user_blocked', { blockedId, reason, sessionId });
+    }
+    
+    return { success: true, alreadyBlocked };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'blockUser', blockerId, blockedId });
+    return { success: false, reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Débloquer un utilisateur
+ */
+async function unblockUser(blockerId, blockedId) {
+  try {
+    const result = await db.query(`
+      DELETE FROM user_blocks
+      WHERE blocker_id = $1 AND blocked_id = $2
+      RETURNING id
+    `, [blockerId, blockedId]);
+    
+    const cacheKey = getBlockCacheKey(blockerId);
+    if (await redisClient.client.exists(cacheKey)) {
+      await redisClient.client.sRem(cacheKey, blockedId);
+    }
+    
+    if (result.rows.length === 0) {
+      return { success: false, reason: 'Utilisateur non bloqué' };
+    }
+    
+    logger.logUserActivity(blockerId, 'user_unblocked', { blockedId });
+    
+    return { success: true };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'unblockUser', blockerId, blockedId });
+    return { success: false, reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Récupérer la liste des utilisateurs bloqués
+ */
+async function getBlockedUsers(blockerId) {
+  try {
+    const result = await db.query(`
+      SELECT ub.blocked_id, ub.reason, ub.created_at, u.username
+      FROM user_blocks ub
+      LEFT JOIN users u ON u.user_id = ub.blocked_id
+      WHERE ub.blocker_id = $1
+      ORDER BY ub.created_at DESC
+    `, [blockerId]);
+    
+    return result.rows.map(row => ({
+      id: row.blocked_id,
+      username: row.username,
+      reason: row.reason,
+      blockedAt: row.created_at
+    }));
+  
+  } catch (error) {
+    logger.logError(error, { function: 'getBlockedUsers', blockerId });
+    return [];
+  }
+}
+
+/**
+ * Vérifier si un utilisateur en a bloqué un autre
+ */
+async function isBlocked(blockerId, blockedId) {
+  try {
+    const cacheKey = await loadBlockCache(blockerId);
+    return await redisClient.client.sIsMember(cacheKey, blockedId);
+  } catch (error) {
+    logger.logError(error, { function: 'isBlocked', blockerId, blockedId });
+    // En cas d'erreur, ne pas bloquer le matching (fail open)
+    return false;
+  }
+}
+
+/**
+ * Vérifier si l'un des deux utilisateurs a bloqué l'autre
+ */
+async function isBlockedEitherWay(user1Id, user2Id) {
+  const [firstBlocked, secondBlocked] = await Promise.all([
+    isBlocked(user1Id, user2Id),
+    isBlocked(user2Id, user1Id)
+  ]);
+  
+  return Boolean(firstBlocked || secondBlocked);
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+  
+  // Vérifications
+  isBlocked,
+  isBlockedEitherWay,
+  
+  // Configuration
+  BLOCK_CONFIG
+};
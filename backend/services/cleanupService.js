@@ -7,6 +7,7 @@ const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
 const moderationService = require('./moderationService');
+const geoIndexService = require('./geoIndexService');
 
 // ============================================================================
 // CONSTANTES
@@ -170,7 +171,8 @@ async function cleanupUserSessions(userId) {
     await Promise.all([
       redisClient.removeFromMatchingQueue(userId, 'random'),
       redisClient.removeFromMatchingQueue(userId, 'local'),
-      redisClient.removeFromMatchingQueue(userId, 'group')
+      redisClient.removeFromMatchingQueue(userId, 'group'),
+      geoIndexService.removeUser(userId, 'local')
     ]);
     
     logger.info(`Sessions utilisateur ${userId} nettoyées: ${chatResult.rows.length} chats, ${videoResult.rows.length} vidéos`);
@@ -0,0 +1,251 @@
+// ============================================================================
+// BUS D'ÉVÉNEMENTS ENTRE INSTANCES (REDIS PUB/SUB + ADAPTATEUR SOCKET.IO)
+// Fichier : /var/www/libekoo/backend/services/eventBus.js
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const EVENT_BUS_CONFIG = {
+  // Canal Redis du bus applicatif
+  CHANNEL: 'libekoo:event_bus',
+  
+  // Préfixe des canaux de l'adaptateur Socket.io
+  ADAPTER_KEY: 'libekoo:socket.io',
+  
+  // Événements internes relayés vers les sockets locales
+  RELAY_EMIT: 'socket:emit',
+  RELAY_CLEAR_ROOM: 'socket:clear_room',
+  RELAY_DISCONNECT: 'socket:disconnect'
+};
+
+// Identifiant de cette instance (origine des événements publiés)
+const INSTANCE_ID = uuidv4();
+
+// Serveur Socket.io de cette instance (null pour un processus sans WebSocket)
+let socketServer = null;
+
+// Connexion Redis dédiée aux abonnements du bus (promesse partagée pendant la connexion)
+let subscriberReady = null;
+
+// Gestionnaires par événement
+const handlers = new Map();
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Distribuer un message reçu du canal aux gestionnaires de l'événement
+ */
+async function dispatchMessage(message) {
+  let envelope;
+  try {
+    envelope = JSON.parse(message);
+  } catch (error) {
+    logger.warn('Message invalide sur le bus d\'événements');
+    return;
+  }
+  
+  for (const handler of handlers.get(envelope.event) || []) {
+    try {
+      await handler(envelope.payload, {
+        origin: envelope.origin,
+        isLocal: envelope.origin === INSTANCE_ID
+      });
+    } catch (error) {
+      logger.logError(error, { function: 'dispatchMessage', event: envelope.event });
+    }
+  }
+}
+
+/**
+ * Connecter un client dédié et l'abonner au canal du bus
+ */
+async function connectSubscriber() {
+  const client = redisClient.client.duplicate();
+  
+  try {
+    await client.connect();
+    await client.subscribe(EVENT_BUS_CONFIG.CHANNEL, dispatchMessage);
+    return client;
+  } catch (error) {
+    // Ne pas laisser le client réessayer seul en arrière-plan
+    client.disconnect().catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Ouvrir la connexion d'abonnement (une seule par instance, nouvelle tentative après un échec)
+ */
+async function ensureSubscriber() {
+  if (!subscriberReady) {
+    subscriberReady = connectSubscriber().catch(error => {
+      subscriberReady = null;
+      throw error;
+    });
+  }
+  
+  return subscriberReady;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Brancher l'adaptateur Redis sur le serveur Socket.io et relayer les émissions
+ * publiées par les processus sans WebSocket.
+ * Échoue si l'adaptateur ou l'abonnement au bus ne peut pas se connecter : une instance
+ * isolée ne livrerait pas les événements des autres (clients dupliqués refermés)
+ */
+async function attachSocketServer(io) {
+  if (socketServer) return;
+  
+  const pubClient = redisClient.client.duplicate();
+  const subClient = pubClient.duplicate();
+  
+  try {
+    await Promise.all([pubClient.connect(), subClient.connect(), ensureSubscriber()]);
+  } catch (error) {
+    // Ne pas laisser les clients réessayer seuls en arrière-plan
+    pubClient.disconnect().catch(() => {});
+    subClient.disconnect().catch(() => {});
+    
+    logger.logError(error, { function: 'attachSocketServer', instanceId: INSTANCE_ID });
+    throw error;
+  }
+  
+  io.adapter(createAdapter(pubClient, subClient, { key: EVENT_BUS_CONFIG.ADAPTER_KEY }));
+  socketServer = io;
+  
+  // Chaque instance ne livre qu'à ses propres sockets (sinon livraison en double)
+  subscribe(EVENT_BUS_CONFIG.RELAY_EMIT, ({ rooms, event, payload }) => {
+    socketServer.local.to(rooms).emit(event, payload);
+  });
+  
+  subscribe(EVENT_BUS_CONFIG.RELAY_CLEAR_ROOM, ({ room }) => {
+    socketServer.local.in(room).socketsLeave(room);
+  });
+  
+  subscribe(EVENT_BUS_CONFIG.RELAY_DISCONNECT, ({ rooms }) => {
+    socketServer.local.in(rooms).disconnectSockets(true);
+  });
+  
+  logger.info(`Bus d'événements attaché (instance: ${INSTANCE_ID})`);
+}
+
+/**
+ * Publier un événement vers toutes les instances (y compris celle-ci)
+ */
+async function publish(event, payload) {
+  try {
+    await redisClient.client.publish(EVENT_BUS_CONFIG.CHANNEL, JSON.stringify({
+      event,
+      payload,
+      origin: INSTANCE_ID,
+      publishedAt: Date.now()
+    }));
+  } catch (error) {
+    logger.logError(error, { function: 'publish', event });
+  }
+}
+
+/**
+ * S'abonner à un événement du bus (handler(payload, { origin, isLocal })).
+ * La promesse retournée est résolue une fois l'abonnement Redis actif (ou son échec journalisé)
+ */
+function subscribe(event, handler) {
+  if (!handlers.has(event)) handlers.set(event, []);
+  handlers.get(event).push(handler);
+  
+  return ensureSubscriber()
+    .then(() => true)
+    .catch(error => {
+      logger.logError(error, { function: 'subscribe', event });
+      return false;
+    });
+}
+
+/**
+ * Émettre un événement Socket.io vers des rooms, quelle que soit l'instance des sockets
+ */
+async function emitToRooms(rooms, event, payload) {
+  if (rooms.length === 0) return;
+  
+  // Avec l'adaptateur Redis, l'émission atteint déjà les autres instances
+  if (socketServer) {
+    socketServer.to(rooms).emit(event, payload);
+    return;
+  }
+  
+  await publish(EVENT_BUS_CONFIG.RELAY_EMIT, { rooms, event, payload });
+}
+
+/**
+ * Émettre un événement Socket.io vers des utilisateurs (rooms user_<id>)
+ */
+async function emitToUsers(userIds, event, payload) {
+  await emitToRooms(userIds.map(id => `user_${id}`), event, payload);
+}
+
+/**
+ * Émettre un événement vers les administrateurs connectés
+ */
+async function emitToAdmins(event, payload) {
+  await emitToRooms(['admin_room'], event, payload);
+}
+
+/**
+ * Faire quitter une room à toutes les sockets, sur toutes les instances
+ */
+async function clearRoom(room) {
+  if (socketServer) {
+    socketServer.in(room).socketsLeave(room);
+    return;
+  }
+  
+  await publish(EVENT_BUS_CONFIG.RELAY_CLEAR_ROOM, { room });
+}
+
+/**
+ * Déconnecter toutes les sockets d'utilisateurs, sur toutes les instances
+ */
+async function disconnectUsers(userIds) {
+  const rooms = userIds.map(id => `user_${id}`);
+  if (rooms.length === 0) return;
+  
+  if (socketServer) {
+    socketServer.in(rooms).disconnectSockets(true);
+    return;
+  }
+  
+  await publish(EVENT_BUS_CONFIG.RELAY_DISCONNECT, { rooms });
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  attachSocketServer,
+  publish,
+  subscribe,
+  emitToRooms,
+  emitToUsers,
+  emitToAdmins,
+  clearRoom,
+  disconnectUsers,
+  
+  // Configuration
+  EVENT_BUS_CONFIG,
+  INSTANCE_ID
+};
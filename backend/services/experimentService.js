@@ -0,0 +1,185 @@
+// ============================================================================
+// SERVICE D'EXPÉRIMENTATIONS A/B DU MATCHING
+// Fichier : /var/www/libekoo/backend/services/experimentService.js
+// ============================================================================
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const EXPERIMENT_CONFIG = {
+  // Expériences déclarées. overrides : surcharge de MATCHING_CONFIG pour la variante
+  // (clés limitées à SUPPORTED_OVERRIDES, vérifiées au chargement du module).
+  EXPERIMENTS: [
+    {
+      id: 'city_vs_distance_bonus',
+      description: 'Bonus même ville contre bonus de proximité',
+      active: true,
+      // La stratégie 'random' ignore les poids : seul le chat local est concerné
+      matchTypes: ['local'],
+      variants: [
+        { name: 'control', weight: 50, overrides: {} },
+        { name: 'city_bonus', weight: 25, overrides: { SCORE_WEIGHTS: { sameCity: 0.3 } } },
+        {
+          name: 'distance_bonus',
+          weight: 25,
+          overrides: {
+            SCORE_WEIGHTS: {
+              distanceTiers: [
+                { maxKm: 10, bonus: 0.35 },
+                { maxKm: 50, bonus: 0.2 },
+                { maxKm: 200, bonus: 0.1 }
+              ]
+            }
+          }
+        }
+      ]
+    }
+  ],
+  
+  // Clés de MATCHING_CONFIG surchargeables (SCORE_WEIGHTS est fusionné sur les poids de la stratégie)
+  SUPPORTED_OVERRIDES: ['SCORE_WEIGHTS'],
+  
+  // Nombre de buckets de hachage (précision de la répartition)
+  BUCKET_COUNT: 10000
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Bucket déterministe d'un utilisateur pour une expérience (sha256 de experimentId:userId)
+ */
+function getBucket(experimentId, userId) {
+  const hash = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest('hex');
+  return parseInt(hash.slice(0, 8), 16) % EXPERIMENT_CONFIG.BUCKET_COUNT;
+}
+
+/**
+ * Choisir la variante correspondant à un bucket (selon les poids)
+ */
+function pickVariant(experiment, bucket) {
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const position = (bucket / EXPERIMENT_CONFIG.BUCKET_COUNT) * totalWeight;
+  
+  let cumulated = 0;
+  for (const variant of experiment.variants) {
+    cumulated += variant.weight;
+    if (position < cumulated) return variant;
+  }
+  
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Expérience active pour un type de match (la première déclarée l'emporte)
+ */
+function getActiveExperiment(matchType) {
+  return EXPERIMENT_CONFIG.EXPERIMENTS.find(experiment =>
+    experiment.active && experiment.matchTypes.includes(matchType)
+  ) || null;
+}
+
+/**
+ * Rechercher une expérience par identifiant
+ */
+function getExperiment(experimentId) {
+  return EXPERIMENT_CONFIG.EXPERIMENTS.find(experiment => experiment.id === experimentId) || null;
+}
+
+/**
+ * Refuser les surcharges qui ne seraient pas appliquées (une variante ne doit pas être silencieusement identique au contrôle)
+ */
+function validateExperiments(experiments) {
+  for (const experiment of experiments) {
+    for (const variant of experiment.variants) {
+      const unsupported = Object.keys(variant.overrides || {})
+        .filter(key => !EXPERIMENT_CONFIG.SUPPORTED_OVERRIDES.includes(key));
+      
+      if (unsupported.length > 0) {
+        throw new Error(`Surcharge non prise en charge (${experiment.id}/${variant.name}): ${unsupported.join(', ')}`);
+      }
+    }
+  }
+}
+
+validateExperiments(EXPERIMENT_CONFIG.EXPERIMENTS);
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Affectation d'un utilisateur pour un type de match (null hors expérience)
+ */
+function getAssignment(userId, matchType) {
+  const experiment = getActiveExperiment(matchType);
+  if (!experiment || !userId) return null;
+  
+  const variant = pickVariant(experiment, getBucket(experiment.id, userId));
+  
+  return {
+    experimentId: experiment.id,
+    variant: variant.name,
+    overrides: variant.overrides || {}
+  };
+}
+
+/**
+ * Marquer une session de chat avec l'expérience et la variante de l'utilisateur à l'origine du match
+ */
+async function tagSession(sessionId, assignment) {
+  if (!assignment) return;
+  
+  try {
+    await db.query(
+      'UPDATE chat_sessions SET experiment_id = $2, experiment_variant = $3 WHERE session_id = $1',
+      [sessionId, assignment.experimentId, assignment.variant]
+    );
+  } catch (error) {
+    logger.logError(error, { function: 'tagSession', sessionId, experimentId: assignment.experimentId });
+  }
+}
+
+/**
+ * Lister les expériences déclarées
+ */
+function listExperiments() {
+  return EXPERIMENT_CONFIG.EXPERIMENTS.map(experiment => ({
+    id: experiment.id,
+    description: experiment.description,
+    active: experiment.active,
+    matchTypes: experiment.matchTypes,
+    variants: experiment.variants.map(variant => ({
+      name: variant.name,
+      weight: variant.weight,
+      overrides: variant.overrides
+    }))
+  }));
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  getAssignment,
+  tagSession,
+  listExperiments,
+  
+  // Utilitaires
+  getBucket,
+  pickVariant,
+  getActiveExperiment,
+  getExperiment,
+  validateExperiments,
+  
+  // Configuration
+  EXPERIMENT_CONFIG
+};
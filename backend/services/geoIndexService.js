@@ -0,0 +1,170 @@
+// ============================================================================
+// SERVICE D'INDEX GÉOGRAPHIQUE DES FILES D'ATTENTE
+// Fichier : /var/www/libekoo/backend/services/geoIndexService.js
+// ============================================================================
+
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const GEO_CONFIG = {
+  // Types de file indexés (seul le chat local filtre par distance)
+  INDEXED_TYPES: ['local'],
+  
+  // Décimales conservées sur les coordonnées indexées (2 ≈ 1 km)
+  COORDINATE_PRECISION: 2,
+  
+  // Rayon de recherche maximum (en km)
+  MAX_SEARCH_RADIUS: 5000,
+  
+  // Nombre max de résultats par recherche
+  SEARCH_LIMIT: 50
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clé Redis GEO d'un type de file
+ */
+function getGeoKey(matchType) {
+  return `matching_geo:${matchType}`;
+}
+
+/**
+ * Clé Redis du hash des entrées de file indexées (userId → entrée brute)
+ */
+function getEntriesKey(matchType) {
+  return `matching_geo_entries:${matchType}`;
+}
+
+/**
+ * Arrondir une coordonnée (la position exacte n'est jamais stockée dans l'index)
+ */
+function coarsenCoordinate(value) {
+  const factor = Math.pow(10, GEO_CONFIG.COORDINATE_PRECISION);
+  return Math.round(parseFloat(value) * factor) / factor;
+}
+
+/**
+ * Vérifier qu'un utilisateur a une position exploitable
+ */
+function hasCoordinates(user) {
+  return Number.isFinite(parseFloat(user?.latitude)) && Number.isFinite(parseFloat(user?.longitude));
+}
+
+/**
+ * Vérifier si un type de file est indexé
+ */
+function isIndexed(matchType) {
+  return GEO_CONFIG.INDEXED_TYPES.includes(matchType);
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Indexer une entrée de file (coordonnées arrondies)
+ */
+async function indexUser(entry, rawEntry) {
+  if (!isIndexed(entry.matchType) || !hasCoordinates(entry)) return;
+  
+  try {
+    await redisClient.client.geoAdd(getGeoKey(entry.matchType), {
+      longitude: coarsenCoordinate(entry.longitude),
+      latitude: coarsenCoordinate(entry.latitude),
+      member: entry.userId
+    });
+    await redisClient.client.hSet(getEntriesKey(entry.matchType), entry.userId, rawEntry);
+  } catch (error) {
+    logger.logError(error, { function: 'indexUser', userId: entry.userId, matchType: entry.matchType });
+  }
+}
+
+/**
+ * Retirer un utilisateur de l'index
+ */
+async function removeUser(userId, matchType) {
+  if (!isIndexed(matchType)) return;
+  
+  try {
+    await redisClient.client.zRem(getGeoKey(matchType), userId);
+    await redisClient.client.hDel(getEntriesKey(matchType), userId);
+  } catch (error) {
+    logger.logError(error, { function: 'removeUser', userId, matchType });
+  }
+}
+
+/**
+ * Rechercher les utilisateurs indexés dans un rayon, du plus proche au plus loin
+ */
+async function searchNearby(matchType, latitude, longitude, radiusKm, options = {}) {
+  const { excludeUserId = null, limit = GEO_CONFIG.SEARCH_LIMIT } = options;
+  
+  const results = await redisClient.client.geoSearchWith(
+    getGeoKey(matchType),
+    { longitude: coarsenCoordinate(longitude), latitude: coarsenCoordinate(latitude) },
+    { radius: Math.min(radiusKm, GEO_CONFIG.MAX_SEARCH_RADIUS), unit: 'km' },
+    ['WITHDIST'],
+    { SORT: 'ASC', COUNT: limit + (excludeUserId ? 1 : 0) }
+  );
+  
+  return results
+    .filter(result => result.member !== excludeUserId)
+    .slice(0, limit)
+    .map(result => ({
+      userId: result.member,
+      distance: parseFloat(result.distance)
+    }));
+}
+
+/**
+ * Récupérer les entrées de file des utilisateurs proches (les entrées orphelines sont purgées)
+ */
+async function getNearbyEntries(matchType, latitude, longitude, radiusKm, options = {}) {
+  const nearby = await searchNearby(matchType, latitude, longitude, radiusKm, options);
+  if (nearby.length === 0) return [];
+  
+  const rawEntries = await redisClient.client.hmGet(
+    getEntriesKey(matchType),
+    nearby.map(result => result.userId)
+  );
+  
+  const entries = [];
+  
+  for (let i = 0; i < nearby.length; i++) {
+    if (!rawEntries[i]) {
+      await redisClient.client.zRem(getGeoKey(matchType), nearby[i].userId);
+      continue;
+    }
+    
+    entries.push({ ...nearby[i], raw: rawEntries[i] });
+  }
+  
+  return entries;
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  indexUser,
+  removeUser,
+  searchNearby,
+  getNearbyEntries,
+  
+  // Utilitaires
+  coarsenCoordinate,
+  hasCoordinates,
+  isIndexed,
+  
+  // Configuration
+  GEO_CONFIG
+};
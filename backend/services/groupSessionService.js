@@ -0,0 +1,747 @@
+// ============================================================================
+// SERVICE DES SESSIONS DE GROUPE
+// Fichier : /var/www/libekoo/backend/services/groupSessionService.js
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+const matchingService = require('./matchingService');
+const matchHistoryService = require('./matchHistoryService');
+const waitTimeService = require('./waitTimeService');
+const experimentService = require('./experimentService');
+const heartbeatService = require('./heartbeatService');
+const eventBus = require('./eventBus');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const GROUP_CONFIG = {
+  // Taille d'un groupe : bornes de la préférence groupSize et valeur par défaut
+  MIN_GROUP_SIZE: 3,
+  MAX_GROUP_SIZE: 8,
+  DEFAULT_GROUP_SIZE: 6,
+  
+  // Nombre minimum de membres pour que la session reste ouverte
+  MIN_ACTIVE_MEMBERS: 2,
+  
+  // Groupes en cours ayant des places libres (ensemble Redis)
+  OPEN_GROUPS_KEY: 'group_sessions:open',
+  
+  // Durée de vie des places d'un groupe en cours (en secondes)
+  OPEN_GROUP_TTL_SECONDS: 3600 * 2
+};
+
+// Script Lua : retirer atomiquement toutes les entrées d'un groupe de la file.
+// Retourne 1 si toutes les entrées étaient présentes, 0 sinon (rien n'est retiré).
+const CLAIM_GROUP_SCRIPT = `
+  for i = 1, #ARGV do
+    if not redis.call('LPOS', KEYS[1], ARGV[i]) then
+      return 0
+    end
+  end
+  for i = 1, #ARGV do
+    redis.call('LREM', KEYS[1], 1, ARGV[i])
+  end
+  return 1
+`;
+
+// Script Lua : réserver une place libre dans un groupe en cours et y inscrire le membre
+// (1 si réservée, 0 si complet). Le groupe sort des groupes ouverts à sa dernière place.
+// KEYS : places, membres, groupes ouverts ; ARGV : sessionId, userId, membre (JSON)
+const CLAIM_SEAT_SCRIPT = `
+  local seats = tonumber(redis.call('GET', KEYS[1]) or '0')
+  if seats <= 0 then
+    redis.call('SREM', KEYS[3], ARGV[1])
+    return 0
+  end
+  redis.call('DECR', KEYS[1])
+  redis.call('HSET', KEYS[2], ARGV[2], ARGV[3])
+  if seats == 1 then
+    redis.call('SREM', KEYS[3], ARGV[1])
+  end
+  return 1
+`;
+
+// Script Lua : rendre la place d'un membre (uniquement si le groupe accepte encore des membres)
+// et rouvrir le groupe. ARGV[3] = '1' : le membre est parti, il ne sera pas replacé dans ce groupe.
+// KEYS : places, membres, partis, groupes ouverts ; ARGV : sessionId, userId, parti
+const RELEASE_SEAT_SCRIPT = `
+  if redis.call('EXISTS', KEYS[1]) == 0 then
+    return 0
+  end
+  redis.call('HDEL', KEYS[2], ARGV[2])
+  if ARGV[3] == '1' then
+    redis.call('SADD', KEYS[3], ARGV[2])
+    redis.call('PEXPIRE', KEYS[3], redis.call('PTTL', KEYS[1]))
+  end
+  redis.call('SADD', KEYS[4], ARGV[1])
+  return redis.call('INCR', KEYS[1])
+`;
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Émettre un événement vers une liste d'utilisateurs (sur toutes les instances)
+ */
+function emitToUsers(userIds, event, payload) {
+  return eventBus.emitToUsers(userIds, event, payload);
+}
+
+/**
+ * Clés Redis des places d'un groupe en cours : nombre de places libres,
+ * membres (hash userId → membre JSON) et membres partis (ensemble)
+ */
+function getSeatKeys(sessionId) {
+  return {
+    seats: `group_seats:${sessionId}`,
+    members: `group_members:${sessionId}`,
+    left: `group_left:${sessionId}`
+  };
+}
+
+/**
+ * Taille de groupe maximale acceptée par un utilisateur (préférence groupSize)
+ */
+function getPreferredGroupSize(user) {
+  const groupSize = user.preferences?.groupSize;
+  
+  if (!Number.isInteger(groupSize)) return GROUP_CONFIG.DEFAULT_GROUP_SIZE;
+  
+  return Math.min(Math.max(groupSize, GROUP_CONFIG.MIN_GROUP_SIZE), GROUP_CONFIG.MAX_GROUP_SIZE);
+}
+
+/**
+ * Vérifier qu'un candidat est compatible avec tous les membres du groupe
+ */
+async function isCompatibleWithGroup(members, candidate) {
+  for (const member of members) {
+    if (!await matchingService.canMatch(member, candidate)) return false;
+    
+    const score = await matchingService.scoreCandidate(member, candidate, 'group');
+    if (score < matchingService.getPairThresholds(member, candidate).minScore) return false;
+  }
+  
+  return true;
+}
+
+// ============================================================================
+// FORMATION DES GROUPES
+// ============================================================================
+
+/**
+ * Composer un groupe à partir des entrées de la file (les plus anciens d'abord).
+ * La taille maximale du groupe est la plus petite préférence groupSize de ses membres.
+ */
+async function formGroup(entries, usedIndexes) {
+  for (let i = 0; i < entries.length; i++) {
+    if (usedIndexes.has(i) || !entries[i].data) continue;
+    
+    const groupIndexes = [i];
+    const members = [entries[i].data];
+    let maxSize = getPreferredGroupSize(entries[i].data);
+    
+    for (let j = i + 1; j < entries.length && members.length < maxSize; j++) {
+      if (usedIndexes.has(j) || !entries[j].data) continue;
+      
+      // Le candidat doit accepter un groupe au moins de la taille atteinte avec lui
+      const candidateSize = getPreferredGroupSize(entries[j].data);
+      if (candidateSize < members.length + 1) continue;
+      
+      if (await isCompatibleWithGroup(members, entries[j].data)) {
+        groupIndexes.push(j);
+        members.push(entries[j].data);
+        maxSize = Math.min(maxSize, candidateSize);
+      }
+    }
+    
+    if (members.length >= GROUP_CONFIG.MIN_GROUP_SIZE) {
+      return { indexes: groupIndexes, members, maxSize };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Réserver atomiquement les entrées d'un groupe dans la file
+ */
+async function claimGroupEntries(queueKey, rawEntries) {
+  const result = await redisClient.client.eval(CLAIM_GROUP_SCRIPT, {
+    keys: [queueKey],
+    arguments: rawEntries
+  });
+  
+  return result === 1;
+}
+
+/**
+ * Créer une session de groupe multi-participants
+ */
+async function createGroupSession(members) {
+  const sessionId = uuidv4();
+  const [first, second] = members;
+  
+  // Session et participants dans la même transaction : pas de groupe sans membres
+  const session = await db.transaction(async (client) => {
+    // Les deux premiers membres occupent user1/user2 pour la compatibilité des requêtes existantes
+    const result = await db.createChatSession({
+      session_id: sessionId,
+      user1_id: first.userId,
+      user1_username: first.username,
+      user2_id: second.userId,
+      user2_username: second.username,
+      session_type: 'group',
+      user1_country: first.country,
+      user1_city: first.city,
+      user2_country: second.country,
+      user2_city: second.city
+    }, client);
+    
+    for (const member of members) {
+      await client.query(`
+        INSERT INTO chat_session_participants (session_id, user_id, username)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (session_id, user_id) DO NOTHING
+      `, [sessionId, member.userId, member.username]);
+    }
+    
+    return result.rows[0];
+  });
+  
+  await experimentService.tagSession(sessionId, experimentService.getAssignment(first.userId, 'group'));
+  
+  // Historique des partenaires récents pour chaque paire du groupe
+  for (let i = 0; i < members.length; i++) {
+    for (let j = i + 1; j < members.length; j++) {
+      await matchHistoryService.recordMatch(members[i].userId, members[j].userId);
+    }
+  }
+  
+  // Échantillons de temps d'attente pour l'estimateur
+  for (const member of members) {
+    await waitTimeService.recordWaitSample(member, 'group');
+  }
+  
+  await redisClient.setCache(`chat_session:${sessionId}`, {
+    sessionId,
+    participantIds: members.map(member => member.userId),
+    status: 'active',
+    createdAt: Date.now(),
+    matchType: 'group'
+  }, 3600 * 2); // 2 heures
+  
+  logger.logMatching(first.userId, null, 'group', true, {
+    sessionId,
+    participants: members.map(member => member.userId)
+  });
+  
+  return {
+    sessionId,
+    sessionDbId: session.id,
+    createdAt: session.created_at
+  };
+}
+
+/**
+ * Informations publiques d'un membre (sans coordonnées ni préférences)
+ */
+function toPublicParticipant(member) {
+  return {
+    id: member.userId,
+    username: member.username,
+    gender: member.gender,
+    country: member.country,
+    city: member.city
+  };
+}
+
+/**
+ * Publier un groupe formé : cache Redis pour le polling et événement chat:matched
+ * (recipients : membres à notifier, tous par défaut ; seul l'arrivant pour un groupe en cours)
+ */
+async function publishGroupMatch(members, session, recipients = members) {
+  const participants = members.map(toPublicParticipant);
+  
+  for (const member of recipients) {
+    const search = await redisClient.getCache(`searching:${member.userId}`);
+    
+    const matchPayload = {
+      matched: true,
+      isGroup: true,
+      searchId: search?.searchId || null,
+      sessionId: session.sessionId,
+      participants: participants.filter(participant => participant.id !== member.userId),
+      session: {
+        id: session.sessionId,
+        createdAt: session.createdAt
+      }
+    };
+    
+    await redisClient.setCache(`match:${member.userId}`, matchPayload, 300); // 5 minutes
+    
+    await redisClient.deleteCache(`searching:${member.userId}`);
+    await emitToUsers([member.userId], 'chat:matched', matchPayload);
+  }
+}
+
+/**
+ * Former les groupes possibles dans une file d'attente
+ */
+async function matchGroupQueue(queueKey, rawEntries) {
+  const entries = rawEntries.map(raw => {
+    try {
+      return { raw, data: JSON.parse(raw) };
+    } catch (error) {
+      return { raw, data: null };
+    }
+  });
+  
+  const usedIndexes = new Set();
+  let groupsCreated = 0;
+  
+  let group = await formGroup(entries, usedIndexes);
+  while (group) {
+    group.indexes.forEach(index => usedIndexes.add(index));
+    
+    let groupEntries = group.indexes.map(index => entries[index].raw);
+    
+    if (await claimGroupEntries(queueKey, groupEntries)) {
+      // Membres partis depuis la lecture de la file (plus de heartbeat)
+      const aliveUserIds = await heartbeatService.getAliveUserIds(group.members.map(member => member.userId));
+      
+      if (aliveUserIds.size < group.members.length) {
+        const claimedEntries = group.indexes.map(index => entries[index]);
+        
+        // Trop peu de présents : ils retrouvent leur rang, les absents sont abandonnés
+        if (aliveUserIds.size < GROUP_CONFIG.MIN_GROUP_SIZE) {
+          await matchingService.rollbackClaimedPair(queueKey, claimedEntries, aliveUserIds);
+          group = await formGroup(entries, usedIndexes);
+          continue;
+        }
+        
+        // Sinon le groupe est formé sans les absents
+        const aliveEntries = claimedEntries.filter(entry => aliveUserIds.has(entry.data.userId));
+        await matchingService.rollbackClaimedPair(
+          queueKey,
+          claimedEntries.filter(entry => !aliveUserIds.has(entry.data.userId)),
+          aliveUserIds
+        );
+        
+        group.members = aliveEntries.map(entry => entry.data);
+        groupEntries = aliveEntries.map(entry => entry.raw);
+      }
+      
+      try {
+        for (const member of group.members) {
+          await redisClient.removeFromMatchingQueue(member.userId, 'group');
+        }
+        
+        const session = await createGroupSession(group.members);
+        await openGroupSeats(session, group.members, group.maxSize);
+        await publishGroupMatch(group.members, session);
+        
+        groupsCreated++;
+      } catch (error) {
+        // Rendre leur place aux membres (rang d'attente d'origine)
+        for (const rawEntry of groupEntries) {
+          await matchingService.requeueEntry(queueKey, rawEntry);
+        }
+        logger.logError(error, { function: 'matchGroupQueue', participants: group.members.map(m => m.userId) });
+      }
+    }
+    
+    group = await formGroup(entries, usedIndexes);
+  }
+  
+  // Les utilisateurs restants rejoignent un groupe en cours s'il a une place compatible
+  for (let i = 0; i < entries.length; i++) {
+    if (usedIndexes.has(i) || !entries[i].data) continue;
+    
+    const openGroup = await findOpenGroup(entries[i].data);
+    if (!openGroup) continue;
+    
+    if (!await claimGroupEntries(queueKey, [entries[i].raw])) continue;
+    
+    try {
+      const joinResult = await joinGroupSession(openGroup, entries[i].data);
+      
+      if (!joinResult.success) {
+        await matchingService.requeueEntry(queueKey, entries[i].raw);
+        continue;
+      }
+      
+      await redisClient.removeFromMatchingQueue(entries[i].data.userId, 'group');
+      groupsCreated++;
+    } catch (error) {
+      await matchingService.requeueEntry(queueKey, entries[i].raw);
+      logger.logError(error, { function: 'matchGroupQueue', sessionId: openGroup.sessionId, userId: entries[i].data.userId });
+    }
+  }
+  
+  return groupsCreated;
+}
+
+// ============================================================================
+// GROUPES EN COURS (PLACES LIBRES)
+// ============================================================================
+
+/**
+ * Ouvrir les places restantes d'un groupe qui vient d'être formé.
+ * Un groupe complet est aussi suivi (0 place, hors OPEN_GROUPS_KEY) : un départ y rouvre une place.
+ */
+async function openGroupSeats(session, members, maxSize) {
+  const seats = Math.max(maxSize - members.length, 0);
+  const keys = getSeatKeys(session.sessionId);
+  
+  await redisClient.setCache(`group_open:${session.sessionId}`, {
+    sessionId: session.sessionId,
+    createdAt: session.createdAt,
+    maxSize
+  }, GROUP_CONFIG.OPEN_GROUP_TTL_SECONDS);
+  
+  await redisClient.client.hSet(keys.members, Object.fromEntries(
+    members.map(member => [member.userId, JSON.stringify(member)])
+  ));
+  await redisClient.client.expire(keys.members, GROUP_CONFIG.OPEN_GROUP_TTL_SECONDS);
+  
+  await redisClient.client.set(keys.seats, String(seats), {
+    EX: GROUP_CONFIG.OPEN_GROUP_TTL_SECONDS
+  });
+  
+  if (seats > 0) {
+    await redisClient.client.sAdd(GROUP_CONFIG.OPEN_GROUPS_KEY, session.sessionId);
+  }
+}
+
+/**
+ * Fermer les places d'un groupe terminé
+ */
+async function closeGroupSeats(sessionId) {
+  const keys = getSeatKeys(sessionId);
+  
+  await redisClient.deleteCache(`group_open:${sessionId}`);
+  await redisClient.client.del([keys.seats, keys.members, keys.left]);
+  await redisClient.client.sRem(GROUP_CONFIG.OPEN_GROUPS_KEY, sessionId);
+}
+
+/**
+ * Rendre la place d'un membre de façon atomique (left : parti, il ne sera pas replacé dans ce groupe)
+ */
+async function releaseGroupSeat(sessionId, userId, { left = true } = {}) {
+  const keys = getSeatKeys(sessionId);
+  
+  await redisClient.client.eval(RELEASE_SEAT_SCRIPT, {
+    keys: [keys.seats, keys.members, keys.left, GROUP_CONFIG.OPEN_GROUPS_KEY],
+    arguments: [sessionId, userId, left ? '1' : '0']
+  });
+}
+
+/**
+ * Membres actuels d'un groupe en cours
+ */
+async function getOpenGroupMembers(sessionId) {
+  const members = await redisClient.client.hVals(getSeatKeys(sessionId).members);
+  
+  return members.map(member => JSON.parse(member));
+}
+
+/**
+ * Trouver un groupe en cours avec une place libre, compatible avec l'utilisateur
+ */
+async function findOpenGroup(user) {
+  const sessionIds = await redisClient.client.sMembers(GROUP_CONFIG.OPEN_GROUPS_KEY);
+  
+  for (const sessionId of sessionIds) {
+    const openGroup = await redisClient.getCache(`group_open:${sessionId}`);
+    
+    // Places expirées : le groupe ne reçoit plus de membres
+    if (!openGroup) {
+      await redisClient.client.sRem(GROUP_CONFIG.OPEN_GROUPS_KEY, sessionId);
+      continue;
+    }
+    
+    const members = await getOpenGroupMembers(sessionId);
+    
+    if (members.length >= openGroup.maxSize) continue;
+    if (getPreferredGroupSize(user) < openGroup.maxSize) continue;
+    
+    const alreadyMember = members.some(member => member.userId === user.userId);
+    if (alreadyMember || await redisClient.client.sIsMember(getSeatKeys(sessionId).left, user.userId)) continue;
+    
+    if (await isCompatibleWithGroup(members, user)) {
+      return { ...openGroup, members };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Faire rejoindre un groupe en cours à un utilisateur (place réservée atomiquement)
+ */
+async function joinGroupSession(openGroup, user) {
+  const { sessionId } = openGroup;
+  const keys = getSeatKeys(sessionId);
+  
+  const seatClaimed = await redisClient.client.eval(CLAIM_SEAT_SCRIPT, {
+    keys: [keys.seats, keys.members, GROUP_CONFIG.OPEN_GROUPS_KEY],
+    arguments: [sessionId, user.userId, JSON.stringify(user)]
+  });
+  
+  if (seatClaimed !== 1) {
+    return { success: false, code: 'GROUP_FULL', reason: 'Groupe complet' };
+  }
+  
+  let result;
+  try {
+    result = await db.query(`
+      INSERT INTO chat_session_participants (session_id, user_id, username)
+      SELECT $1, $2, $3
+      WHERE EXISTS (SELECT 1 FROM chat_sessions WHERE session_id = $1 AND status = 'active')
+      ON CONFLICT (session_id, user_id) DO NOTHING
+      RETURNING joined_at
+    `, [sessionId, user.userId, user.username]);
+  } catch (error) {
+    await releaseGroupSeat(sessionId, user.userId, { left: false });
+    throw error;
+  }
+  
+  // Session terminée entre-temps (les anciens membres sont exclus par findOpenGroup)
+  if (result.rows.length === 0) {
+    await closeGroupSeats(sessionId);
+    return { success: false, code: 'GROUP_ENDED', reason: 'Groupe terminé' };
+  }
+  
+  // Membres relus après la réservation : un arrivant concurrent est aussi notifié
+  const members = await getOpenGroupMembers(sessionId);
+  const others = members.filter(member => member.userId !== user.userId);
+  
+  for (const member of others) {
+    await matchHistoryService.recordMatch(member.userId, user.userId);
+  }
+  await waitTimeService.recordWaitSample(user, 'group');
+  
+  await emitToUsers(others.map(member => member.userId), 'chat:group_member_joined', {
+    sessionId,
+    userId: user.userId,
+    username: user.username,
+    memberCount: members.length,
+    timestamp: new Date().toISOString()
+  });
+  
+  await publishGroupMatch(members, { sessionId, createdAt: openGroup.createdAt }, [user]);
+  
+  logger.logMatching(user.userId, null, 'group', true, { sessionId, stage: 'joined_running_group' });
+  
+  return {
+    success: true,
+    sessionId,
+    createdAt: openGroup.createdAt,
+    participants: others.map(toPublicParticipant)
+  };
+}
+
+/**
+ * Recherche directe : rejoindre un groupe en cours compatible (null si aucun).
+ * L'entrée éventuelle de l'utilisateur en file est réservée d'abord, pour que le matchmaker
+ * ne le place pas dans un autre groupe en même temps ; elle retrouve son rang en cas d'échec
+ */
+async function joinOpenGroup(user) {
+  const openGroup = await findOpenGroup(user);
+  if (!openGroup) return null;
+  
+  const queueKey = 'matching_queue:group';
+  const queueEntry = await matchingService.findQueueEntry(queueKey, user.userId);
+  
+  // Entrée réservée entre-temps par le matchmaker : le groupe arrive par chat:matched
+  if (queueEntry && !await claimGroupEntries(queueKey, [queueEntry])) {
+    return { success: false, code: 'ALREADY_MATCHED', reason: 'Groupe déjà trouvé' };
+  }
+  
+  let joinResult;
+  try {
+    joinResult = await joinGroupSession(openGroup, user);
+  } catch (error) {
+    if (queueEntry) await matchingService.requeueEntry(queueKey, queueEntry);
+    throw error;
+  }
+  
+  if (!joinResult.success && queueEntry) {
+    await matchingService.requeueEntry(queueKey, queueEntry);
+  }
+  
+  return joinResult;
+}
+
+// ============================================================================
+// PARTICIPANTS
+// ============================================================================
+
+/**
+ * Récupérer une session dont l'utilisateur est participant (null sinon).
+ * En groupe, seuls les membres encore présents y ont accès, sauf includeLeft (historique).
+ * activeOnly : ignorer une session terminée
+ */
+async function getParticipantSession(sessionId, userId, { activeOnly = false, includeLeft = false } = {}) {
+  const result = await db.query(`
+    SELECT * FROM chat_sessions
+    WHERE session_id = $1
+    AND (
+      (session_type <> 'group' AND (user1_id = $2 OR user2_id = $2))
+      OR session_id IN (
+        SELECT session_id FROM chat_session_participants
+        WHERE user_id = $2 AND ($3 OR left_at IS NULL)
+      )
+    )
+    AND (NOT $4 OR status = 'active')
+  `, [sessionId, userId, includeLeft, activeOnly]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Récupérer les membres actifs d'une session de groupe
+ */
+async function getActiveParticipants(sessionId) {
+  const result = await db.query(`
+    SELECT user_id, username, joined_at
+    FROM chat_session_participants
+    WHERE session_id = $1 AND left_at IS NULL
+    ORDER BY joined_at ASC
+  `, [sessionId]);
+  
+  return result.rows;
+}
+
+/**
+ * Identifiants des autres membres d'une session (partenaire unique hors groupe)
+ */
+async function getRecipientIds(session, userId) {
+  if (session.session_type !== 'group') {
+    return [session.user1_id === userId ? session.user2_id : session.user1_id];
+  }
+  
+  const participants = await getActiveParticipants(session.session_id);
+  return participants
+    .map(participant => participant.user_id)
+    .filter(id => id !== userId);
+}
+
+/**
+ * Récupérer les sessions de groupe actives d'un utilisateur
+ */
+async function getActiveGroupSessions(userId) {
+  const result = await db.query(`
+    SELECT cs.*
+    FROM chat_sessions cs
+    JOIN chat_session_participants p ON p.session_id = cs.session_id
+    WHERE p.user_id = $1 AND p.left_at IS NULL AND cs.status = 'active'
+  `, [userId]);
+  
+  return result.rows;
+}
+
+/**
+ * Faire quitter un membre d'un groupe (la session se termine sous 2 membres)
+ */
+async function leaveGroupSession(session, userId, reason = 'left') {
+  const result = await db.query(`
+    UPDATE chat_session_participants
+    SET left_at = NOW()
+    WHERE session_id = $1 AND user_id = $2 AND left_at IS NULL
+    RETURNING username
+  `, [session.session_id, userId]);
+  
+  if (result.rows.length === 0) {
+    return { success: false, reason: 'Membre absent du groupe' };
+  }
+  
+  const remaining = await getActiveParticipants(session.session_id);
+  const remainingIds = remaining.map(participant => participant.user_id);
+  const timestamp = new Date().toISOString();
+  
+  await emitToUsers(remainingIds, 'chat:group_member_left', {
+    sessionId: session.session_id,
+    userId,
+    username: result.rows[0].username,
+    reason,
+    remainingCount: remaining.length,
+    timestamp
+  });
+  
+  let sessionEnded = false;
+  
+  if (remaining.length < GROUP_CONFIG.MIN_ACTIVE_MEMBERS && session.status === 'active') {
+    await db.query(`
+      UPDATE chat_sessions
+      SET status = 'ended',
+          ended_at = NOW(),
+          duration_seconds = EXTRACT(EPOCH FROM (NOW() - COALESCE(started_at, created_at)))
+      WHERE session_id = $1
+    `, [session.session_id]);
+    
+    await db.query(`
+      UPDATE chat_session_participants
+      SET left_at = NOW()
+      WHERE session_id = $1 AND left_at IS NULL
+    `, [session.session_id]);
+    
+    await redisClient.deleteCache(`chat_session:${session.session_id}`);
+    await closeGroupSeats(session.session_id);
+    
+    await emitToUsers(remainingIds, 'chat:session_ended', {
+      sessionId: session.session_id,
+      endedBy: userId,
+      reason: 'group_too_small',
+      timestamp
+    });
+    
+    await eventBus.clearRoom(`chat_session:${session.session_id}`);
+    
+    sessionEnded = true;
+  } else {
+    // Place libérée : un utilisateur en file peut rejoindre le groupe
+    await releaseGroupSeat(session.session_id, userId);
+  }
+  
+  logger.logUserActivity(userId, 'group_session_left', {
+    sessionId: session.session_id,
+    reason,
+    remainingCount: remaining.length,
+    sessionEnded
+  });
+  
+  return { success: true, remainingCount: remaining.length, sessionEnded };
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  matchGroupQueue,
+  createGroupSession,
+  leaveGroupSession,
+  findOpenGroup,
+  joinGroupSession,
+  joinOpenGroup,
+  
+  // Participants
+  getParticipantSession,
+  getActiveParticipants,
+  getRecipientIds,
+  getActiveGroupSessions,
+  
+  // Utilitaires
+  emitToUsers,
+  getPreferredGroupSize,
+  
+  // Configuration
+  GROUP_CONFIG
+};
@@ -0,0 +1,121 @@
+// ============================================================================
+// SERVICE DE PRÉSENCE EN FILE D'ATTENTE (HEARTBEAT)
+// Fichier : /var/www/libekoo/backend/services/heartbeatService.js
+// ============================================================================
+
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const HEARTBEAT_CONFIG = {
+  // Intervalle de rafraîchissement (socket connectée ou polling client, en secondes)
+  INTERVAL_SECONDS: 5,
+  
+  // Sans heartbeat pendant ce délai, l'utilisateur est considéré parti (en secondes)
+  TTL_SECONDS: 15
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clé Redis du heartbeat d'un utilisateur
+ */
+function getHeartbeatKey(userId) {
+  return `queue_heartbeat:${userId}`;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Enregistrer un heartbeat (socket ou polling du statut de recherche)
+ */
+async function recordHeartbeat(userId) {
+  try {
+    await redisClient.client.set(getHeartbeatKey(userId), String(Date.now()), {
+      EX: HEARTBEAT_CONFIG.TTL_SECONDS
+    });
+  } catch (error) {
+    logger.logError(error, { function: 'recordHeartbeat', userId });
+  }
+}
+
+/**
+ * Effacer le heartbeat d'un utilisateur parti (déconnexion) : éviction au cycle suivant
+ */
+async function clearHeartbeat(userId) {
+  try {
+    await redisClient.client.del(getHeartbeatKey(userId));
+  } catch (error) {
+    logger.logError(error, { function: 'clearHeartbeat', userId });
+  }
+}
+
+/**
+ * Tenir la présence à jour tant que la socket est connectée (le client n'a rien à envoyer)
+ * Retourne la fonction d'arrêt, appelée aussi à la déconnexion
+ */
+function keepAliveWhileConnected(socket) {
+  recordHeartbeat(socket.userId);
+  
+  const timer = setInterval(() => {
+    recordHeartbeat(socket.userId);
+  }, HEARTBEAT_CONFIG.INTERVAL_SECONDS * 1000);
+  
+  const stop = () => clearInterval(timer);
+  socket.once('disconnect', stop);
+  
+  return stop;
+}
+
+/**
+ * Vérifier qu'un utilisateur a envoyé un heartbeat récent
+ */
+async function isAlive(userId) {
+  try {
+    return await redisClient.client.exists(getHeartbeatKey(userId)) === 1;
+  } catch (error) {
+    logger.logError(error, { function: 'isAlive', userId });
+    // En cas d'erreur, ne pas évincer
+    return true;
+  }
+}
+
+/**
+ * Filtrer les utilisateurs ayant un heartbeat récent
+ */
+async function getAliveUserIds(userIds) {
+  if (userIds.length === 0) return new Set();
+  
+  try {
+    const heartbeats = await redisClient.client.mGet(userIds.map(getHeartbeatKey));
+    
+    return new Set(userIds.filter((userId, index) => heartbeats[index] !== null));
+  } catch (error) {
+    logger.logError(error, { function: 'getAliveUserIds', count: userIds.length });
+    // En cas d'erreur, ne pas évincer
+    return new Set(userIds);
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  recordHeartbeat,
+  clearHeartbeat,
+  keepAliveWhileConnected,
+  isAlive,
+  getAliveUserIds,
+  
+  // Configuration
+  HEARTBEAT_CONFIG
+};
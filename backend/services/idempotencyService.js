@@ -0,0 +1,114 @@
+// ============================================================================
+// SERVICE D'IDEMPOTENCE (RENVOIS CLIENT SANS DOUBLONS)
+// Fichier : /var/www/libekoo/backend/services/idempotencyService.js
+// ============================================================================
+
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const IDEMPOTENCY_CONFIG = {
+  // Durée de conservation d'une réponse réussie (en secondes)
+  RESULT_TTL_SECONDS: 86400,
+  
+  // Durée maximale d'un traitement en cours (en secondes)
+  PENDING_TTL_SECONDS: 60,
+  
+  // Longueur maximale d'une clé fournie par le client
+  MAX_KEY_LENGTH: 100,
+  
+  // Valeur stockée pendant le traitement
+  PENDING_MARKER: 'pending'
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clé Redis d'une opération idempotente
+ */
+function getIdempotencyKey(scope, userId, key) {
+  return `idempotency:${scope}:${userId}:${key}`;
+}
+
+/**
+ * Vérifier le format d'une clé fournie par le client
+ */
+function isValidKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= IDEMPOTENCY_CONFIG.MAX_KEY_LENGTH;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Réserver une clé avant traitement.
+ * Retourne { claimed: true } ou, pour un renvoi, { claimed: false, response } (null si toujours en cours)
+ */
+async function claim(scope, userId, key) {
+  const redisKey = getIdempotencyKey(scope, userId, key);
+  
+  try {
+    const result = await redisClient.client.set(redisKey, IDEMPOTENCY_CONFIG.PENDING_MARKER, {
+      NX: true,
+      EX: IDEMPOTENCY_CONFIG.PENDING_TTL_SECONDS
+    });
+    
+    if (result === 'OK') return { claimed: true };
+    
+    const stored = await redisClient.client.get(redisKey);
+    if (stored === null) {
+      // Expirée entre SET et GET : retenter une fois
+      return claim(scope, userId, key);
+    }
+    
+    return {
+      claimed: false,
+      response: stored === IDEMPOTENCY_CONFIG.PENDING_MARKER ? null : JSON.parse(stored)
+    };
+  } catch (error) {
+    logger.logError(error, { function: 'claim', scope, userId });
+    // Redis indisponible : traiter sans protection plutôt que refuser l'envoi
+    return { claimed: true };
+  }
+}
+
+/**
+ * Terminer un traitement : réponse conservée si réussie, clé libérée sinon (nouvel essai possible)
+ */
+async function complete(scope, userId, key, response) {
+  const redisKey = getIdempotencyKey(scope, userId, key);
+  
+  try {
+    if (response && response.success) {
+      await redisClient.client.set(redisKey, JSON.stringify(response), {
+        EX: IDEMPOTENCY_CONFIG.RESULT_TTL_SECONDS
+      });
+    } else {
+      await redisClient.client.del(redisKey);
+    }
+  } catch (error) {
+    logger.logError(error, { function: 'complete', scope, userId });
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  claim,
+  complete,
+  
+  // Utilitaires
+  isValidKey,
+  
+  // Configuration
+  IDEMPOTENCY_CONFIG
+};
@@ -0,0 +1,229 @@
+// ============================================================================
+// SERVICE D'HISTORIQUE DES MATCHS
+// Fichier : /var/www/libekoo/backend/services/matchHistoryService.js
+// ============================================================================
+
+const db = require('../config/database');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const HISTORY_CONFIG = {
+  // Délai avant de pouvoir retomber sur le même partenaire, par type (en secondes)
+  COOLDOWN: {
+    random: 900,
+    local: 1800,
+    group: 300
+  },
+  
+  // Comportement pendant le délai : 'exclude' (jamais apparié) ou 'penalize' (score réduit)
+  MODE: {
+    random: 'exclude',
+    local: 'penalize',
+    group: 'penalize'
+  },
+  
+  // Pénalité de score appliquée en mode 'penalize'
+  PENALTY: 0.3,
+  
+  // Délai max accepté en préférence utilisateur (en minutes)
+  MAX_USER_COOLDOWN_MINUTES: 1440,
+  
+  // Durée pendant laquelle une proposition refusée ou expirée n'est pas reproposée (en secondes).
+  // Seule la paire est écartée : aucune pénalité de rang ni de qualité pour les deux utilisateurs
+  DECLINED_PAIR_TTL: 600,
+  
+  // Membre sentinelle indiquant que la fenêtre Redis est chargée
+  CACHE_SENTINEL: '__loaded__'
+};
+
+// Fenêtre glissante conservée dans Redis (en secondes)
+const HISTORY_WINDOW = Math.max(
+  ...Object.values(HISTORY_CONFIG.COOLDOWN),
+  HISTORY_CONFIG.MAX_USER_COOLDOWN_MINUTES * 60
+);
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clé Redis de la fenêtre glissante des partenaires récents
+ */
+function getHistoryKey(userId) {
+  return `match_history:${userId}`;
+}
+
+/**
+ * Charger les partenaires récents depuis chat_sessions vers Redis si nécessaire
+ */
+async function loadHistory(userId) {
+  const historyKey = getHistoryKey(userId);
+  
+  const exists = await redisClient.client.exists(historyKey);
+  if (exists) return historyKey;
+  
+  const result = await db.query(`
+    SELECT
+      CASE WHEN user1_id = $1 THEN user2_id ELSE user1_id END as partner_id,
+      MAX(created_at) as last_matched_at
+    FROM chat_sessions
+    WHERE (user1_id = $1 OR user2_id = $1)
+      AND created_at > NOW() - make_interval(secs => $2)
+    GROUP BY partner_id
+  `, [userId, HISTORY_WINDOW]);
+  
+  // Le sentinelle (score négatif) survit à l'élagage par date
+  await redisClient.client.zAdd(historyKey, [
+    { score: -1, value: HISTORY_CONFIG.CACHE_SENTINEL },
+    ...result.rows
+      .filter(row => row.partner_id)
+      .map(row => ({
+        score: new Date(row.last_matched_at).getTime(),
+        value: row.partner_id
+      }))
+  ]);
+  await redisClient.client.expire(historyKey, HISTORY_WINDOW);
+  
+  return historyKey;
+}
+
+/**
+ * Délai de re-match d'un utilisateur (préférence ou défaut du type), en secondes
+ */
+function getUserCooldown(user, matchType) {
+  // Les préférences déjà enregistrées peuvent contenir une chaîne ("30")
+  const rawOverride = user?.preferences?.rematchCooldownMinutes;
+  const override = typeof rawOverride === 'string' ? parseInt(rawOverride, 10) : rawOverride;
+  
+  if (Number.isInteger(override) && override >= 0) {
+    return Math.min(override, HISTORY_CONFIG.MAX_USER_COOLDOWN_MINUTES) * 60;
+  }
+  
+  return HISTORY_CONFIG.COOLDOWN[matchType] ?? HISTORY_CONFIG.COOLDOWN.random;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Enregistrer un match entre deux utilisateurs
+ */
+async function recordMatch(user1Id, user2Id) {
+  try {
+    const now = Date.now();
+    const cutoff = now - HISTORY_WINDOW * 1000;
+    
+    for (const [userId, partnerId] of [[user1Id, user2Id], [user2Id, user1Id]]) {
+      const historyKey = await loadHistory(userId);
+      
+      await redisClient.client.zAdd(historyKey, { score: now, value: partnerId });
+      await redisClient.client.zRemRangeByScore(historyKey, 0, cutoff);
+      await redisClient.client.expire(historyKey, HISTORY_WINDOW);
+    }
+  } catch (error) {
+    logger.logError(error, { function: 'recordMatch', user1Id, user2Id });
+  }
+}
+
+/**
+ * Vérifier si deux utilisateurs ont été appariés récemment
+ */
+async function checkRecentMatch(user1, user2, matchType) {
+  try {
+    const cooldown = Math.max(
+      getUserCooldown(user1, matchType),
+      getUserCooldown(user2, matchType)
+    );
+    const mode = HISTORY_CONFIG.MODE[matchType] || 'exclude';
+    
+    if (cooldown === 0) {
+      return { recent: false, cooldown, mode };
+    }
+    
+    const historyKey = await loadHistory(user1.userId);
+    const lastMatchedAt = await redisClient.client.zScore(historyKey, user2.userId);
+    
+    if (lastMatchedAt === null || lastMatchedAt < 0) {
+      return { recent: false, cooldown, mode };
+    }
+    
+    const secondsAgo = Math.floor((Date.now() - lastMatchedAt) / 1000);
+    
+    return {
+      recent: secondsAgo < cooldown,
+      secondsAgo,
+      cooldown,
+      mode
+    };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'checkRecentMatch', user1Id: user1?.userId, user2Id: user2?.userId });
+    // En cas d'erreur, ne pas bloquer le matching
+    return { recent: false };
+  }
+}
+
+/**
+ * Pénalité de score pour un partenaire récent (mode 'penalize')
+ */
+async function getRematchPenalty(user1, user2, matchType) {
+  const history = await checkRecentMatch(user1, user2, matchType);
+  
+  return history.recent && history.mode === 'penalize' ? HISTORY_CONFIG.PENALTY : 0;
+}
+
+/**
+ * Clé Redis d'une paire ayant refusé ou laissé expirer une proposition
+ */
+function getDeclinedPairKey(user1Id, user2Id) {
+  return `declined_pair:${[user1Id, user2Id].sort().join(':')}`;
+}
+
+/**
+ * Enregistrer une proposition refusée (la paire n'est pas reproposée pendant DECLINED_PAIR_TTL)
+ */
+async function recordDeclinedPair(user1Id, user2Id) {
+  try {
+    await redisClient.client.set(getDeclinedPairKey(user1Id, user2Id), '1', {
+      EX: HISTORY_CONFIG.DECLINED_PAIR_TTL
+    });
+  } catch (error) {
+    logger.logError(error, { function: 'recordDeclinedPair', user1Id, user2Id });
+  }
+}
+
+/**
+ * Vérifier si une proposition entre deux utilisateurs a été refusée récemment
+ */
+async function wasPairDeclined(user1Id, user2Id) {
+  try {
+    return await redisClient.client.exists(getDeclinedPairKey(user1Id, user2Id)) === 1;
+  } catch (error) {
+    logger.logError(error, { function: 'wasPairDeclined', user1Id, user2Id });
+    return false;
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  recordMatch,
+  checkRecentMatch,
+  getRematchPenalty,
+  recordDeclinedPair,
+  wasPairDeclined,
+  
+  // Utilitaires
+  getUserCooldown,
+  
+  // Configuration
+  HISTORY_CONFIG
+};
@@ -0,0 +1,281 @@
+// ============================================================================
+// SERVICE DE PROPOSITION DE MATCH (ACCEPTER / REFUSER)
+// Fichier : /var/www/libekoo/backend/services/matchProposalService.js
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+const matchingService = require('./matchingService');
+const matchHistoryService = require('./matchHistoryService');
+const eventBus = require('./eventBus');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const PROPOSAL_CONFIG = {
+  // Délai pour accepter une proposition (en millisecondes)
+  TIMEOUT_MS: 15000,
+  
+  // Sorted set des propositions par date d'expiration
+  EXPIRING_SET_KEY: 'match_proposals:expiring'
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clé Redis d'une proposition
+ */
+function getProposalKey(proposalId) {
+  return `match_proposal:${proposalId}`;
+}
+
+/**
+ * Durée de vie des clés d'une proposition (en secondes, avec marge)
+ */
+function getProposalTTL() {
+  return Math.ceil(PROPOSAL_CONFIG.TIMEOUT_MS / 1000) + 60;
+}
+
+/**
+ * Vérifier si l'un des deux utilisateurs a demandé l'aperçu avant match
+ */
+function wantsPreview(user1, user2) {
+  return Boolean(user1.preferences?.matchPreview || user2.preferences?.matchPreview);
+}
+
+/**
+ * Carte publique du partenaire présentée avant acceptation
+ */
+function buildPartnerCard(partner, user) {
+  return {
+    id: partner.userId,
+    username: partner.username,
+    country: partner.country,
+    sharedInterests: matchingService.getSharedInterests(user, partner)
+  };
+}
+
+/**
+ * Réserver le traitement final d'une proposition (acceptation, refus ou expiration)
+ */
+async function claimResolution(proposalId) {
+  const result = await redisClient.client.set(`${getProposalKey(proposalId)}:resolved`, '1', {
+    NX: true,
+    EX: getProposalTTL()
+  });
+  
+  return result === 'OK';
+}
+
+/**
+ * Supprimer les clés d'une proposition traitée
+ */
+async function clearProposal(proposal) {
+  await redisClient.client.zRem(PROPOSAL_CONFIG.EXPIRING_SET_KEY, proposal.proposalId);
+  await redisClient.deleteCache(getProposalKey(proposal.proposalId));
+  await redisClient.client.del(`${getProposalKey(proposal.proposalId)}:accepted`);
+  
+  for (const user of proposal.users) {
+    await redisClient.deleteCache(`user_proposal:${user.userId}`);
+  }
+}
+
+/**
+ * Émettre un événement vers les participants d'une proposition
+ */
+function emitToUser(userId, event, payload) {
+  return eventBus.emitToUsers([userId], event, payload);
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Proposer un match aux deux utilisateurs (la session n'est pas encore créée)
+ */
+async function createProposal(user1, user2, matchType, matchScore) {
+  const proposalId = uuidv4();
+  const expiresAt = Date.now() + PROPOSAL_CONFIG.TIMEOUT_MS;
+  
+  const proposal = {
+    proposalId,
+    matchType,
+    matchScore,
+    users: [user1, user2],
+    expiresAt
+  };
+  
+  await redisClient.setCache(getProposalKey(proposalId), proposal, getProposalTTL());
+  await redisClient.client.zAdd(PROPOSAL_CONFIG.EXPIRING_SET_KEY, { score: expiresAt, value: proposalId });
+  
+  for (const [user, partner] of [[user1, user2], [user2, user1]]) {
+    await redisClient.setCache(`user_proposal:${user.userId}`, { proposalId, expiresAt }, getProposalTTL());
+    
+    await emitToUser(user.userId, 'chat:match_proposed', {
+      proposalId,
+      matchType,
+      expiresAt: new Date(expiresAt).toISOString(),
+      timeoutSeconds: Math.round(PROPOSAL_CONFIG.TIMEOUT_MS / 1000),
+      partner: buildPartnerCard(partner, user)
+    });
+  }
+  
+  logger.logMatching(user1.userId, user2.userId, matchType, false, { stage: 'proposed', proposalId });
+  
+  return { proposalId, expiresAt };
+}
+
+/**
+ * Accepter une proposition (la session est créée quand les deux ont accepté)
+ */
+async function acceptProposal(proposalId, userId) {
+  try {
+    const proposal = await redisClient.getCache(getProposalKey(proposalId));
+    if (!proposal || !proposal.users.some(user => user.userId === userId)) {
+      return { success: false, reason: 'Proposition expirée ou introuvable' };
+    }
+    
+    const acceptedKey = `${getProposalKey(proposalId)}:accepted`;
+    await redisClient.client.sAdd(acceptedKey, userId);
+    await redisClient.client.expire(acceptedKey, getProposalTTL());
+    
+    const acceptedCount = await redisClient.client.sCard(acceptedKey);
+    const [user1, user2] = proposal.users;
+    const partnerId = user1.userId === userId ? user2.userId : user1.userId;
+    
+    if (acceptedCount < 2) {
+      await emitToUser(partnerId, 'chat:match_partner_accepted', { proposalId });
+      return { success: true, waiting: true };
+    }
+    
+    if (!await claimResolution(proposalId)) {
+      return { success: false, reason: 'Proposition déjà traitée' };
+    }
+    
+    await clearProposal(proposal);
+    
+    let session;
+    try {
+      session = await matchingService.createChatSession(user1, user2, proposal.matchType);
+    } catch (error) {
+      await requeueUsers(proposal);
+      throw error;
+    }
+    
+    await matchingService.publishMatch(user1, user2, session, proposal.matchScore, [user1.userId, user2.userId]);
+    
+    return { success: true, waiting: false, sessionId: session.sessionId };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'acceptProposal', proposalId, userId });
+    return { success: false, reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Remettre les deux utilisateurs en file à leur rang d'origine
+ */
+async function requeueUsers(proposal) {
+  for (const user of proposal.users) {
+    // Demandeur jamais entré en file : rang calculé comme à une première recherche
+    if (user.queueRank === undefined) {
+      await matchingService.enqueueUser(user);
+      continue;
+    }
+    
+    await matchingService.requeueEntry(`matching_queue:${user.matchType}`, JSON.stringify(user));
+  }
+}
+
+/**
+ * Refuser (ou laisser expirer) une proposition : retour en file sans pénalité
+ */
+async function declineProposal(proposalId, userId = null, reason = 'declined') {
+  try {
+    const proposal = await redisClient.getCache(getProposalKey(proposalId));
+    if (!proposal) {
+      await redisClient.client.zRem(PROPOSAL_CONFIG.EXPIRING_SET_KEY, proposalId);
+      return { success: false, reason: 'Proposition expirée ou introuvable' };
+    }
+    
+    if (userId && !proposal.users.some(user => user.userId === userId)) {
+      return { success: false, reason: 'Proposition expirée ou introuvable' };
+    }
+    
+    if (!await claimResolution(proposalId)) {
+      return { success: false, reason: 'Proposition déjà traitée' };
+    }
+    
+    await clearProposal(proposal);
+    
+    const [user1, user2] = proposal.users;
+    
+    // Ne pas reproposer la même paire pendant DECLINED_PAIR_TTL (sans pénalité de rang)
+    await matchHistoryService.recordDeclinedPair(user1.userId, user2.userId);
+    
+    await requeueUsers(proposal);
+    
+    for (const user of proposal.users) {
+      await emitToUser(user.userId, 'chat:match_cancelled', {
+        proposalId,
+        reason,
+        requeued: true
+      });
+    }
+    
+    logger.logMatching(user1.userId, user2.userId, proposal.matchType, false, {
+      stage: reason === 'timeout' ? 'proposal_expired' : 'proposal_declined',
+      proposalId,
+      declinedBy: userId
+    });
+    
+    return { success: true };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'declineProposal', proposalId, userId });
+    return { success: false, reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Traiter les propositions expirées
+ */
+async function expireProposals() {
+  try {
+    const expiredIds = await redisClient.client.zRangeByScore(
+      PROPOSAL_CONFIG.EXPIRING_SET_KEY, 0, Date.now()
+    );
+    
+    for (const proposalId of expiredIds) {
+      await declineProposal(proposalId, null, 'timeout');
+    }
+    
+    return expiredIds.length;
+  } catch (error) {
+    logger.logError(error, { function: 'expireProposals' });
+    return 0;
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  createProposal,
+  acceptProposal,
+  declineProposal,
+  expireProposals,
+  
+  // Utilitaires
+  wantsPreview,
+  
+  // Configuration
+  PROPOSAL_CONFIG
+};
@@ -0,0 +1,329 @@
+// ============================================================================
+// NOTATION ET FILTRES DES PAIRES (FONCTIONS PURES, SANS REDIS NI BASE)
+// Fichier : /var/www/libekoo/backend/services/matchingScoring.js
+// ============================================================================
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const SCORING_CONFIG = {
+  // Temps d'attente max par type (en secondes)
+  MAX_WAIT_TIME: {
+    random: 45,
+    local: 60,
+    group: 30
+  },
+  
+  // Distance max pour match local (en km)
+  MAX_LOCAL_DISTANCE: 100,
+  
+  // Score de compatibilité minimum par défaut (étape initiale, surchargeable par stratégie)
+  MIN_COMPATIBILITY_SCORE: 0.3,
+  
+  // Poids par défaut du score de compatibilité (les stratégies peuvent les surcharger)
+  SCORE_WEIGHTS: {
+    base: 0.5,
+    genderMatch: 0.2,
+    genderMismatch: -0.3,
+    ageMatch: 0.15,
+    distanceTiers: [
+      { maxKm: 10, bonus: 0.2 },
+      { maxKm: 50, bonus: 0.1 },
+      { maxKm: 200, bonus: 0.05 }
+    ],
+    sameCountry: 0.1,
+    sameCity: 0.15,
+    language: 0.15,
+    interestPerTag: 0.05,
+    interestMax: 0.2,
+    wellRated: 0.1
+  },
+  
+  // Assouplissement progressif des critères selon l'attente.
+  // atWaitRatio : fraction de MAX_WAIT_TIME à partir de laquelle l'étape s'applique
+  // minScore : score minimum (celui de la stratégie si absent, jamais au-dessus)
+  // distanceFactor : multiplicateur de maxDistance pour le chat local
+  RELAXATION_CURVE: [
+    { name: 'strict', atWaitRatio: 0, distanceFactor: 1 },
+    { name: 'relaxed', atWaitRatio: 0.33, minScore: 0.2, distanceFactor: 2 },
+    { name: 'wide', atWaitRatio: 0.66, minScore: 0.1, distanceFactor: 4 }
+  ],
+  
+  // Un partenaire est "bien noté" (option preferWellRated) à partir de cette moyenne...
+  WELL_RATED_AVERAGE: 4,
+  
+  // ...et de ce nombre de notes reçues
+  WELL_RATED_MIN_COUNT: 3
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Score minimum de la stratégie du type de match
+ * (registre chargé à la demande : il dépend lui-même de ce module)
+ */
+function getStrategyMinScore(matchType) {
+  return require('./matchingStrategies').getStrategyForType(matchType).minScore
+    ?? SCORING_CONFIG.MIN_COMPATIBILITY_SCORE;
+}
+
+/**
+ * Calculer la distance entre deux points géographiques
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+  if (!lat1 || !lon1 || !lat2 || !lon2) return null;
+  
+  const R = 6371; // Rayon de la Terre en km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return Math.round(R * c);
+}
+
+/**
+ * Centres d'intérêt communs entre deux utilisateurs
+ */
+function getSharedInterests(user1, user2) {
+  const interests1 = user1.preferences?.interests;
+  const interests2 = user2.preferences?.interests;
+  
+  if (!Array.isArray(interests1) || !Array.isArray(interests2)) return [];
+  
+  const tags2 = new Set(interests2);
+  return interests1.filter(tag => tags2.has(tag));
+}
+
+/**
+ * Langues parlées en commun entre deux utilisateurs
+ */
+function getSharedLanguages(user1, user2) {
+  const languages1 = user1.preferences?.languages;
+  const languages2 = user2.preferences?.languages;
+  
+  if (!Array.isArray(languages1) || !Array.isArray(languages2)) return [];
+  
+  return languages1.filter(lang => languages2.includes(lang));
+}
+
+/**
+ * Vérifier si un résumé de notes (voir ratingService.getRatingSummary) correspond à un utilisateur bien noté
+ */
+function isWellRated(summary) {
+  return Boolean(summary) &&
+    summary.count >= SCORING_CONFIG.WELL_RATED_MIN_COUNT &&
+    summary.average >= SCORING_CONFIG.WELL_RATED_AVERAGE;
+}
+
+// ============================================================================
+// ASSOUPLISSEMENT
+// ============================================================================
+
+/**
+ * Déterminer l'étape d'assouplissement d'une recherche selon son ancienneté
+ */
+function getRelaxationStage(matchType, joinedAt, now = Date.now()) {
+  const maxWaitTime = SCORING_CONFIG.MAX_WAIT_TIME[matchType] || SCORING_CONFIG.MAX_WAIT_TIME.random;
+  const waitSeconds = Math.max(0, (now - (joinedAt || now)) / 1000);
+  const strategyMinScore = getStrategyMinScore(matchType);
+  const waitRatio = waitSeconds / maxWaitTime;
+  
+  const curve = SCORING_CONFIG.RELAXATION_CURVE;
+  let index = 0;
+  for (let i = 0; i < curve.length; i++) {
+    if (waitRatio >= curve[i].atWaitRatio) index = i;
+  }
+  
+  const stage = curve[index];
+  const nextStage = curve[index + 1];
+  
+  return {
+    index,
+    name: stage.name,
+    minScore: Math.min(stage.minScore ?? strategyMinScore, strategyMinScore),
+    distanceFactor: stage.distanceFactor || 1,
+    waitSeconds: Math.floor(waitSeconds),
+    nextStageIn: nextStage
+      ? Math.max(0, Math.ceil(nextStage.atWaitRatio * maxWaitTime - waitSeconds))
+      : null
+  };
+}
+
+/**
+ * Seuils applicables à une paire : l'étape la plus assouplie des deux l'emporte
+ */
+function getPairThresholds(user1, user2, now = Date.now()) {
+  const stage1 = getRelaxationStage(user1.matchType, user1.joinedAt, now);
+  const stage2 = getRelaxationStage(user2.matchType, user2.joinedAt, now);
+  
+  return {
+    minScore: Math.min(stage1.minScore, stage2.minScore),
+    distanceFactor: Math.max(stage1.distanceFactor, stage2.distanceFactor)
+  };
+}
+
+// ============================================================================
+// NOTATION ET FILTRES
+// ============================================================================
+
+/**
+ * Calculer un score de compatibilité entre deux utilisateurs
+ * (weights : surcharge partielle de SCORE_WEIGHTS, fournie par la stratégie)
+ */
+function calculateCompatibilityScore(user1, user2, weights = {}) {
+  const w = { ...SCORING_CONFIG.SCORE_WEIGHTS, ...weights };
+  let score = w.base; // Score de base
+  
+  // Préférences de genre
+  if (user1.preferences?.genderPreference && user1.preferences.genderPreference !== 'all') {
+    if (user1.preferences.genderPreference === user2.gender) {
+      score += w.genderMatch;
+    } else {
+      score += w.genderMismatch;
+    }
+  }
+  
+  if (user2.preferences?.genderPreference && user2.preferences.genderPreference !== 'all') {
+    if (user2.preferences.genderPreference === user1.gender) {
+      score += w.genderMatch;
+    } else {
+      score += w.genderMismatch;
+    }
+  }
+  
+  // Préférences d'âge
+  if (user1.preferences?.ageRangePreference && user1.preferences.ageRangePreference !== 'all') {
+    if (user1.preferences.ageRangePreference === user2.ageRange) {
+      score += w.ageMatch;
+    }
+  }
+  
+  // Proximité géographique (bonus du premier palier atteint)
+  if (user1.latitude && user1.longitude && user2.latitude && user2.longitude) {
+    const distance = calculateDistance(user1.latitude, user1.longitude, user2.latitude, user2.longitude);
+    if (distance !== null) {
+      const tier = w.distanceTiers.find(t => distance < t.maxKm);
+      if (tier) score += tier.bonus;
+    }
+  }
+  
+  // Même pays (petit bonus)
+  if (user1.country === user2.country) {
+    score += w.sameCountry;
+  }
+  
+  // Même ville (bonus plus important)
+  if (user1.city === user2.city) {
+    score += w.sameCity;
+  }
+  
+  // Langue commune
+  if (getSharedLanguages(user1, user2).length > 0) {
+    score += w.language;
+  }
+  
+  // Centres d'intérêt communs
+  const sharedInterests = getSharedInterests(user1, user2);
+  if (sharedInterests.length > 0) {
+    score += Math.min(sharedInterests.length * w.interestPerTag, w.interestMax);
+  }
+  
+  // Partenaire bien noté (option preferWellRated)
+  if (user1.preferences?.preferWellRated && isWellRated(user2.rating)) {
+    score += w.wellRated;
+  }
+  
+  if (user2.preferences?.preferWellRated && isWellRated(user1.rating)) {
+    score += w.wellRated;
+  }
+  
+  // Les matchs répétés récents sont gérés par matchHistoryService (voir canMatch/findPartner)
+  
+  return Math.max(0, Math.min(1, score));
+}
+
+/**
+ * Vérifier les préférences et filtres d'une paire (sans accès Redis)
+ * (knownDistance : distance déjà obtenue via l'index géographique, en km)
+ */
+function passesPreferenceFilters(user1, user2, knownDistance = null, now = Date.now()) {
+  // Vérifier que ce ne sont pas les mêmes utilisateurs
+  if (user1.userId === user2.userId) return false;
+  
+  // Vérifier les préférences de genre
+  if (user1.preferences?.genderPreference && user1.preferences.genderPreference !== 'all') {
+    if (user1.preferences.genderPreference !== user2.gender) return false;
+  }
+  
+  if (user2.preferences?.genderPreference && user2.preferences.genderPreference !== 'all') {
+    if (user2.preferences.genderPreference !== user1.gender) return false;
+  }
+  
+  // Exiger une langue commune si l'un des deux l'a demandé
+  if (user1.preferences?.mustShareLanguage || user2.preferences?.mustShareLanguage) {
+    if (getSharedLanguages(user1, user2).length === 0) return false;
+  }
+  
+  // Filtre premium : pays autorisés
+  if (user1.preferences?.countryWhitelist?.length > 0 && !user1.preferences.countryWhitelist.includes(user2.country)) return false;
+  if (user2.preferences?.countryWhitelist?.length > 0 && !user2.preferences.countryWhitelist.includes(user1.country)) return false;
+  
+  // Filtre premium : tranches d'âge acceptées
+  if (user1.preferences?.ageRanges?.length > 0 && !user1.preferences.ageRanges.includes(user2.ageRange)) return false;
+  if (user2.preferences?.ageRanges?.length > 0 && !user2.preferences.ageRanges.includes(user1.ageRange)) return false;
+  
+  // Mode strict : exiger au moins un centre d'intérêt commun
+  if (user1.preferences?.interestsOnly || user2.preferences?.interestsOnly) {
+    if (getSharedInterests(user1, user2).length === 0) return false;
+  }
+  
+  // Vérifier la distance maximale pour le chat local
+  if (user1.matchType === 'local' || user2.matchType === 'local') {
+    const distance = knownDistance ?? (
+      user1.latitude && user1.longitude && user2.latitude && user2.longitude
+        ? calculateDistance(user1.latitude, user1.longitude, user2.latitude, user2.longitude)
+        : null
+    );
+    
+    if (distance !== null) {
+      const maxDistance = Math.max(
+        user1.preferences?.maxDistance || SCORING_CONFIG.MAX_LOCAL_DISTANCE,
+        user2.preferences?.maxDistance || SCORING_CONFIG.MAX_LOCAL_DISTANCE
+      ) * getPairThresholds(user1, user2, now).distanceFactor;
+      if (distance > maxDistance) return false;
+    }
+  }
+  
+  return true;
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Notation et filtres
+  calculateCompatibilityScore,
+  passesPreferenceFilters,
+  
+  // Assouplissement
+  getRelaxationStage,
+  getPairThresholds,
+  
+  // Utilitaires
+  calculateDistance,
+  getSharedInterests,
+  getSharedLanguages,
+  isWellRated,
+  
+  // Configuration
+  SCORING_CONFIG
+};
@@ -7,140 +7,330 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const redisClient = require('../config/redis');
 const logger = require('../config/logger');
+const blockService = require('./blockService');
+const matchHistoryService = require('./matchHistoryService');
+const waitTimeService = require('./waitTimeService');
+const geoIndexService = require('./geoIndexService');
+const matchingStrategies = require('./matchingStrategies');
+const {
+  calculateDistance,
+  getSharedInterests,
+  getSharedLanguages,
+  getRelaxationStage,
+  getPairThresholds,
+  calculateCompatibilityScore,
+  passesPreferenceFilters,
+  SCORING_CONFIG
+} = require('./matchingScoring');
+const experimentService = require('./experimentService');
+const qualityService = require('./qualityService');
+const heartbeatService = require('./heartbeatService');
+const eventBus = require('./eventBus');
 
 // ============================================================================
 // CONSTANTES
 // ============================================================================
 
 const MATCHING_CONFIG = {
-  // Temps d'attente max par type (en secondes)
-  MAX_WAIT_TIME: {
-    random: 45,
-    local: 60,
-    group: 30
-  },
+  // Attentes max, distance locale, poids et assouplissement : voir matchingScoring
+  ...SCORING_CONFIG,
   
-  // Distance max pour match local (en km)
-  MAX_LOCAL_DISTANCE: 100,
+  // Avance accordée aux comptes prioritaires dans la file (en millisecondes).
+  // Bornée : un utilisateur gratuit qui attend depuis plus longtemps reste devant.
+  PRIORITY_BOOST_MS: 20000,
   
-  // Score de compatibilité minimum
-  MIN_COMPATIBILITY_SCORE: 0.3,
+  // Filtres réservés aux comptes disposant de 'matching:premium_filters'
+  PREMIUM_FILTERS: ['countryWhitelist', 'ageRanges', 'interestsOnly'],
+  
+  // Type de repli une fois MAX_WAIT_TIME atteint (sinon retrait de la file)
+  FALLBACK_MATCH_TYPE: {
+    local: 'random'
+  },
   
   // Nombre max de tentatives de match
   MAX_RETRY_ATTEMPTS: 5
 };
 
+// Script Lua : insérer une entrée selon son rang (queueRank, sinon joinedAt)
+// pour que la file reste triée du plus prioritaire au moins prioritaire
+const ENQUEUE_BY_RANK_SCRIPT = `
+  local rank = tonumber(ARGV[2])
+  local entries = redis.call('LRANGE', KEYS[1], 0, -1)
+  for _, entry in ipairs(entries) do
+    local ok, decoded = pcall(cjson.decode, entry)
+    if ok then
+      local entryRank = tonumber(decoded.queueRank or decoded.joinedAt or 0)
+      if entryRank and entryRank > rank then
+        return redis.call('LINSERT', KEYS[1], 'BEFORE', entry, ARGV[1])
+      end
+    end
+  end
+  return redis.call('RPUSH', KEYS[1], ARGV[1])
+`;
+
+// Script Lua : retirer atomiquement le candidat et le demandeur (s'il est en file).
+// Retourne 1 si la paire est réservée, 0 si le candidat a déjà été pris,
+// -1 si le demandeur n'est plus dans la file (apparié entre-temps par un autre appel).
+const CLAIM_PAIR_SCRIPT = `
+  if not redis.call('LPOS', KEYS[1], ARGV[1]) then
+    return 0
+  end
+  if ARGV[2] ~= '' then
+    if not redis.call('LPOS', KEYS[1], ARGV[2]) then
+      return -1
+    end
+    redis.call('LREM', KEYS[1], 1, ARGV[2])
+  end
+  redis.call('LREM', KEYS[1], 1, ARGV[1])
+  return 1
+`;
+
 // ============================================================================
 // FONCTIONS UTILITAIRES
 // ============================================================================
 
 /**
- * Calculer la distance entre deux points géographiques
+ * Score final d'un candidat (score de la stratégie moins pénalité de re-match)
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  if (!lat1 || !lon1 || !lat2 || !lon2) return null;
-  
-  const R = 6371; // Rayon de la Terre en km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
+async function scoreCandidate(user1, user2, matchType) {
+  const strategy = matchingStrategies.getStrategyForType(matchType);
+  const [scored] = strategy.scoreCandidates(user1, [{ data: user2 }], getStrategyContext(user1, matchType));
   
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
+  return scored.score - await matchHistoryService.getRematchPenalty(user1, user2, matchType);
+}
+
+/**
+ * Contexte passé aux stratégies (poids surchargés par la variante d'expérience de l'utilisateur)
+ */
+function getStrategyContext(user, matchType) {
+  const assignment = experimentService.getAssignment(user.userId, matchType);
   
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return Math.round(R * c);
+  return {
+    matchType,
+    now: Date.now(),
+    weightOverrides: assignment?.overrides?.SCORE_WEIGHTS || {}
+  };
 }
 
 /**
- * Calculer un score de compatibilité entre deux utilisateurs
+ * Filtrer, noter et trier des candidats avec la stratégie du type de match.
+ * candidates : [{ data, distance?, ... }] ; retourne les candidats retenus avec leur score.
  */
-function calculateCompatibilityScore(user1, user2) {
-  let score = 0.5; // Score de base
+async function rankCandidates(user, candidates, matchType) {
+  const strategy = matchingStrategies.getStrategyForType(matchType);
+  const context = getStrategyContext(user, matchType);
   
-  // Préférences de genre
-  if (user1.preferences?.genderPreference && user1.preferences.genderPreference !== 'all') {
-    if (user1.preferences.genderPreference === user2.gender) {
-      score += 0.2;
-    } else {
-      score -= 0.3;
-    }
+  // Contraintes Redis (blocages, historique) après le filtrage de la stratégie
+  const allowed = [];
+  for (const candidate of strategy.filterCandidates(user, candidates, context)) {
+    if (await isPairAllowed(user, candidate.data)) allowed.push(candidate);
   }
   
-  if (user2.preferences?.genderPreference && user2.preferences.genderPreference !== 'all') {
-    if (user2.preferences.genderPreference === user1.gender) {
-      score += 0.2;
-    } else {
-      score -= 0.3;
+  const ranked = [];
+  for (const candidate of strategy.scoreCandidates(user, allowed, context)) {
+    const score = candidate.score -
+      await matchHistoryService.getRematchPenalty(user, candidate.data, matchType);
+    
+    if (score >= getPairThresholds(user, candidate.data, context.now).minScore) {
+      ranked.push({ ...candidate, score });
     }
   }
   
-  // Préférences d'âge
-  if (user1.preferences?.ageRangePreference && user1.preferences.ageRangePreference !== 'all') {
-    if (user1.preferences.ageRangePreference === user2.ageRange) {
-      score += 0.15;
-    }
-  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Vérifier les contraintes stockées d'une paire (blocages, historique, refus)
+ */
+async function isPairAllowed(user1, user2) {
+  // Vérifier le blocage mutuel entre ces utilisateurs
+  if (await blockService.isBlockedEitherWay(user1.userId, user2.userId)) return false;
   
-  // Proximité géographique (bonus pour users proches)
-  if (user1.latitude && user1.longitude && user2.latitude && user2.longitude) {
-    const distance = calculateDistance(user1.latitude, user1.longitude, user2.latitude, user2.longitude);
-    if (distance !== null) {
-      if (distance < 10) score += 0.2;
-      else if (distance < 50) score += 0.1;
-      else if (distance < 200) score += 0.05;
-    }
-  }
+  // Exclure les partenaires récents si le type de match l'exige
+  const history = await matchHistoryService.checkRecentMatch(user1, user2, user1.matchType);
+  if (history.recent && history.mode === 'exclude') return false;
   
-  // Même pays (petit bonus)
-  if (user1.country === user2.country) {
-    score += 0.1;
-  }
+  // Ne pas reproposer une paire qui vient de refuser une proposition
+  if (await matchHistoryService.wasPairDeclined(user1.userId, user2.userId)) return false;
   
-  // Même ville (bonus plus important)
-  if (user1.city === user2.city) {
-    score += 0.15;
-  }
+  return true;
+}
+
+/**
+ * Vérifier si deux utilisateurs peuvent être appariés
+ * (knownDistance : distance déjà obtenue via l'index géographique, en km)
+ */
+async function canMatch(user1, user2, knownDistance = null) {
+  return passesPreferenceFilters(user1, user2, knownDistance) && await isPairAllowed(user1, user2);
+}
+
+/**
+ * Retirer les filtres premium des préférences d'un compte non autorisé
+ */
+function stripPremiumFilters(preferences = {}) {
+  const stripped = { ...preferences };
+  MATCHING_CONFIG.PREMIUM_FILTERS.forEach(filter => delete stripped[filter]);
+  return stripped;
+}
+
+/**
+ * Ajouter un utilisateur à la file d'attente à son rang (file équitable pondérée)
+ */
+async function enqueueUser(userData) {
+  const queueKey = `matching_queue:${userData.matchType}`;
+  const joinedAt = userData.joinedAt || Date.now();
+  
+  // Les utilisateurs souvent rejetés dans les premières secondes reculent dans la file
+  const quality = await qualityService.getQualityScore(userData.userId);
+  
+  const queueRank = joinedAt -
+    (userData.priority ? MATCHING_CONFIG.PRIORITY_BOOST_MS : 0) +
+    qualityService.getPriorityPenaltyMs(quality.score);
   
-  // Éviter les matchs répétés récents
-  // Cette logique sera ajoutée plus tard avec l'historique
+  const entry = { ...userData, joinedAt, queueRank };
+  
+  const rawEntry = JSON.stringify(entry);
+  
+  await redisClient.client.eval(ENQUEUE_BY_RANK_SCRIPT, {
+    keys: [queueKey],
+    arguments: [rawEntry, String(queueRank)]
+  });
   
-  return Math.max(0, Math.min(1, score));
+  await geoIndexService.indexUser(entry, rawEntry);
+  
+  return entry;
 }
 
 /**
- * Vérifier si deux utilisateurs peuvent être appariés
+ * Rayon de recherche géographique d'un utilisateur selon son étape d'assouplissement (en km)
  */
-async function canMatch(user1, user2) {
-  // Vérifier que ce ne sont pas les mêmes utilisateurs
-  if (user1.userId === user2.userId) return false;
+function getSearchRadius(user) {
+  const maxDistance = user.preferences?.maxDistance || MATCHING_CONFIG.MAX_LOCAL_DISTANCE;
   
-  // Vérifier les préférences de genre
-  if (user1.preferences?.genderPreference && user1.preferences.genderPreference !== 'all') {
-    if (user1.preferences.genderPreference !== user2.gender) return false;
+  return maxDistance * getRelaxationStage(user.matchType, user.joinedAt).distanceFactor;
+}
+
+/**
+ * Retirer de l'index géographique les entrées brutes sorties de la file
+ */
+async function unindexEntries(rawEntries) {
+  for (const rawEntry of rawEntries) {
+    try {
+      const entry = JSON.parse(rawEntry);
+      await geoIndexService.removeUser(entry.userId, entry.matchType);
+    } catch (error) {
+      // Entrée invalide : rien à désindexer
+    }
   }
+}
+
+/**
+ * Réinsérer une entrée à son rang d'origine (queueRank conservé)
+ */
+async function requeueEntry(queueKey, rawEntry) {
+  const entry = JSON.parse(rawEntry);
   
-  if (user2.preferences?.genderPreference && user2.preferences.genderPreference !== 'all') {
-    if (user2.preferences.genderPreference !== user1.gender) return false;
-  }
+  await redisClient.client.eval(ENQUEUE_BY_RANK_SCRIPT, {
+    keys: [queueKey],
+    arguments: [rawEntry, String(entry.queueRank ?? entry.joinedAt)]
+  });
   
-  // Vérifier la distance maximale pour le chat local
-  if (user1.matchType === 'local' || user2.matchType === 'local') {
-    if (user1.latitude && user1.longitude && user2.latitude && user2.longitude) {
-      const distance = calculateDistance(user1.latitude, user1.longitude, user2.latitude, user2.longitude);
-      const maxDistance = Math.max(
-        user1.preferences?.maxDistance || MATCHING_CONFIG.MAX_LOCAL_DISTANCE,
-        user2.preferences?.maxDistance || MATCHING_CONFIG.MAX_LOCAL_DISTANCE
-      );
-      if (distance > maxDistance) return false;
+  await geoIndexService.indexUser(entry, rawEntry);
+}
+
+/**
+ * Abandonner la recherche d'un utilisateur parti (entrée déjà retirée de la file)
+ */
+async function dropGhostEntry(entry) {
+  await redisClient.deleteCache(`searching:${entry.userId}`);
+  
+  logger.logMatching(entry.userId, null, entry.matchType, false, { stage: 'ghost_evicted' });
+}
+
+/**
+ * Annuler une paire (ou un groupe) réservée dont un membre est parti : les présents retrouvent leur rang
+ * (entries : [{ raw, data }] déjà retirées de la file ; aliveUserIds : Set des présents)
+ */
+async function rollbackClaimedPair(queueKey, entries, aliveUserIds) {
+  for (const { raw, data } of entries) {
+    if (aliveUserIds.has(data.userId)) {
+      await requeueEntry(queueKey, raw);
+    } else {
+      await dropGhostEntry(data);
     }
   }
+}
+
+/**
+ * Entrée brute d'un utilisateur dans une file (null s'il n'y attend pas)
+ */
+async function findQueueEntry(queueKey, userId) {
+  const rawEntries = await redisClient.client.lRange(queueKey, 0, -1);
   
-  // Vérifier les bannissements récents entre ces utilisateurs
-  // TODO: Implémenter la logique de blocage mutuel
+  return rawEntries.find(raw => {
+    try {
+      return JSON.parse(raw).userId === userId;
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Réserver un candidat de la file de façon atomique, avec l'entrée du demandeur s'il en a une.
+ * Retourne 'claimed', 'candidate_taken' ou 'searcher_taken' (voir CLAIM_PAIR_SCRIPT).
+ */
+async function claimCandidate(queueKey, candidateEntry, searcherEntry = '') {
+  const result = await redisClient.client.eval(CLAIM_PAIR_SCRIPT, {
+    keys: [queueKey],
+    arguments: [candidateEntry, searcherEntry || '']
+  });
   
-  return true;
+  if (result === 1) {
+    await unindexEntries(searcherEntry ? [candidateEntry, searcherEntry] : [candidateEntry]);
+    return 'claimed';
+  }
+  
+  return result === -1 ? 'searcher_taken' : 'candidate_taken';
+}
+
+/**
+ * Publier un match : cache Redis pour le polling et événement chat:matched
+ */
+async function publishMatch(user1, user2, session, matchScore, notifyUserIds = []) {
+  for (const [user, partner] of [[user1, user2], [user2, user1]]) {
+    const search = await redisClient.getCache(`searching:${user.userId}`);
+    
+    const matchPayload = {
+      matched: true,
+      searchId: search?.searchId || null,
+      partnerId: partner.userId,
+      sessionId: session.sessionId,
+      partner: {
+        id: partner.userId,
+        username: partner.username,
+        gender: partner.gender,
+        country: partner.country,
+        city: partner.city
+      },
+      session: {
+        id: session.sessionId,
+        createdAt: session.createdAt
+      },
+      distance: session.distance,
+      matchScore,
+      sharedInterests: getSharedInterests(user, partner),
+      sharedLanguages: getSharedLanguages(user, partner)
+    };
+    
+    await redisClient.setCache(`match:${user.userId}`, matchPayload, 300); // 5 minutes
+    
+    if (notifyUserIds.includes(user.userId)) {
+      // La recherche est terminée, le client n'a plus besoin de GET /status
+      await redisClient.deleteCache(`searching:${user.userId}`);
+      await eventBus.emitToUsers([user.userId], 'chat:matched', matchPayload);
+    }
+  }
 }
 
 /**
@@ -181,6 +371,17 @@ async function createChatSession(user1, user2, matchType) {
     );
   }
   
+  // Expérience A/B de l'utilisateur dont le score a choisi la paire (user1)
+  const assignment = experimentService.getAssignment(user1.userId, matchType);
+  await experimentService.tagSession(sessionId, assignment);
+  
+  // Alimenter l'historique des partenaires récents
+  await matchHistoryService.recordMatch(user1.userId, user2.userId);
+  
+  // Échantillons de temps d'attente pour l'estimateur
+  await waitTimeService.recordWaitSample(user1, matchType);
+  await waitTimeService.recordWaitSample(user2, matchType);
+  
   // Stocker l'état de la session dans Redis
   await redisClient.setCache(`chat_session:${sessionId}`, {
     sessionId,
@@ -194,7 +395,8 @@ async function createChatSession(user1, user2, matchType) {
   logger.logMatching(user1.userId, user2.userId, matchType, true, {
     sessionId,
     distance: geographicDistance,
-    compatibilityScore: calculateCompatibilityScore(user1, user2)
+    compatibilityScore: calculateCompatibilityScore(user1, user2),
+    experiment: assignment ? `${assignment.experimentId}:${assignment.variant}` : null
   });
   
   return {
@@ -210,103 +412,131 @@ async function createChatSession(user1, user2, matchType) {
 // ============================================================================
 
 /**
- * Rechercher un partenaire pour un utilisateur
+ * Rechercher un partenaire pour un utilisateur.
+ * proposals : service de propositions (wantsPreview, createProposal) fourni par l'appelant,
+ * qui dépend lui-même de ce module ; sans lui, la session est créée directement.
  */
-async function findPartner(userData) {
+async function findPartner(userData, { proposals = null } = {}) {
   try {
     const { userId, matchType } = userData;
     
     logger.info(`Recherche de partenaire pour ${userId} (type: ${matchType})`);
     
-    // Récupérer les utilisateurs en attente dans la file du même type
+    // Le demandeur est présent : son heartbeat couvre l'attente éventuelle en file
+    await heartbeatService.recordHeartbeat(userId);
+    
+    // Les groupes sont formés par le matchmaker une fois assez de membres en file
+    // (queued : l'utilisateur qui relance sa recherche garde son entrée, sans doublon)
+    if (matchType === 'group') {
+      const groupEntry = await findQueueEntry('matching_queue:group', userId);
+      return { success: false, reason: 'Groupe en cours de formation', queued: groupEntry !== null };
+    }
+    
+    // Récupérer les candidats : par rayon via l'index géographique pour le chat local,
+    // sinon en tête de la file du même type (une seule lecture)
     const queueKey = `matching_queue:${matchType}`;
-    const queueLength = await redisClient.client.lLen(queueKey);
+    const { maxCandidates } = matchingStrategies.getStrategyForType(matchType);
+    let queueEntries;
     
-    if (queueLength === 0) {
-      return { success: false, reason: 'Aucun utilisateur en attente' };
+    if (geoIndexService.isIndexed(matchType) && geoIndexService.hasCoordinates(userData)) {
+      queueEntries = await geoIndexService.getNearbyEntries(
+        matchType, userData.latitude, userData.longitude, getSearchRadius(userData),
+        { excludeUserId: userId, limit: maxCandidates }
+      );
+    } else {
+      const rawEntries = await redisClient.client.lRange(
+        queueKey, 0, maxCandidates - 1
+      );
+      queueEntries = rawEntries.map(raw => ({ raw, distance: null }));
     }
     
-    // Parcourir la file pour trouver un match compatible
-    let bestMatch = null;
-    let bestScore = 0;
-    let checkedUsers = [];
+    // Le demandeur attend peut-être déjà en file (nouvelle recherche) : son entrée est
+    // retirée avec celle du candidat, pour qu'un autre appel ne l'apparie pas en même temps,
+    // et retrouve son rang si la paire est abandonnée
+    const searcherEntry = await findQueueEntry(queueKey, userId);
     
-    for (let i = 0; i < Math.min(queueLength, 10); i++) {
-      const candidateData = await redisClient.client.lIndex(queueKey, i);
-      if (!candidateData) continue;
-      
-      let candidate;
+    // queued : le demandeur garde son entrée (et son rang), l'appelant ne la duplique pas
+    if (queueEntries.length === 0) {
+      return { success: false, reason: 'Aucun utilisateur en attente', queued: searcherEntry !== null };
+    }
+    
+    // Décoder les candidats
+    const parsedEntries = [];
+    
+    for (const { raw, distance } of queueEntries) {
       try {
-        candidate = JSON.parse(candidateData);
+        parsedEntries.push({ data: JSON.parse(raw), raw, distance });
       } catch (error) {
         logger.warn('Données candidat invalides dans la file:', error);
-        continue;
       }
+    }
+    
+    // Filtrer et noter avec la stratégie du type de match (meilleurs d'abord)
+    const candidates = await rankCandidates(userData, parsedEntries, matchType);
+    
+    // Réserver le meilleur candidat encore disponible : un autre appel
+    // concurrent a pu le prendre entre la lecture et la réservation
+    let bestMatch = null;
+    let bestScore = 0;
+    
+    for (const { data: candidate, raw: candidateEntry, score } of candidates) {
+      const claimResult = await claimCandidate(queueKey, candidateEntry, searcherEntry);
       
-      checkedUsers.push(candidate.userId);
-      
-      // Vérifier la compatibilité
-      const canMatchResult = await canMatch(userData, candidate);
-      if (!canMatchResult) continue;
-      
-      // Calculer le score de compatibilité
-      const compatibilityScore = calculateCompatibilityScore(userData, candidate);
+      // Demandeur apparié entre-temps (matchmaker ou autre recherche) : ne rien réserver
+      if (claimResult === 'searcher_taken') {
+        return { success: false, code: 'ALREADY_MATCHED', reason: 'Partenaire déjà trouvé' };
+      }
       
-      if (compatibilityScore > bestScore && compatibilityScore >= MATCHING_CONFIG.MIN_COMPATIBILITY_SCORE) {
-        bestMatch = candidate;
-        bestScore = compatibilityScore;
+      if (claimResult === 'claimed') {
+        // Candidat parti sans quitter la file : abandonner sa recherche, rendre son rang
+        // au demandeur (sorti de la file avec la réservation) et essayer le suivant
+        if (!await heartbeatService.isAlive(candidate.userId)) {
+          await dropGhostEntry(candidate);
+          if (searcherEntry) await requeueEntry(queueKey, searcherEntry);
+          continue;
+        }
         
-        // Si score parfait, pas besoin de chercher plus
-        if (compatibilityScore >= 0.9) break;
+        bestMatch = candidate;
+        bestScore = score;
+        break;
       }
+      
+      // Entrée indexée mais déjà sortie de la file : la retirer de l'index
+      await geoIndexService.removeUser(candidate.userId, matchType);
     }
     
     // Si un match a été trouvé
     if (bestMatch) {
-      // Retirer le partenaire de la file
+      // Retirer d'éventuelles entrées résiduelles du partenaire
       await redisClient.removeFromMatchingQueue(bestMatch.userId, matchType);
       
-      // Créer la session de chat
-      const session = await createChatSession(userData, bestMatch, matchType);
+      // Aperçu demandé : proposer le match, la session sera créée après double acceptation
+      if (proposals && proposals.wantsPreview(userData, bestMatch)) {
+        const proposal = await proposals.createProposal(userData, bestMatch, matchType, bestScore);
+        
+        return {
+          success: true,
+          proposed: true,
+          proposalId: proposal.proposalId,
+          expiresAt: proposal.expiresAt
+        };
+      }
       
-      // Notifier les deux utilisateurs via Redis (pour les WebSockets)
-      await redisClient.setCache(`match:${userData.userId}`, {
-        matched: true,
-        partnerId: bestMatch.userId,
-        sessionId: session.sessionId,
-        partner: {
-          id: bestMatch.userId,
-          username: bestMatch.username,
-          gender: bestMatch.gender,
-          country: bestMatch.country,
-          city: bestMatch.city
-        },
-        session: {
-          id: session.sessionId,
-          createdAt: session.createdAt
-        },
-        distance: session.distance,
-        matchScore: bestScore
-      }, 300); // 5 minutes
+      // Créer la session de chat (rendre leur place aux deux utilisateurs en cas d'échec)
+      let session;
+      try {
+        session = await createChatSession(userData, bestMatch, matchType);
+      } catch (error) {
+        await requeueEntry(queueKey, JSON.stringify(bestMatch));
+        if (searcherEntry) await requeueEntry(queueKey, searcherEntry);
+        
+        // queued : l'appelant ne doit pas remettre en file un demandeur qui y a retrouvé son rang
+        logger.logError(error, { function: 'findPartner', userId });
+        return { success: false, reason: 'Erreur système', queued: searcherEntry !== null };
+      }
       
-      await redisClient.setCache(`match:${bestMatch.userId}`, {
-        matched: true,
-        partnerId: userData.userId,
-        sessionId: session.sessionId,
-        partner: {
-          id: userData.userId,
-          username: userData.username,
-          gender: userData.gender,
-          country: userData.country,
-          city: userData.city
-        },
-        session: {
-          id: session.sessionId,
-          createdAt: session.createdAt
-        },
-        distance: session.distance,
-        matchScore: bestScore
-      }, 300); // 5 minutes
+      // Notifier les deux utilisateurs (Redis + WebSockets pour le partenaire en attente)
+      await publishMatch(userData, bestMatch, session, bestScore, [bestMatch.userId]);
       
       return {
         success: true,
@@ -316,14 +546,16 @@ async function findPartner(userData) {
           createdAt: session.createdAt
         },
         distance: session.distance,
-        matchScore: bestScore
+        matchScore: bestScore,
+        sharedInterests: getSharedInterests(userData, bestMatch)
       };
     }
     
     return { 
       success: false, 
       reason: 'Aucun match compatible trouvé',
-      checkedUsers: checkedUsers.length
+      checkedUsers: parsedEntries.length,
+      queued: searcherEntry !== null
     };
     
   } catch (error) {
@@ -358,10 +590,13 @@ async function getQueuePosition(userId, queueType) {
 }
 
 /**
- * Estimer le temps d'attente
+ * Estimer le temps d'attente (médiane historique, sinon selon la longueur de la file)
  */
-async function getEstimatedWaitTime(queueType) {
+async function getEstimatedWaitTime(queueType, country = null) {
   try {
+    const estimate = await waitTimeService.estimateWaitTime(queueType, country);
+    if (estimate) return estimate.median;
+    
     const queueKey = `matching_queue:${queueType}`;
     const queueLength = await redisClient.client.lLen(queueKey);
     
@@ -438,38 +673,97 @@ async function getQueueStats() {
 }
 
 /**
- * Nettoyer les files d'attente (supprimer les utilisateurs inactifs)
+ * Capturer le contenu d'une file d'attente pour un rejeu ultérieur (matchingStrategies.replayQueue)
+ */
+async function captureQueue(matchType) {
+  const rawEntries = await redisClient.client.lRange(`matching_queue:${matchType}`, 0, -1);
+  
+  const entries = [];
+  for (const raw of rawEntries) {
+    try {
+      entries.push(JSON.parse(raw));
+    } catch (error) {
+      // Entrée invalide : ignorée dans l'enregistrement
+    }
+  }
+  
+  return { matchType, recordedAt: Date.now(), entries };
+}
+
+/**
+ * Nettoyer les files d'attente : repli vers un autre type ou retrait
+ * des utilisateurs ayant dépassé le temps d'attente maximum
  */
 async function cleanupQueues() {
   try {
     const queueTypes = ['random', 'local', 'group'];
     let totalCleaned = 0;
+    let totalFallbacks = 0;
     
     for (const queueType of queueTypes) {
       const queueKey = `matching_queue:${queueType}`;
-      const queueLength = await redisClient.client.lLen(queueKey);
+      const queueEntries = await redisClient.client.lRange(queueKey, 0, -1);
+      const maxWaitMs = MATCHING_CONFIG.MAX_WAIT_TIME[queueType] * 1000;
       
-      for (let i = queueLength - 1; i >= 0; i--) {
-        const userData = await redisClient.client.lIndex(queueKey, i);
-        if (userData) {
-          const parsed = JSON.parse(userData);
-          const ageMinutes = (Date.now() - parsed.joinedAt) / (1000 * 60);
+      for (const entry of queueEntries) {
+        let parsed;
+        try {
+          parsed = JSON.parse(entry);
+        } catch (error) {
+          await redisClient.client.lRem(queueKey, 1, entry);
+          continue;
+        }
+        
+        if (Date.now() - parsed.joinedAt <= maxWaitMs) continue;
+        
+        // L'entrée a pu être appariée entre-temps
+        const removed = await redisClient.client.lRem(queueKey, 1, entry);
+        if (removed === 0) continue;
+        
+        await geoIndexService.removeUser(parsed.userId, queueType);
+        
+        const fallbackType = MATCHING_CONFIG.FALLBACK_MATCH_TYPE[queueType];
+        
+        // Un seul repli par recherche
+        if (fallbackType && !parsed.fallbackFrom) {
+          const now = Date.now();
           
-          // Supprimer si plus vieux que le temps d'attente maximum
-          const maxWaitMinutes = MATCHING_CONFIG.MAX_WAIT_TIME[queueType] / 60;
-          if (ageMinutes > maxWaitMinutes) {
-            await redisClient.client.lRem(queueKey, 1, userData);
-            await redisClient.deleteCache(`searching:${parsed.userId}`);
-            totalCleaned++;
-            
-            logger.info(`Utilisateur ${parsed.userId} retiré de la file ${queueType} (timeout)`);
+          await enqueueUser({
+            ...parsed,
+            matchType: fallbackType,
+            fallbackFrom: queueType,
+            originalJoinedAt: parsed.joinedAt,
+            joinedAt: now
+          });
+          
+          const search = await redisClient.getCache(`searching:${parsed.userId}`);
+          if (search) {
+            await redisClient.setCache(`searching:${parsed.userId}`, {
+              ...search,
+              matchType: fallbackType,
+              fallbackFrom: queueType,
+              queueJoinedAt: now
+            }, 300); // 5 minutes
           }
+          
+          totalFallbacks++;
+          
+          logger.logMatching(parsed.userId, null, fallbackType, false, {
+            stage: 'fallback',
+            fallbackFrom: queueType
+          });
+          continue;
         }
+        
+        await redisClient.deleteCache(`searching:${parsed.userId}`);
+        totalCleaned++;
+        
+        logger.info(`Utilisateur ${parsed.userId} retiré de la file ${queueType} (timeout)`);
       }
     }
     
-    if (totalCleaned > 0) {
-      logger.info(`Nettoyage files d'attente: ${totalCleaned} utilisateurs retirés`);
+    if (totalCleaned > 0 || totalFallbacks > 0) {
+      logger.info(`Nettoyage files d'attente: ${totalCleaned} utilisateurs retirés, ${totalFallbacks} replis`);
     }
     
     return totalCleaned;
@@ -479,6 +773,55 @@ async function cleanupQueues() {
   }
 }
 
+/**
+ * Évincer des files les utilisateurs sans heartbeat récent (onglet fermé, connexion perdue)
+ */
+async function evictStaleEntries() {
+  try {
+    const queueTypes = ['random', 'local', 'group'];
+    let totalEvicted = 0;
+    
+    for (const queueType of queueTypes) {
+      const queueKey = `matching_queue:${queueType}`;
+      const queueEntries = await redisClient.client.lRange(queueKey, 0, -1);
+      
+      const parsedEntries = [];
+      for (const raw of queueEntries) {
+        try {
+          parsedEntries.push({ raw, data: JSON.parse(raw) });
+        } catch (error) {
+          // Entrée invalide : retirée par cleanupQueues
+        }
+      }
+      
+      const aliveUserIds = await heartbeatService.getAliveUserIds(
+        parsedEntries.map(entry => entry.data.userId)
+      );
+      
+      for (const { raw, data } of parsedEntries) {
+        if (aliveUserIds.has(data.userId)) continue;
+        
+        // L'entrée a pu être appariée entre-temps
+        const removed = await redisClient.client.lRem(queueKey, 1, raw);
+        if (removed === 0) continue;
+        
+        await geoIndexService.removeUser(data.userId, queueType);
+        await dropGhostEntry(data);
+        totalEvicted++;
+      }
+    }
+    
+    if (totalEvicted > 0) {
+      logger.info(`Files d'attente: ${totalEvicted} utilisateur(s) sans heartbeat évincé(s)`);
+    }
+    
+    return totalEvicted;
+  } catch (error) {
+    logger.logError(error, { function: 'evictStaleEntries' });
+    return 0;
+  }
+}
+
 /**
  * Forcer un match pour test (développement uniquement)
  */
@@ -500,6 +843,11 @@ async function forceMatch(user1Id, user2Id) {
     const user1 = user1Result.rows[0];
     const user2 = user2Result.rows[0];
     
+    // Refuser le match si l'un des deux a bloqué l'autre
+    if (await blockService.isBlockedEitherWay(user1.user_id, user2.user_id)) {
+      throw new Error('Utilisateurs bloqués mutuellement');
+    }
+    
     // Créer des objets utilisateur compatibles avec createChatSession
     const userData1 = {
       userId: user1.user_id,
@@ -544,11 +892,29 @@ module.exports = {
   getQueuePosition,
   getEstimatedWaitTime,
   getQueueStats,
+  captureQueue,
   cleanupQueues,
+  evictStaleEntries,
   
   // Fonctions utilitaires
+  enqueueUser,
+  stripPremiumFilters,
+  claimCandidate,
+  findQueueEntry,
+  requeueEntry,
+  rollbackClaimedPair,
+  getSearchRadius,
+  publishMatch,
   calculateDistance,
   calculateCompatibilityScore,
+  getSharedInterests,
+  getSharedLanguages,
+  scoreCandidate,
+  getRelaxationStage,
+  getPairThresholds,
+  rankCandidates,
+  passesPreferenceFilters,
+  isPairAllowed,
   canMatch,
   createChatSession,
   
@@ -0,0 +1,265 @@
+// ============================================================================
+// STRATÉGIES DE MATCHING (FILTRAGE ET NOTATION DES CANDIDATS)
+// Fichier : /var/www/libekoo/backend/services/matchingStrategies.js
+// ============================================================================
+
+const {
+  passesPreferenceFilters,
+  getSharedInterests,
+  calculateCompatibilityScore,
+  getPairThresholds
+} = require('./matchingScoring');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const STRATEGY_CONFIG = {
+  // Stratégie utilisée par type de match
+  BY_TYPE: {
+    random: 'random',
+    local: 'proximity',
+    group: 'interest'
+  },
+  
+  // Stratégie utilisée si le type n'est pas configuré
+  DEFAULT_STRATEGY: 'interest',
+  
+  // Nombre de candidats examinés par défaut
+  DEFAULT_MAX_CANDIDATES: 10
+};
+
+// Registre des stratégies disponibles (voir registerStrategy)
+const strategies = new Map();
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Générateur pseudo-aléatoire déterministe (mulberry32) initialisé par une graine texte
+ */
+function createSeededRandom(seed) {
+  // Hachage FNV-1a de la graine
+  let state = 2166136261;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 16777619);
+  }
+  
+  return function random() {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Filtre commun : préférences et filtres de la paire (genre, langues, pays, distance...)
+ */
+function filterByPreferences(user, candidates, context) {
+  return candidates.filter(candidate =>
+    passesPreferenceFilters(user, candidate.data, candidate.distance ?? null, context.now)
+  );
+}
+
+/**
+ * Créer une stratégie notant les candidats avec le score de compatibilité pondéré
+ */
+function createWeightedStrategy(name, options = {}) {
+  const { weights = {}, ...settings } = options;
+  
+  return {
+    name,
+    ...settings,
+    
+    filterCandidates(user, candidates, context) {
+      const filtered = filterByPreferences(user, candidates, context);
+      
+      // Option : ignorer les candidats sans centre d'intérêt commun
+      if (!settings.requireSharedInterest) return filtered;
+      
+      return filtered.filter(candidate => getSharedInterests(user, candidate.data).length > 0);
+    },
+    
+    scoreCandidates(user, candidates, context = {}) {
+      // Les poids d'une variante d'expérience priment sur ceux de la stratégie
+      const effectiveWeights = { ...weights, ...context.weightOverrides };
+      
+      return candidates.map(candidate => ({
+        ...candidate,
+        score: calculateCompatibilityScore(user, candidate.data, effectiveWeights)
+      }));
+    }
+  };
+}
+
+// ============================================================================
+// REGISTRE
+// ============================================================================
+
+/**
+ * Enregistrer une stratégie (interface : filterCandidates et scoreCandidates)
+ */
+function registerStrategy(strategy) {
+  if (!strategy?.name ||
+      typeof strategy.filterCandidates !== 'function' ||
+      typeof strategy.scoreCandidates !== 'function') {
+    throw new Error('Stratégie de matching invalide (name, filterCandidates, scoreCandidates requis)');
+  }
+  
+  strategies.set(strategy.name, {
+    maxCandidates: STRATEGY_CONFIG.DEFAULT_MAX_CANDIDATES,
+    ...strategy
+  });
+}
+
+/**
+ * Récupérer une stratégie par son nom
+ */
+function getStrategy(name) {
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw new Error(`Stratégie de matching inconnue: ${name}`);
+  }
+  
+  return strategy;
+}
+
+/**
+ * Récupérer la stratégie configurée pour un type de match
+ */
+function getStrategyForType(matchType) {
+  return getStrategy(STRATEGY_CONFIG.BY_TYPE[matchType] || STRATEGY_CONFIG.DEFAULT_STRATEGY);
+}
+
+/**
+ * Lister les stratégies disponibles
+ */
+function listStrategies() {
+  return Array.from(strategies.values()).map(strategy => ({
+    name: strategy.name,
+    description: strategy.description,
+    minScore: strategy.minScore ?? null,
+    maxCandidates: strategy.maxCandidates
+  }));
+}
+
+// ============================================================================
+// STRATÉGIES FOURNIES
+// ============================================================================
+
+// Aléatoire : tout candidat compatible, ordre tiré au sort
+registerStrategy({
+  name: 'random',
+  description: 'Candidat compatible tiré au hasard',
+  minScore: 0,
+  
+  filterCandidates: filterByPreferences,
+  
+  scoreCandidates(user, candidates, context) {
+    const random = context.random || Math.random;
+    
+    return candidates.map(candidate => ({ ...candidate, score: random() }));
+  }
+});
+
+// Proximité : la distance et la ville pèsent davantage
+registerStrategy(createWeightedStrategy('proximity', {
+  description: 'Priorité aux utilisateurs les plus proches',
+  weights: {
+    distanceTiers: [
+      { maxKm: 5, bonus: 0.3 },
+      { maxKm: 25, bonus: 0.2 },
+      { maxKm: 100, bonus: 0.1 }
+    ],
+    sameCity: 0.2
+  }
+}));
+
+// Centres d'intérêt : les tags et langues communs pèsent davantage
+registerStrategy(createWeightedStrategy('interest', {
+  description: 'Priorité aux centres d\'intérêt et langues en commun',
+  weights: {
+    interestPerTag: 0.08,
+    interestMax: 0.3,
+    language: 0.2
+  }
+}));
+
+// ============================================================================
+// REJEU DÉTERMINISTE DES FILES
+// ============================================================================
+
+/**
+ * Rejouer une file enregistrée avec une stratégie, sans Redis ni base de données.
+ * Même ordre que le matchmaker (rang d'attente) ; l'heure est figée à recordedAt et
+ * l'aléatoire est tiré d'une graine, deux rejeux identiques donnent donc les mêmes paires.
+ * Les blocages et l'historique des matchs ne sont pas rejoués.
+ */
+function replayQueue(recording, options = {}) {
+  const { seed = 'replay', strategyName = null } = options;
+  
+  const strategy = strategyName ? getStrategy(strategyName) : getStrategyForType(recording.matchType);
+  const context = {
+    matchType: recording.matchType,
+    now: recording.recordedAt,
+    random: createSeededRandom(seed)
+  };
+  
+  const entries = recording.entries;
+  const pairedIndexes = new Set();
+  const pairs = [];
+  
+  for (let i = 0; i < entries.length; i++) {
+    if (pairedIndexes.has(i)) continue;
+    
+    const user = entries[i];
+    const candidates = [];
+    for (let j = i + 1; j < entries.length; j++) {
+      if (!pairedIndexes.has(j)) candidates.push({ index: j, data: entries[j] });
+    }
+    
+    const scored = strategy.scoreCandidates(user, strategy.filterCandidates(user, candidates, context), context)
+      .filter(candidate => candidate.score >= getPairThresholds(user, candidate.data, context.now).minScore);
+    
+    // Meilleur score, le plus ancien dans la file en cas d'égalité
+    const best = scored.reduce((current, candidate) =>
+      (!current || candidate.score > current.score ? candidate : current), null);
+    if (!best) continue;
+    
+    pairedIndexes.add(i);
+    pairedIndexes.add(best.index);
+    pairs.push({ user1Id: user.userId, user2Id: best.data.userId, score: best.score });
+  }
+  
+  return {
+    matchType: recording.matchType,
+    strategy: strategy.name,
+    seed,
+    pairs,
+    unmatched: entries.filter((entry, index) => !pairedIndexes.has(index)).map(entry => entry.userId)
+  };
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Registre
+  registerStrategy,
+  getStrategy,
+  getStrategyForType,
+  listStrategies,
+  
+  // Rejeu
+  replayQueue,
+  
+  // Utilitaires
+  createWeightedStrategy,
+  createSeededRandom,
+  
+  // Configuration
+  STRATEGY_CONFIG
+};
@@ -0,0 +1,321 @@
+// ============================================================================
+// SERVICE MATCHMAKER (APPARIEMENT EN ARRIÈRE-PLAN)
+// Fichier : /var/www/libekoo/backend/services/matchmakerService.js
+// ============================================================================
+
+const { v4: uuidv4 } = require('uuid');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+const matchingService = require('./matchingService');
+const groupSessionService = require('./groupSessionService');
+const matchProposalService = require('./matchProposalService');
+const geoIndexService = require('./geoIndexService');
+const heartbeatService = require('./heartbeatService');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const MATCHMAKER_CONFIG = {
+  // Intervalle entre deux cycles (en millisecondes)
+  INTERVAL_MS: 2000,
+  
+  // Files d'attente parcourues
+  QUEUE_TYPES: ['random', 'local', 'group'],
+  
+  // Nombre d'entrées examinées en tête de chaque file
+  SCAN_SIZE: 50,
+  
+  // Durée de vie du verrou par file (en millisecondes)
+  LOCK_TTL_MS: 10000,
+  
+  // Prolongation du verrou pendant un appariement long (en millisecondes)
+  LOCK_RENEW_INTERVAL_MS: 3000
+};
+
+// Identifiant de cette instance (propriétaire des verrous)
+const INSTANCE_ID = uuidv4();
+
+// Script Lua : libérer le verrou uniquement s'il nous appartient
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+// Script Lua : prolonger le verrou uniquement s'il nous appartient encore
+const RENEW_LOCK_SCRIPT = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  end
+  return 0
+`;
+
+let matchmakerTimer = null;
+let cycleRunning = false;
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Acquérir le verrou d'une file (une seule instance l'apparie à la fois)
+ */
+async function acquireQueueLock(queueType) {
+  const result = await redisClient.client.set(`matchmaker_lock:${queueType}`, INSTANCE_ID, {
+    NX: true,
+    PX: MATCHMAKER_CONFIG.LOCK_TTL_MS
+  });
+  
+  return result === 'OK';
+}
+
+/**
+ * Libérer le verrou d'une file
+ */
+async function releaseQueueLock(queueType) {
+  await redisClient.client.eval(RELEASE_LOCK_SCRIPT, {
+    keys: [`matchmaker_lock:${queueType}`],
+    arguments: [INSTANCE_ID]
+  });
+}
+
+/**
+ * Prolonger le verrou d'une file (false s'il a expiré et été repris par une autre instance)
+ */
+async function renewQueueLock(queueType) {
+  const result = await redisClient.client.eval(RENEW_LOCK_SCRIPT, {
+    keys: [`matchmaker_lock:${queueType}`],
+    arguments: [INSTANCE_ID, String(MATCHMAKER_CONFIG.LOCK_TTL_MS)]
+  });
+  
+  return result === 1;
+}
+
+/**
+ * Distances des utilisateurs indexés dans le rayon de recherche (null si pas d'index)
+ */
+async function getNearbyDistances(user) {
+  if (!geoIndexService.isIndexed(user.matchType) || !geoIndexService.hasCoordinates(user)) return null;
+  
+  const nearby = await geoIndexService.searchNearby(
+    user.matchType, user.latitude, user.longitude, matchingService.getSearchRadius(user),
+    { excludeUserId: user.userId, limit: MATCHMAKER_CONFIG.SCAN_SIZE }
+  );
+  
+  return new Map(nearby.map(result => [result.userId, result.distance]));
+}
+
+/**
+ * Trouver le meilleur partenaire pour un utilisateur parmi les entrées restantes
+ */
+async function findBestPartner(user, entries, startIndex, pairedIndexes) {
+  // Chat local : seuls les candidats dans le rayon sont évalués
+  const nearbyDistances = await getNearbyDistances(user);
+  const candidates = [];
+  
+  for (let j = startIndex; j < entries.length; j++) {
+    if (pairedIndexes.has(j) || !entries[j].data) continue;
+    
+    const candidate = entries[j].data;
+    if (nearbyDistances && !nearbyDistances.has(candidate.userId)) continue;
+    
+    candidates.push({
+      index: j,
+      data: candidate,
+      distance: nearbyDistances ? nearbyDistances.get(candidate.userId) : null
+    });
+  }
+  
+  const [best] = await matchingService.rankCandidates(user, candidates, user.matchType);
+  
+  return best ? { index: best.index, score: best.score } : null;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Apparier les utilisateurs en attente dans une file
+ */
+async function matchQueue(queueType) {
+  const queueKey = `matching_queue:${queueType}`;
+  
+  if (!await acquireQueueLock(queueType)) return 0;
+  
+  // Le verrou est prolongé tant que l'appariement dure ; s'il est perdu, on s'arrête
+  let lockLost = false;
+  const renewTimer = setInterval(() => {
+    renewQueueLock(queueType)
+      .then(renewed => {
+        if (!renewed) lockLost = true;
+      })
+      .catch(error => {
+        logger.logError(error, { function: 'renewQueueLock', queueType });
+      });
+  }, MATCHMAKER_CONFIG.LOCK_RENEW_INTERVAL_MS);
+  
+  let pairsCreated = 0;
+  
+  try {
+    const rawEntries = await redisClient.client.lRange(queueKey, 0, MATCHMAKER_CONFIG.SCAN_SIZE - 1);
+    
+    // Les groupes ont leur propre logique de formation (un seul utilisateur peut rejoindre un groupe en cours)
+    if (queueType === 'group') {
+      if (rawEntries.length === 0) return 0;
+      return await groupSessionService.matchGroupQueue(queueKey, rawEntries);
+    }
+    
+    if (rawEntries.length < 2) return 0;
+    
+    const entries = rawEntries.map(raw => {
+      try {
+        return { raw, data: JSON.parse(raw) };
+      } catch (error) {
+        return { raw, data: null };
+      }
+    });
+    
+    const pairedIndexes = new Set();
+    
+    // Les premiers de la file (rang d'attente, priorité comprise) choisissent en premier
+    for (let i = 0; i < entries.length; i++) {
+      if (lockLost) {
+        logger.warn(`Matchmaker: verrou perdu sur la file ${queueType}, cycle interrompu`);
+        break;
+      }
+      
+      if (pairedIndexes.has(i) || !entries[i].data) continue;
+      
+      const user = entries[i].data;
+      const best = await findBestPartner(user, entries, i + 1, pairedIndexes);
+      if (!best) continue;
+      
+      const partner = entries[best.index].data;
+      
+      // Retirer les deux entrées atomiquement (un findPartner concurrent a pu en prendre une)
+      const claimResult = await matchingService.claimCandidate(queueKey, entries[best.index].raw, entries[i].raw);
+      if (claimResult !== 'claimed') continue;
+      
+      pairedIndexes.add(i);
+      pairedIndexes.add(best.index);
+      
+      // Un des deux est parti depuis le début du cycle : annuler la paire
+      const aliveUserIds = await heartbeatService.getAliveUserIds([user.userId, partner.userId]);
+      if (aliveUserIds.size < 2) {
+        await matchingService.rollbackClaimedPair(queueKey, [entries[i], entries[best.index]], aliveUserIds);
+        continue;
+      }
+      
+      try {
+        await redisClient.removeFromMatchingQueue(user.userId, queueType);
+        await redisClient.removeFromMatchingQueue(partner.userId, queueType);
+        
+        // Aperçu demandé : la session sera créée après double acceptation
+        if (matchProposalService.wantsPreview(user, partner)) {
+          await matchProposalService.createProposal(user, partner, queueType, best.score);
+          pairsCreated++;
+          continue;
+        }
+        
+        const session = await matchingService.createChatSession(user, partner, queueType);
+        
+        await matchingService.publishMatch(user, partner, session, best.score, [user.userId, partner.userId]);
+        
+        pairsCreated++;
+      } catch (error) {
+        // Rendre leur place aux deux utilisateurs (à leur rang d'origine)
+        await matchingService.requeueEntry(queueKey, entries[i].raw);
+        await matchingService.requeueEntry(queueKey, entries[best.index].raw);
+        logger.logError(error, { function: 'matchQueue', queueType, user1Id: user.userId, user2Id: partner.userId });
+      }
+    }
+    
+    return pairsCreated;
+  
+  } finally {
+    clearInterval(renewTimer);
+    await releaseQueueLock(queueType);
+  }
+}
+
+/**
+ * Exécuter un cycle d'appariement sur toutes les files
+ */
+async function runMatchmakingCycle() {
+  if (cycleRunning) return 0;
+  cycleRunning = true;
+  
+  let totalPairs = 0;
+  
+  try {
+    // Utilisateurs partis sans quitter la file (plus de heartbeat)
+    await matchingService.evictStaleEntries();
+    
+    for (const queueType of MATCHMAKER_CONFIG.QUEUE_TYPES) {
+      try {
+        totalPairs += await matchQueue(queueType);
+      } catch (error) {
+        logger.logError(error, { function: 'runMatchmakingCycle', queueType });
+      }
+    }
+    
+    if (totalPairs > 0) {
+      logger.info(`Matchmaker: ${totalPairs} paire(s) créée(s)`);
+    }
+    
+    // Propositions sans réponse : retour en file des deux utilisateurs
+    await matchProposalService.expireProposals();
+    
+    // Replis et retraits des recherches ayant dépassé MAX_WAIT_TIME
+    await matchingService.cleanupQueues();
+    
+    return totalPairs;
+  } finally {
+    cycleRunning = false;
+  }
+}
+
+/**
+ * Démarrer la boucle du matchmaker
+ */
+function startMatchmaker() {
+  if (matchmakerTimer) return;
+  
+  matchmakerTimer = setInterval(() => {
+    runMatchmakingCycle().catch(error => {
+      logger.logError(error, { function: 'runMatchmakingCycle' });
+    });
+  }, MATCHMAKER_CONFIG.INTERVAL_MS);
+  
+  logger.info(`Matchmaker démarré (intervalle: ${MATCHMAKER_CONFIG.INTERVAL_MS}ms, instance: ${INSTANCE_ID})`);
+}
+
+/**
+ * Arrêter la boucle du matchmaker
+ */
+function stopMatchmaker() {
+  if (!matchmakerTimer) return;
+  
+  clearInterval(matchmakerTimer);
+  matchmakerTimer = null;
+  
+  logger.info('Matchmaker arrêté');
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  startMatchmaker,
+  stopMatchmaker,
+  runMatchmakingCycle,
+  matchQueue,
+  
+  // Configuration
+  MATCHMAKER_CONFIG
+};
@@ -0,0 +1,516 @@
+// ============================================================================
+// SERVICE DES MESSAGES (HISTORIQUE, MODIFICATION, SUPPRESSION)
+// Fichier : /var/www/libekoo/backend/services/messageService.js
+// ============================================================================
+
+const db = require('../config/database');
+const logger = require('../config/logger');
+const moderationService = require('./moderationService');
+const groupSessionService = require('./groupSessionService');
+const eventBus = require('./eventBus');
+const reactionService = require('./reactionService');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const MESSAGE_CONFIG = {
+  // Délai pendant lequel l'expéditeur peut modifier son message (en secondes)
+  EDIT_WINDOW_SECONDS: 300,
+  
+  // Délai pendant lequel l'expéditeur peut supprimer son message (en secondes)
+  DELETE_WINDOW_SECONDS: 300,
+  
+  // Longueur maximale d'un message
+  MAX_LENGTH: 1000,
+  
+  // Types de message modifiables
+  EDITABLE_TYPES: ['text', 'emoji'],
+  
+  // Pagination de l'historique
+  DEFAULT_PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 100,
+  
+  // Messages rejoués par appel de synchronisation (reconnexion)
+  SYNC_BATCH_SIZE: 200,
+  
+  // Recherche plein texte (configuration 'french', comme search_vector)
+  SEARCH_PAGE_SIZE: 20,
+  SEARCH_MAX_PAGE_SIZE: 50,
+  SEARCH_HEADLINE_OPTIONS: 'StartSel="\u0002", StopSel="\u0003", MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "',
+  
+  // Citation affichée dans une réponse (extrait tronqué, ou texte de remplacement)
+  QUOTE_EXCERPT_LENGTH: 100,
+  QUOTE_PLACEHOLDERS: {
+    deleted: 'Message supprimé',
+    moderated: 'Message masqué par la modération'
+  }
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Récupérer un message avec sa session (identifiant public de session inclus)
+ */
+async function getMessageWithSession(messageId) {
+  const result = await db.query(`
+    SELECT m.*, cs.session_id as public_session_id, cs.session_type,
+           cs.user1_id, cs.user2_id
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    WHERE m.message_id = $1
+  `, [messageId]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Vérifier qu'un message sert de curseur dans une session
+ */
+async function cursorExists(sessionId, messageId) {
+  const result = await db.query(`
+    SELECT 1
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    WHERE cs.session_id = $1 AND m.message_id = $2
+  `, [sessionId, messageId]);
+  
+  return result.rows.length > 0;
+}
+
+/**
+ * Échapper un extrait puis remplacer les délimiteurs de ts_headline par <mark>
+ */
+function formatSnippet(headline) {
+  return headline
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
+
+/**
+ * Construire la citation d'un message auquel on répond (remplaçant si indisponible)
+ */
+function buildQuote(messageId, target, viewerId) {
+  // Supprimé par quelqu'un d'autre que l'expéditeur : modération (automatique ou admin)
+  const moderated = target && (
+    target.auto_flagged ||
+    (target.is_deleted && target.deleted_by !== target.sender_id) ||
+    (target.moderation_status && target.moderation_status !== 'approved' && target.sender_id !== viewerId)
+  );
+  
+  if (!target || target.is_deleted || moderated) {
+    return {
+      messageId,
+      senderId: null,
+      senderUsername: null,
+      type: null,
+      excerpt: MESSAGE_CONFIG.QUOTE_PLACEHOLDERS[moderated ? 'moderated' : 'deleted'],
+      isAvailable: false
+    };
+  }
+  
+  const excerpt = target.content.length > MESSAGE_CONFIG.QUOTE_EXCERPT_LENGTH
+    ? `${target.content.substring(0, MESSAGE_CONFIG.QUOTE_EXCERPT_LENGTH - 1)}…`
+    : target.content;
+  
+  return {
+    messageId,
+    senderId: target.sender_id,
+    senderUsername: target.sender_username,
+    type: target.message_type,
+    excerpt,
+    isAvailable: true
+  };
+}
+
+/**
+ * Expliquer pourquoi un message ne peut pas être modifié ou supprimé
+ */
+function getRefusal(message, userId, windowSeconds) {
+  if (!message || message.sender_id !== userId) {
+    return { success: false, code: 'MESSAGE_NOT_FOUND', reason: 'Message non trouvé' };
+  }
+  
+  if (message.is_deleted) {
+    return { success: false, code: 'MESSAGE_DELETED', reason: 'Message supprimé' };
+  }
+  
+  if (Date.now() - new Date(message.sent_at).getTime() > windowSeconds * 1000) {
+    return { success: false, code: 'WINDOW_CLOSED', reason: 'Délai dépassé' };
+  }
+  
+  return null;
+}
+
+/**
+ * Diffuser un événement à la room de la session et aux autres participants
+ */
+async function broadcastToSession(message, event, payload) {
+  const session = {
+    session_id: message.public_session_id,
+    session_type: message.session_type,
+    user1_id: message.user1_id,
+    user2_id: message.user2_id
+  };
+  const recipientIds = await groupSessionService.getRecipientIds(session, message.sender_id);
+  
+  await eventBus.emitToRooms(
+    [`chat_session:${message.public_session_id}`, ...recipientIds.map(id => `user_${id}`)],
+    event,
+    payload
+  );
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Historique d'une session, paginé par curseur sur (sent_at, message_id).
+ * before : messages plus anciens que ce message ; after : plus récents (synchronisation).
+ * Sans curseur, la page la plus récente (ou offset, pour les anciens clients).
+ * Résultat toujours en ordre chronologique.
+ */
+async function getSessionMessages(sessionId, viewerId, { before = null, after = null, limit = MESSAGE_CONFIG.DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const cursor = after || before;
+  if (cursor && !await cursorExists(sessionId, cursor)) {
+    return { success: false, code: 'CURSOR_NOT_FOUND', reason: 'Curseur inconnu pour cette session' };
+  }
+  
+  // Comparaison faite en base : sent_at y est à la microseconde, pas en JavaScript
+  const direction = after ? '>' : '<';
+  const order = after ? 'ASC' : 'DESC';
+  const params = [sessionId, viewerId, limit + 1];
+  let cursorClause = '';
+  let offsetClause = '';
+  
+  if (cursor) {
+    params.push(cursor);
+    cursorClause = `AND (m.sent_at, m.message_id) ${direction} (
+      SELECT sent_at, message_id FROM messages WHERE message_id = $4
+    )`;
+  } else if (offset > 0) {
+    params.push(offset);
+    offsetClause = 'OFFSET $4';
+  }
+  
+  // Pièces jointes en attente de modération : visibles uniquement par leur expéditeur ; rejetées : jamais
+  const result = await db.query(`
+    SELECT m.*, cs.session_id,
+           a.id as attachment_id, a.kind, a.mime_type, a.original_name, a.size_bytes,
+           a.width, a.height, a.thumbnail_key, a.moderation_status
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    LEFT JOIN message_attachments a ON m.attachment_id = a.id
+    WHERE cs.session_id = $1
+    AND m.is_deleted = false
+    AND (a.id IS NULL OR a.moderation_status = 'approved' OR (a.moderation_status = 'pending' AND m.sender_id = $2))
+    ${cursorClause}
+    ORDER BY m.sent_at ${order}, m.message_id ${order}
+    LIMIT $3 ${offsetClause}
+  `, params);
+  
+  const hasMore = result.rows.length > limit;
+  const rows = result.rows.slice(0, limit);
+  
+  // Réactions de la page (compteurs par emoji) et citations des réponses
+  const reactionsByMessage = await reactionService.getReactionsForMessages(rows.map(row => row.id), viewerId);
+  const quotesByMessage = await getReplyQuotes(rows.map(row => row.reply_to_message_id), viewerId);
+  for (const row of rows) {
+    row.reactions = reactionsByMessage.get(row.id) || [];
+    row.reply_quote = row.reply_to_message_id ? quotesByMessage.get(row.reply_to_message_id) : null;
+  }
+  
+  return {
+    success: true,
+    messages: after ? rows : rows.reverse(),
+    hasMore
+  };
+}
+
+/**
+ * Vérifier le message auquel on répond : même session, visible par tous les participants
+ * (une pièce jointe encore en modération ne peut pas être citée)
+ */
+async function getReplyTarget(sessionInternalId, replyToMessageId) {
+  const result = await db.query(`
+    SELECT m.message_id, m.sender_id, m.sender_username, m.content, m.message_type,
+           m.is_deleted, m.deleted_by, m.auto_flagged, a.moderation_status
+    FROM messages m
+    LEFT JOIN message_attachments a ON m.attachment_id = a.id
+    WHERE m.session_id = $1 AND m.message_id = $2
+  `, [sessionInternalId, replyToMessageId]);
+  
+  const target = result.rows[0];
+  if (!target) {
+    return { success: false, code: 'REPLY_TARGET_NOT_FOUND', reason: 'Message cité introuvable dans cette session' };
+  }
+  
+  const quote = buildQuote(target.message_id, target, null);
+  if (!quote.isAvailable) {
+    return { success: false, code: 'REPLY_TARGET_UNAVAILABLE', reason: 'Message cité indisponible' };
+  }
+  
+  return { success: true, quote };
+}
+
+/**
+ * Citations de plusieurs messages cités, vues par un participant (Map message_id -> citation)
+ */
+async function getReplyQuotes(replyToMessageIds, viewerId) {
+  const messageIds = [...new Set(replyToMessageIds.filter(Boolean))];
+  const quotes = new Map();
+  if (messageIds.length === 0) return quotes;
+  
+  const result = await db.query(`
+    SELECT m.message_id, m.sender_id, m.sender_username, m.content, m.message_type,
+           m.is_deleted, m.deleted_by, m.auto_flagged, a.moderation_status
+    FROM messages m
+    LEFT JOIN message_attachments a ON m.attachment_id = a.id
+    WHERE m.message_id = ANY($1)
+  `, [messageIds]);
+  
+  const targets = new Map(result.rows.map(row => [row.message_id, row]));
+  
+  // Original purgé : remplaçant « supprimé »
+  for (const messageId of messageIds) {
+    quotes.set(messageId, buildQuote(messageId, targets.get(messageId), viewerId));
+  }
+  
+  return quotes;
+}
+
+/**
+ * Rechercher dans les messages des sessions auxquelles l'utilisateur a participé.
+ * Les messages supprimés, signalés par la modération ou dont la pièce jointe n'est pas
+ * approuvée ne sont jamais renvoyés, même à leur expéditeur.
+ */
+async function searchMessages(userId, { query, sessionId = null, from = null, to = null, limit = MESSAGE_CONFIG.SEARCH_PAGE_SIZE, offset = 0 }) {
+  const result = await db.query(`
+    WITH search AS (
+      SELECT websearch_to_tsquery('french', $2) AS tsq
+    )
+    SELECT m.message_id, m.sender_id, m.sender_username, m.message_type, m.sent_at,
+           cs.session_id,
+           ts_headline('french', m.content, search.tsq, $8) AS headline,
+           ts_rank(m.search_vector, search.tsq) AS rank
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    LEFT JOIN message_attachments a ON m.attachment_id = a.id
+    CROSS JOIN search
+    WHERE m.search_vector @@ search.tsq
+    AND m.is_deleted = false
+    AND m.auto_flagged = false
+    AND (a.id IS NULL OR a.moderation_status = 'approved')
+    AND (
+      (cs.session_type <> 'group' AND (cs.user1_id = $1 OR cs.user2_id = $1))
+      OR cs.session_id IN (
+        SELECT session_id FROM chat_session_participants WHERE user_id = $1
+      )
+    )
+    AND ($3::text IS NULL OR cs.session_id = $3)
+    AND ($4::timestamptz IS NULL OR m.sent_at >= $4)
+    AND ($5::timestamptz IS NULL OR m.sent_at < $5)
+    ORDER BY rank DESC, m.sent_at DESC
+    LIMIT $6 OFFSET $7
+  `, [userId, query, sessionId, from, to, limit, offset, MESSAGE_CONFIG.SEARCH_HEADLINE_OPTIONS]);
+  
+  return result.rows.map(row => ({
+    messageId: row.message_id,
+    sessionId: row.session_id,
+    type: row.message_type,
+    sender: {
+      id: row.sender_id,
+      username: row.sender_username,
+      isOwn: row.sender_id === userId
+    },
+    sentAt: row.sent_at,
+    snippet: formatSnippet(row.headline),
+    rank: row.rank
+  }));
+}
+
+/**
+ * Modifier un message (expéditeur uniquement, dans EDIT_WINDOW_SECONDS).
+ * L'ancien contenu est conservé dans message_edits et le nouveau repasse en modération.
+ */
+async function editMessage(messageId, userId, content) {
+  try {
+    const newContent = typeof content === 'string' ? content.trim() : '';
+    if (newContent.length === 0 || newContent.length > MESSAGE_CONFIG.MAX_LENGTH) {
+      return { success: false, code: 'INVALID_CONTENT', reason: `Message invalide (1-${MESSAGE_CONFIG.MAX_LENGTH} caractères)` };
+    }
+    
+    const message = await getMessageWithSession(messageId);
+    const refusal = getRefusal(message, userId, MESSAGE_CONFIG.EDIT_WINDOW_SECONDS);
+    if (refusal) return refusal;
+    
+    if (!MESSAGE_CONFIG.EDITABLE_TYPES.includes(message.message_type)) {
+      return { success: false, code: 'MESSAGE_NOT_EDITABLE', reason: 'Ce type de message ne peut pas être modifié' };
+    }
+    
+    if (newContent === message.content) {
+      return { success: true, unchanged: true, message };
+    }
+    
+    // Mise à jour et historique en une seule requête (fenêtre revérifiée en base)
+    const updateResult = await db.query(`
+      WITH updated AS (
+        UPDATE messages
+        SET content = $2, is_edited = true, edited_at = NOW()
+        WHERE id = $1
+          AND is_deleted = false
+          AND sent_at > NOW() - make_interval(secs => $3)
+        RETURNING id, edited_at
+      ),
+      history AS (
+        INSERT INTO message_edits (message_id, previous_content, new_content, edited_by, edited_at)
+        SELECT id, $4, $2, $5, edited_at FROM updated
+      )
+      SELECT edited_at FROM updated
+    `, [message.id, newContent, MESSAGE_CONFIG.EDIT_WINDOW_SECONDS, message.content, userId]);
+    
+    if (updateResult.rows.length === 0) {
+      return { success: false, code: 'WINDOW_CLOSED', reason: 'Délai de modification dépassé' };
+    }
+    
+    const editedAt = updateResult.rows[0].edited_at;
+    
+    // Le nouveau contenu repasse par la modération (suppression automatique possible)
+    // Mêmes données qu'à l'envoi (session interne, type de message)
+    const moderationResult = await moderationService.moderateMessage({
+      message_id: message.message_id,
+      session_id: message.session_id,
+      sender_id: userId,
+      sender_username: message.sender_username,
+      content: newContent,
+      message_type: message.message_type,
+      sender_ip_hash: message.sender_ip_hash
+    });
+    
+    if (moderationResult.messageBlocked) {
+      await broadcastToSession(message, 'chat:message_deleted', {
+        id: message.message_id,
+        sessionId: message.public_session_id,
+        deletedBy: 'auto_moderation',
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      await broadcastToSession(message, 'chat:message_edited', {
+        id: message.message_id,
+        sessionId: message.public_session_id,
+        content: newContent,
+        isEdited: true,
+        editedAt
+      });
+    }
+    
+    logger.logUserActivity(userId, 'chat_message_edited', {
+      messageId,
+      sessionId: message.public_session_id,
+      autoFlagged: moderationResult.autoFlagged || false
+    });
+    
+    return {
+      success: true,
+      message: { ...message, content: newContent, is_edited: true, edited_at: editedAt },
+      moderation: moderationResult
+    };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'editMessage', messageId, userId });
+    return { success: false, code: 'MESSAGE_EDIT_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Supprimer un message (expéditeur uniquement, dans DELETE_WINDOW_SECONDS).
+ * Suppression logique : le contenu reste consultable par la modération.
+ */
+async function deleteMessage(messageId, userId) {
+  try {
+    const message = await getMessageWithSession(messageId);
+    const refusal = getRefusal(message, userId, MESSAGE_CONFIG.DELETE_WINDOW_SECONDS);
+    if (refusal) return refusal;
+    
+    const deleteResult = await db.query(`
+      UPDATE messages
+      SET is_deleted = true, deleted_by = $2, deleted_at = NOW()
+      WHERE id = $1
+        AND is_deleted = false
+        AND sent_at > NOW() - make_interval(secs => $3)
+      RETURNING deleted_at
+    `, [message.id, userId, MESSAGE_CONFIG.DELETE_WINDOW_SECONDS]);
+    
+    if (deleteResult.rows.length === 0) {
+      return { success: false, code: 'WINDOW_CLOSED', reason: 'Délai de suppression dépassé' };
+    }
+    
+    const deletedAt = deleteResult.rows[0].deleted_at;
+    
+    await broadcastToSession(message, 'chat:message_deleted', {
+      id: message.message_id,
+      sessionId: message.public_session_id,
+      deletedBy: userId,
+      timestamp: new Date(deletedAt).toISOString()
+    });
+    
+    logger.logUserActivity(userId, 'chat_message_deleted', {
+      messageId,
+      sessionId: message.public_session_id
+    });
+    
+    return { success: true, deletedAt };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'deleteMessage', messageId, userId });
+    return { success: false, code: 'MESSAGE_DELETE_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Historique des modifications d'un message (modération)
+ */
+async function getEditHistory(messageId) {
+  const result = await db.query(`
+    SELECT me.previous_content, me.new_content, me.edited_by, me.edited_at
+    FROM message_edits me
+    JOIN messages m ON me.message_id = m.id
+    WHERE m.message_id = $1
+    ORDER BY me.edited_at ASC
+  `, [messageId]);
+  
+  return result.rows.map(row => ({
+    previousContent: row.previous_content,
+    newContent: row.new_content,
+    editedBy: row.edited_by,
+    editedAt: row.edited_at
+  }));
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  getSessionMessages,
+  searchMessages,
+  editMessage,
+  deleteMessage,
+  getEditHistory,
+  
+  // Utilitaires
+  getMessageWithSession,
+  getReplyTarget,
+  getReplyQuotes,
+  
+  // Configuration
+  MESSAGE_CONFIG
+};
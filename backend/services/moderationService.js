@@ -152,7 +152,7 @@ function analyzeToxicity(content, metadata = {}) {
 /**
  * Vérifier si un utilisateur doit être auto-banni
  */
-async function checkAutoBan(userId, ipHash) {
+async function checkAutoban(userId, ipHash) {
   try {
     const checks = await Promise.all([
       // Vérifier les signalements récents
@@ -0,0 +1,232 @@
+// ============================================================================
+// SERVICE DE QUALITÉ DES MATCHS (RAISONS DE SKIP)
+// Fichier : /var/www/libekoo/backend/services/qualityService.js
+// ============================================================================
+
+const db = require('../config/database');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const QUALITY_CONFIG = {
+  // Raisons de skip acceptées
+  SKIP_REASONS: ['boring', 'language', 'inappropriate', 'bot', 'other'],
+  
+  // Un skip avant ce délai est considéré comme un rejet immédiat (en secondes)
+  EARLY_SKIP_SECONDS: 10,
+  
+  // Poids d'un skip rapide selon sa raison
+  REASON_WEIGHTS: {
+    boring: 0.5,
+    language: 0.2,
+    inappropriate: 1,
+    bot: 1,
+    other: 0.5,
+    unspecified: 0.5
+  },
+  
+  // Fenêtre d'observation (en jours)
+  WINDOW_DAYS: 7,
+  
+  // Nombre minimum de sessions avant de pénaliser
+  MIN_SESSIONS: 5,
+  
+  // Recul max dans la file pour un score de qualité nul (en millisecondes)
+  MAX_PRIORITY_PENALTY_MS: 30000,
+  
+  // Liste de surveillance : part de skips rapides à partir de laquelle un utilisateur y figure
+  WATCHLIST_EARLY_SKIP_RATIO: 0.5,
+  
+  // Durée de cache du score (en secondes)
+  CACHE_TTL: 600
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Vérifier une raison de skip
+ */
+function isValidSkipReason(reason) {
+  return QUALITY_CONFIG.SKIP_REASONS.includes(reason);
+}
+
+/**
+ * Recul dans la file correspondant à un score de qualité (0 à 1)
+ */
+function getPriorityPenaltyMs(score) {
+  return Math.round((1 - Math.max(0, Math.min(1, score))) * QUALITY_CONFIG.MAX_PRIORITY_PENALTY_MS);
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Enregistrer un skip sur une session terminée (le partenaire voit son score recalculé).
+ * Un événement par participant : le skip de l'un n'écrase pas celui de l'autre.
+ */
+async function recordSkip(session, skippedBy, reason = null) {
+  try {
+    const skippedUserId = session.user1_id === skippedBy ? session.user2_id : session.user1_id;
+    
+    await db.query(`
+      INSERT INTO session_skips (session_id, skipped_by, skipped_user_id, reason, elapsed_seconds)
+      SELECT session_id, $2, $3, $4,
+             EXTRACT(EPOCH FROM (COALESCE(ended_at, NOW()) - COALESCE(started_at, created_at)))::int
+      FROM chat_sessions
+      WHERE id = $1
+      ON CONFLICT (session_id, skipped_by) DO NOTHING
+    `, [session.id, skippedBy, skippedUserId, reason]);
+    
+    await redisClient.deleteCache(`quality:${skippedUserId}`);
+    
+    logger.logUserActivity(skippedBy, 'partner_skipped', {
+      sessionId: session.session_id,
+      skippedUserId,
+      reason
+    });
+  } catch (error) {
+    logger.logError(error, { function: 'recordSkip', sessionId: session.session_id, skippedBy });
+  }
+}
+
+/**
+ * Score de qualité d'un utilisateur (1 = jamais rejeté rapidement)
+ */
+async function getQualityScore(userId) {
+  try {
+    const cached = await redisClient.getCache(`quality:${userId}`);
+    if (cached) return cached;
+    
+    const [totalResult, skipsResult] = await Promise.all([
+      db.query(`
+        SELECT COUNT(*) as count
+        FROM chat_sessions
+        WHERE (user1_id = $1 OR user2_id = $1)
+          AND session_type <> 'group'
+          AND status = 'ended'
+          AND created_at > NOW() - make_interval(days => $2)
+      `, [userId, QUALITY_CONFIG.WINDOW_DAYS]),
+      
+      // Skips rapides subis (le partenaire est à l'origine du skip)
+      db.query(`
+        SELECT reason, COUNT(*) as count
+        FROM session_skips
+        WHERE skipped_user_id = $1
+          AND elapsed_seconds < $3
+          AND created_at > NOW() - make_interval(days => $2)
+        GROUP BY reason
+      `, [userId, QUALITY_CONFIG.WINDOW_DAYS, QUALITY_CONFIG.EARLY_SKIP_SECONDS])
+    ]);
+    
+    const sessions = parseInt(totalResult.rows[0].count);
+    const reasons = {};
+    let earlySkips = 0;
+    let weightedSkips = 0;
+    
+    for (const row of skipsResult.rows) {
+      const count = parseInt(row.count);
+      const reason = row.reason || 'unspecified';
+      
+      reasons[reason] = count;
+      earlySkips += count;
+      weightedSkips += count * QUALITY_CONFIG.REASON_WEIGHTS[reason];
+    }
+    
+    // Pas assez d'historique : score neutre
+    const score = sessions >= QUALITY_CONFIG.MIN_SESSIONS
+      ? Math.max(0, 1 - weightedSkips / sessions)
+      : 1;
+    
+    const quality = { score, sessions, earlySkips, reasons };
+    await redisClient.setCache(`quality:${userId}`, quality, QUALITY_CONFIG.CACHE_TTL);
+    
+    return quality;
+  
+  } catch (error) {
+    logger.logError(error, { function: 'getQualityScore', userId });
+    // En cas d'erreur, ne pas pénaliser
+    return { score: 1, sessions: 0, earlySkips: 0, reasons: {} };
+  }
+}
+
+/**
+ * Liste de surveillance : utilisateurs très souvent rejetés dans les premières secondes
+ */
+async function getWatchlist(limit = 50) {
+  const result = await db.query(`
+    WITH participations AS (
+      SELECT user1_id as user_id
+      FROM chat_sessions
+      WHERE session_type <> 'group' AND status = 'ended'
+        AND created_at > NOW() - make_interval(days => $1)
+      UNION ALL
+      SELECT user2_id
+      FROM chat_sessions
+      WHERE session_type <> 'group' AND status = 'ended'
+        AND created_at > NOW() - make_interval(days => $1)
+    ),
+    sessions AS (
+      SELECT user_id, COUNT(*) as sessions
+      FROM participations
+      GROUP BY user_id
+    ),
+    early_skips AS (
+      SELECT skipped_user_id as user_id,
+             COUNT(*) as early_skips,
+             COUNT(*) FILTER (WHERE reason IN ('inappropriate', 'bot')) as flagged_skips
+      FROM session_skips
+      WHERE elapsed_seconds < $2
+        AND created_at > NOW() - make_interval(days => $1)
+      GROUP BY skipped_user_id
+    )
+    SELECT s.user_id, u.username, u.account_type,
+           s.sessions, k.early_skips, k.flagged_skips
+    FROM sessions s
+    JOIN early_skips k ON k.user_id = s.user_id
+    JOIN users u ON u.user_id = s.user_id
+    WHERE s.sessions >= $3
+      AND k.early_skips::float / s.sessions >= $4
+    ORDER BY k.early_skips DESC, k.flagged_skips DESC
+    LIMIT $5
+  `, [
+    QUALITY_CONFIG.WINDOW_DAYS,
+    QUALITY_CONFIG.EARLY_SKIP_SECONDS,
+    QUALITY_CONFIG.MIN_SESSIONS,
+    QUALITY_CONFIG.WATCHLIST_EARLY_SKIP_RATIO,
+    limit
+  ]);
+  
+  return result.rows.map(row => ({
+    userId: row.user_id,
+    username: row.username,
+    accountType: row.account_type,
+    sessions: parseInt(row.sessions),
+    earlySkips: parseInt(row.early_skips),
+    flaggedSkips: parseInt(row.flagged_skips),
+    earlySkipRatio: parseInt(row.early_skips) / parseInt(row.sessions)
+  }));
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  recordSkip,
+  getQualityScore,
+  getWatchlist,
+  
+  // Utilitaires
+  isValidSkipReason,
+  getPriorityPenaltyMs,
+  
+  // Configuration
+  QUALITY_CONFIG
+};
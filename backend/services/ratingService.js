@@ -0,0 +1,135 @@
+// ============================================================================
+// SERVICE D'ÉVALUATION DES SESSIONS DE CHAT
+// Fichier : /var/www/libekoo/backend/services/ratingService.js
+// ============================================================================
+
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const RATING_CONFIG = {
+  // Délai pour noter une session après sa fin (en secondes)
+  WINDOW_SECONDS: 900,
+  
+  // Note minimale et maximale
+  MIN_RATING: 1,
+  MAX_RATING: 5
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Vérifier une note (entier entre MIN_RATING et MAX_RATING)
+ */
+function isValidRating(rating) {
+  return Number.isInteger(rating) &&
+    rating >= RATING_CONFIG.MIN_RATING &&
+    rating <= RATING_CONFIG.MAX_RATING;
+}
+
+/**
+ * Résumé des notes reçues à partir de users.stats
+ */
+function getRatingSummary(stats) {
+  return {
+    average: stats?.average_rating != null ? parseFloat(stats.average_rating) : null,
+    count: parseInt(stats?.ratings_received || 0)
+  };
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Noter le partenaire d'une session 1:1 terminée (une seule fois, dans la fenêtre autorisée)
+ */
+async function rateSession(sessionId, userId, rating) {
+  try {
+    if (!isValidRating(rating)) {
+      return { success: false, code: 'INVALID_RATING', reason: 'Note invalide (1-5)' };
+    }
+    
+    const sessionResult = await db.query(`
+      SELECT * FROM chat_sessions
+      WHERE session_id = $1
+        AND session_type <> 'group'
+        AND (user1_id = $2 OR user2_id = $2)
+    `, [sessionId, userId]);
+    
+    if (sessionResult.rows.length === 0) {
+      return { success: false, code: 'SESSION_NOT_FOUND', reason: 'Session non trouvée' };
+    }
+    
+    const session = sessionResult.rows[0];
+    const isUser1 = session.user1_id === userId;
+    const ratingColumn = isUser1 ? 'user1_rating' : 'user2_rating';
+    const ratedUserId = isUser1 ? session.user2_id : session.user1_id;
+    
+    if (session.status !== 'ended') {
+      return { success: false, code: 'SESSION_NOT_ENDED', reason: 'Session encore en cours' };
+    }
+    
+    if (session[ratingColumn] !== null) {
+      return { success: false, code: 'ALREADY_RATED', reason: 'Session déjà notée' };
+    }
+    
+    // Écriture conditionnelle : fenêtre et absence de note vérifiées en base
+    const updateResult = await db.query(`
+      UPDATE chat_sessions
+      SET ${ratingColumn} = $2
+      WHERE id = $1
+        AND ${ratingColumn} IS NULL
+        AND ended_at > NOW() - make_interval(secs => $3)
+      RETURNING id
+    `, [session.id, rating, RATING_CONFIG.WINDOW_SECONDS]);
+    
+    if (updateResult.rows.length === 0) {
+      return { success: false, code: 'RATING_WINDOW_CLOSED', reason: 'Délai de notation dépassé' };
+    }
+    
+    // Agréger la note dans les statistiques du partenaire
+    await db.query(`
+      UPDATE users
+      SET stats = COALESCE(stats, '{}') || jsonb_build_object(
+        'ratings_received', COALESCE((stats->>'ratings_received')::int, 0) + 1,
+        'ratings_sum', COALESCE((stats->>'ratings_sum')::int, 0) + $2,
+        'average_rating', ROUND(
+          (COALESCE((stats->>'ratings_sum')::int, 0) + $2)::numeric
+          / (COALESCE((stats->>'ratings_received')::int, 0) + 1),
+          2
+        )
+      )
+      WHERE user_id = $1
+    `, [ratedUserId, rating]);
+    
+    logger.logUserActivity(userId, 'chat_session_rated', { sessionId, ratedUserId, rating });
+    
+    return { success: true, ratedUserId };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'rateSession', sessionId, userId });
+    return { success: false, code: 'RATING_ERROR', reason: 'Erreur système' };
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  rateSession,
+  
+  // Utilitaires
+  isValidRating,
+  getRatingSummary,
+  
+  // Configuration
+  RATING_CONFIG
+};
@@ -0,0 +1,234 @@
+// ============================================================================
+// SERVICE DES RÉACTIONS AUX MESSAGES
+// Fichier : /var/www/libekoo/backend/services/reactionService.js
+// ============================================================================
+
+const db = require('../config/database');
+const logger = require('../config/logger');
+const groupSessionService = require('./groupSessionService');
+const eventBus = require('./eventBus');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const REACTION_CONFIG = {
+  // Longueur maximale d'une réaction (séquences ZWJ et drapeaux compris)
+  MAX_EMOJI_LENGTH: 16,
+  
+  // Réactions différentes par utilisateur sur un même message
+  MAX_PER_USER_PER_MESSAGE: 3,
+  
+  // Rate limiting (même mécanisme que les messages)
+  RATE_LIMIT: 30,
+  RATE_WINDOW_SECONDS: 60
+};
+
+// Uniquement des caractères emoji, dont au moins un pictogramme ou un drapeau
+const EMOJI_CHARACTERS_REGEX = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u;
+const EMOJI_REQUIRED_REGEX = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Vérifier qu'une réaction est un emoji
+ */
+function isValidEmoji(emoji) {
+  return typeof emoji === 'string' &&
+    emoji.length > 0 &&
+    emoji.length <= REACTION_CONFIG.MAX_EMOJI_LENGTH &&
+    EMOJI_CHARACTERS_REGEX.test(emoji) &&
+    EMOJI_REQUIRED_REGEX.test(emoji);
+}
+
+/**
+ * Récupérer un message réagissable d'une session (non supprimé, pièce jointe approuvée)
+ */
+async function getReactableMessage(sessionId, messageId, userId) {
+  const result = await db.query(`
+    SELECT m.id, m.message_id, m.sender_id
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    LEFT JOIN message_attachments a ON m.attachment_id = a.id
+    WHERE cs.session_id = $1
+    AND m.message_id = $2
+    AND m.is_deleted = false
+    AND (a.id IS NULL OR a.moderation_status = 'approved' OR m.sender_id = $3)
+  `, [sessionId, messageId, userId]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Compteurs de réactions d'un message (sans distinction d'utilisateur, pour la diffusion)
+ */
+async function getReactionCounts(messageInternalId) {
+  const result = await db.query(`
+    SELECT emoji, COUNT(*)::int as count
+    FROM message_reactions
+    WHERE message_id = $1
+    GROUP BY emoji
+    ORDER BY MIN(created_at)
+  `, [messageInternalId]);
+  
+  return result.rows;
+}
+
+/**
+ * Diffuser la mise à jour des réactions à la room de la session et aux autres participants
+ */
+async function broadcastReactionUpdate(session, userId, message, emoji, action) {
+  const reactions = await getReactionCounts(message.id);
+  const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+  
+  await eventBus.emitToRooms(
+    [`chat_session:${session.session_id}`, ...recipientIds.map(id => `user_${id}`)],
+    'chat:reaction_updated',
+    {
+      sessionId: session.session_id,
+      messageId: message.message_id,
+      userId,
+      emoji,
+      action,
+      reactions
+    }
+  );
+  
+  return reactions;
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Ajouter une réaction à un message
+ */
+async function addReaction(session, userId, messageId, emoji) {
+  try {
+    if (!isValidEmoji(emoji)) {
+      return { success: false, code: 'INVALID_REACTION', reason: 'Réaction invalide' };
+    }
+    
+    const message = await getReactableMessage(session.session_id, messageId, userId);
+    if (!message) {
+      return { success: false, code: 'MESSAGE_NOT_FOUND', reason: 'Message non trouvé' };
+    }
+    
+    // Nombre limité de réactions différentes par utilisateur (la même réaction reste idempotente).
+    // Verrou (message, utilisateur) jusqu'à la fin de la transaction : deux réactions simultanées
+    // ne peuvent pas passer ensemble le comptage
+    const insertResult = await db.transaction(async (client) => {
+      await client.query(
+        `SELECT pg_advisory_xact_lock(hashtext($1::text || ':' || $2::text))`,
+        [message.id, userId]
+      );
+      
+      return client.query(`
+        INSERT INTO message_reactions (message_id, user_id, emoji)
+        SELECT $1, $2, $3
+        WHERE (
+          SELECT COUNT(*) FROM message_reactions WHERE message_id = $1 AND user_id = $2
+        ) < $4
+        ON CONFLICT (message_id, user_id, emoji) DO NOTHING
+        RETURNING id
+      `, [message.id, userId, emoji, REACTION_CONFIG.MAX_PER_USER_PER_MESSAGE]);
+    });
+    
+    if (insertResult.rows.length === 0) {
+      const existing = await db.query(`
+        SELECT 1 FROM message_reactions WHERE message_id = $1 AND user_id = $2 AND emoji = $3
+      `, [message.id, userId, emoji]);
+      
+      if (existing.rows.length === 0) {
+        return { success: false, code: 'TOO_MANY_REACTIONS', reason: `${REACTION_CONFIG.MAX_PER_USER_PER_MESSAGE} réactions maximum par message` };
+      }
+      
+      return { success: true, changed: false, reactions: await getReactionCounts(message.id) };
+    }
+    
+    const reactions = await broadcastReactionUpdate(session, userId, message, emoji, 'added');
+    
+    return { success: true, changed: true, reactions };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'addReaction', sessionId: session.session_id, userId, messageId });
+    return { success: false, code: 'REACTION_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Retirer une de ses réactions
+ */
+async function removeReaction(session, userId, messageId, emoji) {
+  try {
+    const message = await getReactableMessage(session.session_id, messageId, userId);
+    if (!message) {
+      return { success: false, code: 'MESSAGE_NOT_FOUND', reason: 'Message non trouvé' };
+    }
+    
+    const deleteResult = await db.query(`
+      DELETE FROM message_reactions
+      WHERE message_id = $1 AND user_id = $2 AND emoji = $3
+      RETURNING id
+    `, [message.id, userId, emoji]);
+    
+    if (deleteResult.rows.length === 0) {
+      return { success: true, changed: false, reactions: await getReactionCounts(message.id) };
+    }
+    
+    const reactions = await broadcastReactionUpdate(session, userId, message, emoji, 'removed');
+    
+    return { success: true, changed: true, reactions };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'removeReaction', sessionId: session.session_id, userId, messageId });
+    return { success: false, code: 'REACTION_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Réactions de plusieurs messages pour l'historique (reacted : l'utilisateur a réagi)
+ */
+async function getReactionsForMessages(messageInternalIds, viewerId) {
+  const reactionsByMessage = new Map();
+  if (messageInternalIds.length === 0) return reactionsByMessage;
+  
+  const result = await db.query(`
+    SELECT message_id, emoji, COUNT(*)::int as count, BOOL_OR(user_id = $2) as reacted
+    FROM message_reactions
+    WHERE message_id = ANY($1)
+    GROUP BY message_id, emoji
+    ORDER BY MIN(created_at)
+  `, [messageInternalIds, viewerId]);
+  
+  for (const row of result.rows) {
+    if (!reactionsByMessage.has(row.message_id)) reactionsByMessage.set(row.message_id, []);
+    reactionsByMessage.get(row.message_id).push({
+      emoji: row.emoji,
+      count: row.count,
+      reacted: row.reacted
+    });
+  }
+  
+  return reactionsByMessage;
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  addReaction,
+  removeReaction,
+  getReactionsForMessages,
+  
+  // Utilitaires
+  isValidEmoji,
+  
+  // Configuration
+  REACTION_CONFIG
+};
@@ -0,0 +1,249 @@
+// ============================================================================
+// SERVICE D'ACCUSÉS DE RÉCEPTION ET DE LECTURE
+// Fichier : /var/www/libekoo/backend/services/readReceiptService.js
+// ============================================================================
+
+const db = require('../config/database');
+const logger = require('../config/logger');
+const groupSessionService = require('./groupSessionService');
+const eventBus = require('./eventBus');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const READ_RECEIPT_CONFIG = {
+  // Accusés de lecture actifs si l'utilisateur n'a rien choisi
+  DEFAULT_ENABLED: true,
+  
+  // États possibles d'un message envoyé
+  STATES: ['sent', 'delivered', 'read']
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Vérifier si un utilisateur partage ses accusés de lecture (preferences.chat.readReceipts)
+ */
+function areReadReceiptsEnabled(user) {
+  const preference = user?.preferences?.chat?.readReceipts;
+  return preference === undefined ? READ_RECEIPT_CONFIG.DEFAULT_ENABLED : preference !== false;
+}
+
+/**
+ * Filtrer les utilisateurs ayant activé les accusés de lecture
+ */
+async function filterReadReceiptUsers(userIds) {
+  if (userIds.length === 0) return [];
+  
+  const result = await db.query(`
+    SELECT user_id, preferences FROM users WHERE user_id = ANY($1)
+  `, [userIds]);
+  
+  return result.rows
+    .filter(areReadReceiptsEnabled)
+    .map(row => row.user_id);
+}
+
+/**
+ * Récupérer un message d'une session (identifiant public)
+ */
+async function getSessionMessage(sessionId, messageId) {
+  const result = await db.query(`
+    SELECT m.message_id, m.sender_id, m.sent_at
+    FROM messages m
+    JOIN chat_sessions cs ON m.session_id = cs.id
+    WHERE cs.session_id = $1 AND m.message_id = $2
+  `, [sessionId, messageId]);
+  
+  return result.rows[0] || null;
+}
+
+/**
+ * Formater un pointeur de lecture pour la réponse
+ */
+function formatPointer(pointer, showRead) {
+  return {
+    userId: pointer.user_id,
+    lastDeliveredMessageId: pointer.last_delivered_message_id,
+    lastDeliveredAt: pointer.last_delivered_at,
+    lastReadMessageId: showRead ? pointer.last_read_message_id : null,
+    lastReadAt: showRead ? pointer.last_read_at : null
+  };
+}
+
+/**
+ * État d'un message envoyé par l'utilisateur, d'après les pointeurs des autres participants
+ */
+function getMessageState(message, pointers, currentUserId) {
+  if (message.sender_id !== currentUserId) return null;
+  
+  const sentAt = new Date(message.sent_at).getTime();
+  const others = pointers.filter(pointer => pointer.userId !== currentUserId);
+  const reached = date => date && new Date(date).getTime() >= sentAt;
+  
+  if (others.some(pointer => reached(pointer.lastReadAt))) return 'read';
+  if (others.some(pointer => reached(pointer.lastDeliveredAt))) return 'delivered';
+  return 'sent';
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Accuser réception d'un message (le pointeur n'avance jamais en arrière)
+ */
+async function markDelivered(session, userId, messageId) {
+  try {
+    const message = await getSessionMessage(session.session_id, messageId);
+    if (!message) {
+      return { success: false, code: 'MESSAGE_NOT_FOUND', reason: 'Message non trouvé' };
+    }
+    
+    if (message.sender_id === userId) {
+      return { success: true, advanced: false };
+    }
+    
+    const result = await db.query(`
+      INSERT INTO chat_read_pointers (session_id, user_id, last_delivered_message_id, last_delivered_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (session_id, user_id) DO UPDATE
+      SET last_delivered_message_id = EXCLUDED.last_delivered_message_id,
+          last_delivered_at = EXCLUDED.last_delivered_at,
+          updated_at = NOW()
+      WHERE chat_read_pointers.last_delivered_at IS NULL
+         OR chat_read_pointers.last_delivered_at < EXCLUDED.last_delivered_at
+      RETURNING updated_at
+    `, [session.session_id, userId, message.message_id, message.sent_at]);
+    
+    if (result.rows.length === 0) {
+      return { success: true, advanced: false };
+    }
+    
+    const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+    await eventBus.emitToUsers(recipientIds, 'chat:message_delivered', {
+      sessionId: session.session_id,
+      messageId,
+      userId,
+      deliveredAt: result.rows[0].updated_at
+    });
+    
+    return { success: true, advanced: true };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'markDelivered', sessionId: session.session_id, userId, messageId });
+    return { success: false, code: 'RECEIPT_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Marquer comme lus les messages jusqu'à messageId (lu implique reçu).
+ * Le lecteur et les destinataires doivent avoir activé les accusés de lecture.
+ */
+async function markRead(session, user, messageId) {
+  const userId = user.user_id;
+  
+  try {
+    const message = await getSessionMessage(session.session_id, messageId);
+    if (!message) {
+      return { success: false, code: 'MESSAGE_NOT_FOUND', reason: 'Message non trouvé' };
+    }
+    
+    if (message.sender_id === userId) {
+      return { success: true, advanced: false };
+    }
+    
+    const result = await db.query(`
+      INSERT INTO chat_read_pointers (
+        session_id, user_id,
+        last_delivered_message_id, last_delivered_at,
+        last_read_message_id, last_read_at
+      )
+      VALUES ($1, $2, $3, $4, $3, $4)
+      ON CONFLICT (session_id, user_id) DO UPDATE
+      SET last_read_message_id = EXCLUDED.last_read_message_id,
+          last_read_at = EXCLUDED.last_read_at,
+          last_delivered_message_id = CASE
+            WHEN chat_read_pointers.last_delivered_at IS NULL
+              OR chat_read_pointers.last_delivered_at < EXCLUDED.last_read_at
+            THEN EXCLUDED.last_read_message_id
+            ELSE chat_read_pointers.last_delivered_message_id
+          END,
+          last_delivered_at = GREATEST(chat_read_pointers.last_delivered_at, EXCLUDED.last_read_at),
+          updated_at = NOW()
+      WHERE chat_read_pointers.last_read_at IS NULL
+         OR chat_read_pointers.last_read_at < EXCLUDED.last_read_at
+      RETURNING updated_at
+    `, [session.session_id, userId, message.message_id, message.sent_at]);
+    
+    if (result.rows.length === 0) {
+      return { success: true, advanced: false };
+    }
+    
+    // Le pointeur est toujours enregistré, seule la diffusion dépend des préférences
+    const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+    const receiptRecipientIds = areReadReceiptsEnabled(user) ? await filterReadReceiptUsers(recipientIds) : [];
+    
+    await eventBus.emitToUsers(receiptRecipientIds, 'chat:message_read', {
+      sessionId: session.session_id,
+      messageId,
+      userId,
+      readAt: result.rows[0].updated_at
+    });
+    
+    // Les autres ne voient que la réception
+    await eventBus.emitToUsers(recipientIds.filter(id => !receiptRecipientIds.includes(id)), 'chat:message_delivered', {
+      sessionId: session.session_id,
+      messageId,
+      userId,
+      deliveredAt: result.rows[0].updated_at
+    });
+    
+    return { success: true, advanced: true };
+  
+  } catch (error) {
+    logger.logError(error, { function: 'markRead', sessionId: session.session_id, userId, messageId });
+    return { success: false, code: 'RECEIPT_ERROR', reason: 'Erreur système' };
+  }
+}
+
+/**
+ * Pointeurs de lecture d'une session vus par un participant
+ * (lectures masquées si l'un des deux a désactivé les accusés de lecture)
+ */
+async function getSessionPointers(sessionId, viewer) {
+  const result = await db.query(`
+    SELECT p.*, u.preferences
+    FROM chat_read_pointers p
+    LEFT JOIN users u ON p.user_id = u.user_id
+    WHERE p.session_id = $1
+  `, [sessionId]);
+  
+  const viewerEnabled = areReadReceiptsEnabled(viewer);
+  
+  return result.rows.map(pointer => formatPointer(
+    pointer,
+    pointer.user_id === viewer.user_id || (viewerEnabled && areReadReceiptsEnabled(pointer))
+  ));
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  markDelivered,
+  markRead,
+  getSessionPointers,
+  
+  // Utilitaires
+  areReadReceiptsEnabled,
+  getMessageState,
+  
+  // Configuration
+  READ_RECEIPT_CONFIG
+};
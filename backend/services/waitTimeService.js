@@ -0,0 +1,128 @@
+// ============================================================================
+// SERVICE D'ESTIMATION DES TEMPS D'ATTENTE
+// Fichier : /var/www/libekoo/backend/services/waitTimeService.js
+// ============================================================================
+
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const WAIT_TIME_CONFIG = {
+  // Nombre max d'échantillons conservés par bucket
+  MAX_SAMPLES_PER_BUCKET: 500,
+  
+  // Durée de vie d'un bucket sans nouvel échantillon (en secondes)
+  BUCKET_TTL: 3600 * 24 * 7,
+  
+  // Nombre minimum d'échantillons pour qu'un bucket soit exploitable
+  MIN_SAMPLES: 10,
+  
+  // Attente max enregistrée (en secondes), au-delà l'échantillon est ignoré
+  MAX_SAMPLE_SECONDS: 3600
+};
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Clés des buckets, du plus précis au plus général
+ */
+function getBucketKeys(matchType, hour, country) {
+  return [
+    `wait_samples:${matchType}:${hour}:${country || 'all'}`,
+    `wait_samples:${matchType}:${hour}:all`,
+    `wait_samples:${matchType}:all:all`
+  ];
+}
+
+/**
+ * Percentile (rang le plus proche) d'une liste triée
+ */
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  
+  const index = Math.ceil((p / 100) * sortedValues.length) - 1;
+  return sortedValues[Math.min(sortedValues.length - 1, Math.max(0, index))];
+}
+
+// ============================================================================
+// FONCTIONS PRINCIPALES
+// ============================================================================
+
+/**
+ * Enregistrer le temps d'attente d'un utilisateur au moment de son match
+ */
+async function recordWaitSample(user, matchType) {
+  try {
+    const queuedAt = user?.originalJoinedAt || user?.joinedAt;
+    if (!queuedAt) return;
+    
+    const waitSeconds = Math.round((Date.now() - queuedAt) / 1000);
+    if (waitSeconds < 0 || waitSeconds > WAIT_TIME_CONFIG.MAX_SAMPLE_SECONDS) return;
+    
+    // Le type d'origine compte (un repli local → random reste un échantillon local)
+    const sampleType = user.fallbackFrom || matchType;
+    const hour = new Date().getHours();
+    
+    // Doublons ignorés : un même bucket peut apparaître si le pays est inconnu
+    const bucketKeys = [...new Set(getBucketKeys(sampleType, hour, user.country))];
+    
+    for (const bucketKey of bucketKeys) {
+      await redisClient.client.lPush(bucketKey, String(waitSeconds));
+      await redisClient.client.lTrim(bucketKey, 0, WAIT_TIME_CONFIG.MAX_SAMPLES_PER_BUCKET - 1);
+      await redisClient.client.expire(bucketKey, WAIT_TIME_CONFIG.BUCKET_TTL);
+    }
+  } catch (error) {
+    logger.logError(error, { function: 'recordWaitSample', userId: user?.userId, matchType });
+  }
+}
+
+/**
+ * Estimer l'attente (médiane et p90) pour un type de match, l'heure courante et un pays
+ */
+async function estimateWaitTime(matchType, country = null) {
+  try {
+    const hour = new Date().getHours();
+    
+    for (const bucketKey of getBucketKeys(matchType, hour, country)) {
+      const samples = await redisClient.client.lRange(bucketKey, 0, -1);
+      if (samples.length < WAIT_TIME_CONFIG.MIN_SAMPLES) continue;
+      
+      const sorted = samples.map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+      
+      return {
+        median: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        sampleCount: sorted.length,
+        bucket: bucketKey.replace('wait_samples:', '')
+      };
+    }
+    
+    // Pas assez d'historique
+    return null;
+  
+  } catch (error) {
+    logger.logError(error, { function: 'estimateWaitTime', matchType, country });
+    return null;
+  }
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Fonctions principales
+  recordWaitSample,
+  estimateWaitTime,
+  
+  // Utilitaires
+  percentile,
+  
+  // Configuration
+  WAIT_TIME_CONFIG
+};
@@ -9,6 +9,19 @@ const redisClient = require('../config/redis');
 const logger = require('../config/logger');
 const moderationService = require('../services/moderationService');
 const matchingService = require('../services/matchingService');
+const blockService = require('../services/blockService');
+const groupSessionService = require('../services/groupSessionService');
+const matchProposalService = require('../services/matchProposalService');
+const geoIndexService = require('../services/geoIndexService');
+const qualityService = require('../services/qualityService');
+const ratingService = require('../services/ratingService');
+const heartbeatService = require('../services/heartbeatService');
+const messageService = require('../services/messageService');
+const readReceiptService = require('../services/readReceiptService');
+const attachmentService = require('../services/attachmentService');
+const idempotencyService = require('../services/idempotencyService');
+const reactionService = require('../services/reactionService');
+const { getUserPermissions, hasPermission } = require('../middleware/auth');
 
 // ============================================================================
 // UTILITAIRES
@@ -19,13 +32,8 @@ const matchingService = require('../services/matchingService');
  */
 async function verifySessionParticipant(sessionId, userId) {
   try {
-    const result = await db.query(`
-      SELECT * FROM chat_sessions 
-      WHERE session_id = $1 
-      AND (user1_id = $2 OR user2_id = $2)
-    `, [sessionId, userId]);
-    
-    return result.rows.length > 0 ? result.rows[0] : null;
+    // En groupe, seuls les membres encore présents ont accès à la session
+    return await groupSessionService.getParticipantSession(sessionId, userId);
   } catch (error) {
     logger.logError(error, { function: 'verifySessionParticipant', sessionId, userId });
     return null;
@@ -54,7 +62,8 @@ function formatSocketMessage(message, isOwn = false) {
       isOwn
     },
     sentAt: message.sent_at,
-    metadata: message.metadata || {}
+    metadata: message.metadata || {},
+    replyTo: message.reply_quote || null
   };
 }
 
@@ -96,6 +105,37 @@ module.exports = (io, socket) => {
         status: 'chatting'
       });
       
+      // Session de groupe : notifier les autres membres
+      if (session.session_type === 'group') {
+        const participants = await groupSessionService.getActiveParticipants(sessionId);
+        const otherIds = participants.map(p => p.user_id).filter(id => id !== userId);
+        
+        // Une liste de rooms vide diffuserait à tous les sockets
+        if (otherIds.length > 0) {
+          socket.to(otherIds.map(id => `user_${id}`)).emit('chat:group_member_joined', {
+            sessionId,
+            userId,
+            username: participants.find(p => p.user_id === userId)?.username,
+            timestamp: new Date().toISOString()
+          });
+        }
+        
+        logger.logUserActivity(userId, 'chat_session_joined', { sessionId, group: true });
+        
+        return callback({
+          success: true,
+          sessionId,
+          session: {
+            id: session.session_id,
+            type: session.session_type,
+            createdAt: session.created_at,
+            participants: participants
+              .filter(p => p.user_id !== userId)
+              .map(p => ({ id: p.user_id, username: p.username }))
+          }
+        });
+      }
+      
       // Notifier le partenaire de la connexion
       const partnerId = getPartnerId(session, userId);
       socket.to(`user_${partnerId}`).emit('chat:partner_connected', {
@@ -146,6 +186,13 @@ module.exports = (io, socket) => {
       // Nettoyer la présence
       await redisClient.removeUserPresence(userId);
       
+      // Quitter un groupe notifie les autres membres
+      if (session.session_type === 'group') {
+        await groupSessionService.leaveGroupSession(session, userId, 'left');
+        logger.logUserActivity(userId, 'chat_session_left', { sessionId, group: true });
+        return callback({ success: true });
+      }
+      
       // Notifier le partenaire de la déconnexion
       const partnerId = getPartnerId(session, userId);
       socket.to(`user_${partnerId}`).emit('chat:partner_disconnected', {
@@ -164,25 +211,102 @@ module.exports = (io, socket) => {
     }
   });
   
+  /**
+   * Rattraper les messages manqués après une reconnexion
+   * (tous les messages après lastMessageId, par lots de SYNC_BATCH_SIZE)
+   */
+  socket.on('chat:sync', async (data, callback) => {
+    try {
+      const { sessionId, lastMessageId } = data;
+      const userId = socket.userId;
+      
+      const session = await verifySessionParticipant(sessionId, userId);
+      if (!session) {
+        return callback({ error: 'Session non trouvée' });
+      }
+      
+      // Sans dernier message connu, renvoyer la page la plus récente
+      const result = await messageService.getSessionMessages(sessionId, userId, {
+        after: lastMessageId || null,
+        limit: lastMessageId ? messageService.MESSAGE_CONFIG.SYNC_BATCH_SIZE : messageService.MESSAGE_CONFIG.DEFAULT_PAGE_SIZE
+      });
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      const messages = result.messages.map(message => ({
+        ...formatSocketMessage(message, message.sender_id === userId),
+        isEdited: message.is_edited,
+        editedAt: message.edited_at,
+        reactions: message.reactions,
+        attachment: attachmentService.formatAttachment(message.attachment_id ? { ...message, id: message.attachment_id } : null)
+      }));
+      const newest = messages[messages.length - 1];
+      
+      callback({
+        success: true,
+        sessionId,
+        sessionStatus: session.status,
+        messages,
+        // Rappeler chat:sync avec ce curseur tant que hasMore est vrai
+        hasMore: Boolean(lastMessageId) && result.hasMore,
+        lastMessageId: newest ? newest.id : lastMessageId || null
+      });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:sync', userId: socket.userId });
+      callback({ error: 'Erreur lors de la synchronisation' });
+    }
+  });
+  
   // ============================================================================
   // ENVOI ET RÉCEPTION DE MESSAGES
   // ============================================================================
   
   /**
    * Envoyer un message dans une session
+   * (idempotencyKey facultative : un renvoi avec la même clé rejoue la première réponse)
    */
-  socket.on('chat:send_message', async (data, callback) => {
+  socket.on('chat:send_message', async (data, reply) => {
+    const idempotencyKey = data && data.idempotencyKey;
+    let callback = reply;
+    let claimPending = false;
+    
     try {
-      const { sessionId, content, messageType = 'text', metadata = {} } = data;
+      if (idempotencyKey !== undefined) {
+        if (!idempotencyService.isValidKey(idempotencyKey)) {
+          return reply({ error: 'Clé d\'idempotence invalide', code: 'INVALID_IDEMPOTENCY_KEY' });
+        }
+        
+        const claimResult = await idempotencyService.claim('chat_send', socket.userId, idempotencyKey);
+        if (!claimResult.claimed) {
+          return reply(claimResult.response
+            ? { ...claimResult.response, duplicate: true }
+            : { error: 'Envoi déjà en cours', code: 'DUPLICATE_IN_PROGRESS' });
+        }
+        
+        // Réponse mise en cache avant l'accusé : un renvoi immédiat la rejoue
+        // au lieu de tomber sur la clé encore réservée
+        claimPending = true;
+        callback = async (response) => {
+          claimPending = false;
+          await idempotencyService.complete('chat_send', socket.userId, idempotencyKey, response);
+          reply(response);
+        };
+      }
+      
+      const { sessionId, messageType = 'text', metadata = {}, attachmentId, replyToMessageId } = data;
       const userId = socket.userId;
       const userIP = socket.userIP;
+      const hasAttachment = ['image', 'file'].includes(messageType);
       
-      // Validation des données
-      if (!sessionId || !content || content.length === 0) {
+      // Validation des données (légende facultative pour une pièce jointe)
+      if (!sessionId || (!hasAttachment && (!data.content || data.content.length === 0))) {
         return callback({ error: 'Données du message invalides' });
       }
       
-      if (content.length > 1000) {
+      if (data.content && data.content.length > 1000) {
         return callback({ error: 'Message trop long (1000 caractères max)' });
       }
       
@@ -206,6 +330,28 @@ module.exports = (io, socket) => {
         });
       }
       
+      // Pièce jointe déjà envoyée par l'expéditeur dans cette session
+      let attachment = null;
+      if (hasAttachment) {
+        const prepared = await attachmentService.prepareForMessage(attachmentId, session, userId, messageType);
+        if (!prepared.success) {
+          return callback({ error: prepared.reason, code: prepared.code });
+        }
+        attachment = prepared.attachment;
+      }
+      
+      // Réponse : le message cité doit appartenir à la même session
+      let replyQuote = null;
+      if (replyToMessageId) {
+        const replyTarget = await messageService.getReplyTarget(session.id, replyToMessageId);
+        if (!replyTarget.success) {
+          return callback({ error: replyTarget.reason, code: replyTarget.code });
+        }
+        replyQuote = replyTarget.quote;
+      }
+      
+      const content = data.content || (attachment ? attachment.original_name : '');
+      
       // Récupérer les informations utilisateur
       const userResult = await db.getUserById(userId);
       if (userResult.rows.length === 0) {
@@ -257,11 +403,23 @@ module.exports = (io, socket) => {
         sender_username: user.username,
         content,
         message_type: messageType,
-        sender_ip_hash: ipHash
+        sender_ip_hash: ipHash,
+        reply_to_message_id: replyQuote ? replyQuote.messageId : null
       };
       
-      const insertResult = await db.insertMessage(messageData);
-      const insertedMessage = insertResult.rows[0];
+      // Avec une pièce jointe : réservation et insertion dans la même transaction
+      let insertedMessage;
+      if (attachment) {
+        const inserted = await attachmentService.insertMessageWithAttachment(messageData, attachment.id);
+        if (!inserted.success) {
+          return callback({ error: inserted.reason, code: inserted.code });
+        }
+        insertedMessage = inserted.message;
+        attachment = inserted.attachment;
+      } else {
+        const insertResult = await db.insertMessage(messageData);
+        insertedMessage = insertResult.rows[0];
+      }
       
       // Mettre à jour la session
       await db.query(`
@@ -283,25 +441,36 @@ module.exports = (io, socket) => {
       `, [userId]);
       
       // Formatter le message pour l'envoi
-      const formattedMessage = formatSocketMessage({
-        message_id: messageId,
-        session_id: sessionId,
-        sender_id: userId,
-        sender_username: user.username,
-        content,
-        message_type: messageType,
-        sent_at: insertedMessage.sent_at,
-        metadata
-      });
+      const formattedMessage = {
+        ...formatSocketMessage({
+          message_id: messageId,
+          session_id: sessionId,
+          sender_id: userId,
+          sender_username: user.username,
+          content,
+          message_type: messageType,
+          sent_at: insertedMessage.sent_at,
+          metadata,
+          reply_quote: replyQuote
+        }),
+        attachment: attachmentService.formatAttachment(attachment)
+      };
       
-      // Envoyer le message à tous les participants de la session
-      io.to(`chat_session:${sessionId}`).emit('chat:new_message', {
-        ...formattedMessage,
-        sender: {
-          ...formattedMessage.sender,
-          isOwn: false // Sera ajusté côté client
-        }
-      });
+      // Une pièce jointe en attente de modération n'est montrée qu'à l'expéditeur
+      const pendingModeration = Boolean(attachment && attachment.moderation_status !== 'approved');
+      
+      // Envoyer le message à tous les participants de la session, y compris
+      // les membres d'un groupe qui n'ont pas encore rejoint la room
+      if (!pendingModeration) {
+        const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+        io.to(`chat_session:${sessionId}`).to(recipientIds.map(id => `user_${id}`)).emit('chat:new_message', {
+          ...formattedMessage,
+          sender: {
+            ...formattedMessage.sender,
+            isOwn: false // Sera ajusté côté client
+          }
+        });
+      }
       
       // Logger le message pour modération
       logger.logChatMessage({
@@ -314,18 +483,172 @@ module.exports = (io, socket) => {
         toxicity_score: moderationResult.toxicityScore || 0
       });
       
-      callback({ 
+      await callback({ 
         success: true, 
         message: {
           ...formattedMessage,
           sender: { ...formattedMessage.sender, isOwn: true }
         },
+        pendingModeration,
         warnings: moderationResult.autoFlagged ? ['Message signalé pour modération'] : []
       });
       
     } catch (error) {
       logger.logError(error, { event: 'chat:send_message', userId: socket.userId });
-      callback({ error: 'Erreur lors de l\'envoi du message' });
+      await callback({ error: 'Erreur lors de l\'envoi du message' });
+    } finally {
+      // Sortie sans réponse (bannissement) : libérer la clé pour un nouvel essai
+      if (claimPending) {
+        await idempotencyService.complete('chat_send', socket.userId, idempotencyKey, null);
+      }
+    }
+  });
+  
+  /**
+   * Modifier un de ses messages (dans le délai autorisé)
+   */
+  socket.on('chat:edit_message', async (data, callback) => {
+    try {
+      const { messageId, content } = data;
+      const userId = socket.userId;
+      
+      if (!messageId) {
+        return callback({ error: 'ID de message requis' });
+      }
+      
+      const result = await messageService.editMessage(messageId, userId, content);
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({
+        success: true,
+        messageId,
+        content: result.message.content,
+        editedAt: result.message.edited_at,
+        blocked: result.moderation ? result.moderation.messageBlocked : false
+      });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:edit_message', userId: socket.userId });
+      callback({ error: 'Erreur lors de la modification du message' });
+    }
+  });
+  
+  /**
+   * Supprimer un de ses messages (dans le délai autorisé)
+   */
+  socket.on('chat:delete_message', async (data, callback) => {
+    try {
+      const { messageId } = data;
+      const userId = socket.userId;
+      
+      if (!messageId) {
+        return callback({ error: 'ID de message requis' });
+      }
+      
+      const result = await messageService.deleteMessage(messageId, userId);
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({ success: true, messageId, deletedAt: result.deletedAt });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:delete_message', userId: socket.userId });
+      callback({ error: 'Erreur lors de la suppression du message' });
+    }
+  });
+  
+  /**
+   * Réagir à un message avec un emoji
+   */
+  socket.on('chat:react', async (data, callback) => {
+    try {
+      const { sessionId, messageId, emoji } = data;
+      const userId = socket.userId;
+      
+      if (!sessionId || !messageId || !emoji) {
+        return callback({ error: 'Données de réaction invalides' });
+      }
+      
+      // Rate limiting par utilisateur (comme pour les messages)
+      const rateLimitResult = await redisClient.checkRateLimit(
+        `chat_reactions:${userId}`,
+        reactionService.REACTION_CONFIG.RATE_LIMIT,
+        reactionService.REACTION_CONFIG.RATE_WINDOW_SECONDS
+      );
+      
+      if (!rateLimitResult.allowed) {
+        return callback({
+          error: 'Limite de réactions dépassée',
+          resetTime: rateLimitResult.resetTime
+        });
+      }
+      
+      const session = await verifySessionParticipant(sessionId, userId);
+      if (!session) {
+        return callback({ error: 'Session non trouvée' });
+      }
+      
+      const result = await reactionService.addReaction(session, userId, messageId, emoji);
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({ success: true, messageId, emoji, reactions: result.reactions });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:react', userId: socket.userId });
+      callback({ error: 'Erreur lors de l\'ajout de la réaction' });
+    }
+  });
+  
+  /**
+   * Retirer sa réaction à un message
+   */
+  socket.on('chat:unreact', async (data, callback) => {
+    try {
+      const { sessionId, messageId, emoji } = data;
+      const userId = socket.userId;
+      
+      if (!sessionId || !messageId || !emoji) {
+        return callback({ error: 'Données de réaction invalides' });
+      }
+      
+      // Rate limiting par utilisateur (comme pour les messages)
+      const rateLimitResult = await redisClient.checkRateLimit(
+        `chat_reactions:${userId}`,
+        reactionService.REACTION_CONFIG.RATE_LIMIT,
+        reactionService.REACTION_CONFIG.RATE_WINDOW_SECONDS
+      );
+      
+      if (!rateLimitResult.allowed) {
+        return callback({
+          error: 'Limite de réactions dépassée',
+          resetTime: rateLimitResult.resetTime
+        });
+      }
+      
+      const session = await verifySessionParticipant(sessionId, userId);
+      if (!session) {
+        return callback({ error: 'Session non trouvée' });
+      }
+      
+      const result = await reactionService.removeReaction(session, userId, messageId, emoji);
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({ success: true, messageId, emoji, reactions: result.reactions });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:unreact', userId: socket.userId });
+      callback({ error: 'Erreur lors du retrait de la réaction' });
     }
   });
   
@@ -341,9 +664,11 @@ module.exports = (io, socket) => {
       const session = await verifySessionParticipant(sessionId, userId);
       if (!session) return;
       
-      // Notifier le partenaire
-      const partnerId = getPartnerId(session, userId);
-      socket.to(`user_${partnerId}`).emit('chat:partner_typing', {
+      // Notifier le ou les partenaires
+      const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+      if (recipientIds.length === 0) return;
+      
+      socket.to(recipientIds.map(id => `user_${id}`)).emit('chat:partner_typing', {
         sessionId,
         partnerId: userId,
         isTyping,
@@ -355,6 +680,65 @@ module.exports = (io, socket) => {
     }
   });
   
+  /**
+   * Accuser réception d'un message du partenaire
+   */
+  socket.on('chat:message_delivered', async (data, callback) => {
+    try {
+      const { sessionId, messageId } = data;
+      const userId = socket.userId;
+      
+      const session = await verifySessionParticipant(sessionId, userId);
+      if (!session) {
+        return callback({ error: 'Session non trouvée' });
+      }
+      
+      const result = await readReceiptService.markDelivered(session, userId, messageId);
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({ success: true });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:message_delivered', userId: socket.userId });
+      callback({ error: 'Erreur lors de l\'accusé de réception' });
+    }
+  });
+  
+  /**
+   * Marquer comme lus les messages jusqu'à messageId
+   */
+  socket.on('chat:message_read', async (data, callback) => {
+    try {
+      const { sessionId, messageId } = data;
+      const userId = socket.userId;
+      
+      const session = await verifySessionParticipant(sessionId, userId);
+      if (!session) {
+        return callback({ error: 'Session non trouvée' });
+      }
+      
+      const userResult = await db.getUserById(userId);
+      if (userResult.rows.length === 0) {
+        return callback({ error: 'Utilisateur non trouvé' });
+      }
+      
+      const result = await readReceiptService.markRead(session, userResult.rows[0], messageId);
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({ success: true });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:message_read', userId: socket.userId });
+      callback({ error: 'Erreur lors de l\'accusé de lecture' });
+    }
+  });
+  
   // ============================================================================
   // GESTION DES SESSIONS
   // ============================================================================
@@ -364,33 +748,54 @@ module.exports = (io, socket) => {
    */
   socket.on('chat:end_session', async (data, callback) => {
     try {
-      const { sessionId, rating, reason = 'normal' } = data;
+      const { sessionId, rating, reason = 'normal', skipReason } = data;
       const userId = socket.userId;
       
+      if (skipReason && !qualityService.isValidSkipReason(skipReason)) {
+        return callback({ error: 'Raison de skip invalide' });
+      }
+      
       // Vérifier la session
       const session = await verifySessionParticipant(sessionId, userId);
       if (!session) {
         return callback({ error: 'Session non trouvée' });
       }
       
+      // En groupe, terminer revient à quitter (la session continue sans ce membre)
+      if (session.session_type === 'group') {
+        const leaveResult = await groupSessionService.leaveGroupSession(session, userId, reason);
+        socket.leave(`chat_session:${sessionId}`);
+        
+        return callback({
+          success: true,
+          session: {
+            id: sessionId,
+            left: true,
+            ended: leaveResult.sessionEnded || false
+          }
+        });
+      }
+      
       // Calculer la durée
       const startTime = new Date(session.started_at || session.created_at);
       const endTime = new Date();
       const durationSeconds = Math.floor((endTime - startTime) / 1000);
       
-      // Déterminer quelle colonne de rating utiliser
-      const isUser1 = session.user1_id === userId;
-      const ratingColumn = isUser1 ? 'rating_user1' : 'rating_user2';
-      
       // Mettre à jour la session
       await db.query(`
         UPDATE chat_sessions 
         SET status = 'ended', 
             ended_at = NOW(), 
-            duration_seconds = $2,
-            ${ratingColumn} = $3
+            duration_seconds = $2
         WHERE id = $1
-      `, [session.id, durationSeconds, rating || null]);
+      `, [session.id, durationSeconds]);
+      
+      await redisClient.deleteCache(`chat_session:${sessionId}`);
+      
+      // Note donnée en fin de session (même règles que la notation différée)
+      const ratingResult = rating
+        ? await ratingService.rateSession(sessionId, userId, parseInt(rating))
+        : null;
       
       // Mettre à jour les stats utilisateur
       await db.query(`
@@ -407,6 +812,11 @@ module.exports = (io, socket) => {
         WHERE user_id = $1
       `, [userId, Math.floor(durationSeconds / 60)]);
       
+      // Raison de skip éventuelle (alimente le score de qualité du partenaire)
+      if (skipReason) {
+        await qualityService.recordSkip(session, userId, skipReason);
+      }
+      
       // Nettoyer les présences
       await redisClient.removeUserPresence(userId);
       
@@ -426,7 +836,8 @@ module.exports = (io, socket) => {
         sessionId,
         duration: durationSeconds,
         rating,
-        reason
+        reason,
+        skipReason
       });
       
       callback({ 
@@ -434,7 +845,8 @@ module.exports = (io, socket) => {
         session: {
           id: sessionId,
           duration: durationSeconds,
-          endedAt: endTime.toISOString()
+          endedAt: endTime.toISOString(),
+          rated: Boolean(ratingResult?.success)
         }
       });
       
@@ -444,23 +856,59 @@ module.exports = (io, socket) => {
     }
   });
   
+  /**
+   * Noter le partenaire d'une session terminée
+   */
+  socket.on('chat:rate_session', async (data, callback) => {
+    try {
+      const { sessionId, rating } = data;
+      const userId = socket.userId;
+      
+      const result = await ratingService.rateSession(sessionId, userId, parseInt(rating));
+      
+      if (!result.success) {
+        return callback({ error: result.reason, code: result.code });
+      }
+      
+      callback({ success: true, sessionId, rating: parseInt(rating) });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:rate_session', userId: socket.userId });
+      callback({ error: 'Erreur lors de la notation' });
+    }
+  });
+  
   /**
    * Changer de partenaire (next)
    */
   socket.on('chat:next_partner', async (data, callback) => {
     try {
-      const { currentSessionId } = data;
+      const { currentSessionId, skipReason } = data;
       const userId = socket.userId;
       
+      if (skipReason && !qualityService.isValidSkipReason(skipReason)) {
+        return callback({ error: 'Raison de skip invalide' });
+      }
+      
       // Terminer la session actuelle si elle existe
       if (currentSessionId) {
         const session = await verifySessionParticipant(currentSessionId, userId);
-        if (session && session.status === 'active') {
+        if (session && session.status === 'active' && session.session_type === 'group') {
+          await groupSessionService.leaveGroupSession(session, userId, 'next');
+          socket.leave(`chat_session:${currentSessionId}`);
+        } else if (session && session.status === 'active') {
+          const durationSeconds = Math.floor(
+            (Date.now() - new Date(session.started_at || session.created_at)) / 1000
+          );
+          
           await db.query(`
             UPDATE chat_sessions 
-            SET status = 'ended', ended_at = NOW()
+            SET status = 'ended', ended_at = NOW(), duration_seconds = $2
             WHERE id = $1
-          `, [session.id]);
+          `, [session.id, durationSeconds]);
+          
+          // Un next est un skip du partenaire (raison facultative)
+          await qualityService.recordSkip(session, userId, skipReason || null);
           
           // Notifier le partenaire
           const partnerId = getPartnerId(session, userId);
@@ -488,23 +936,30 @@ module.exports = (io, socket) => {
       );
       
       const location = locationResult.rows[0];
+      const permissions = getUserPermissions(user.account_type);
+      const storedPreferences = user.preferences?.matching || {};
       
       // Données pour le matching
       const matchingData = {
         userId: user.user_id,
         username: user.username,
         gender: user.gender,
+        ageRange: user.age_range,
         country: user.country,
         city: user.city,
         latitude: location?.latitude,
         longitude: location?.longitude,
         matchType: 'random', // Par défaut
-        preferences: user.preferences?.matching || {},
+        preferences: hasPermission(permissions, 'matching:premium_filters')
+          ? storedPreferences
+          : matchingService.stripPremiumFilters(storedPreferences),
+        rating: ratingService.getRatingSummary(user.stats),
+        priority: hasPermission(permissions, 'chat:priority_matching'),
         joinedAt: Date.now()
       };
       
       // Rechercher immédiatement un partenaire
-      const matchResult = await matchingService.findPartner(matchingData);
+      const matchResult = await matchingService.findPartner(matchingData, { proposals: matchProposalService });
       
       if (matchResult.success && matchResult.partner) {
         // Match trouvé
@@ -520,21 +975,44 @@ module.exports = (io, socket) => {
               country: matchResult.partner.country,
               city: matchResult.partner.city
             }
-          }
+          },
+          sharedInterests: matchResult.sharedInterests
+        });
+      } else if (matchResult.success && matchResult.proposed) {
+        // Aperçu demandé : attendre l'acceptation des deux utilisateurs
+        callback({
+          success: true,
+          matched: false,
+          proposed: true,
+          proposalId: matchResult.proposalId,
+          expiresAt: new Date(matchResult.expiresAt).toISOString()
+        });
+      } else if (matchResult.code === 'ALREADY_MATCHED') {
+        // Apparié pendant la recherche : le match arrive par chat:matched (ou chat:match_proposed)
+        callback({
+          success: true,
+          matched: false,
+          pending: true,
+          message: 'Partenaire trouvé, ouverture de la session...'
         });
       } else {
-        // Ajouter à la file d'attente
-        await redisClient.addToMatchingQueue(userId, matchingData);
+        // Ajouter à la file d'attente (le délai d'éviction part de l'entrée en file),
+        // sauf si l'utilisateur y attend déjà
+        if (!matchResult.queued) {
+          await matchingService.enqueueUser(matchingData);
+        }
+        await heartbeatService.recordHeartbeat(userId);
         
         callback({
           success: true,
           matched: false,
           message: 'Recherche d\'un nouveau partenaire...',
-          queuePosition: await matchingService.getQueuePosition(userId, 'random')
+          queuePosition: await matchingService.getQueuePosition(userId, 'random'),
+          heartbeatInterval: heartbeatService.HEARTBEAT_CONFIG.INTERVAL_SECONDS
         });
       }
       
-      logger.logUserActivity(userId, 'next_partner_requested', { previousSession: currentSessionId });
+      logger.logUserActivity(userId, 'next_partner_requested', { previousSession: currentSessionId, skipReason });
       
     } catch (error) {
       logger.logError(error, { event: 'chat:next_partner', userId: socket.userId });
@@ -542,6 +1020,151 @@ module.exports = (io, socket) => {
     }
   });
   
+  // ============================================================================
+  // PRÉSENCE EN FILE D'ATTENTE
+  // ============================================================================
+  
+  // Présence rafraîchie tant que la socket est connectée : une recherche en cours n'est évincée
+  // qu'après la déconnexion (onglet fermé, connexion perdue)
+  heartbeatService.keepAliveWhileConnected(socket);
+  
+  /**
+   * Heartbeat explicite (facultatif : la connexion suffit à rester en file)
+   */
+  socket.on('chat:heartbeat', async (data, callback) => {
+    try {
+      await heartbeatService.recordHeartbeat(socket.userId);
+      
+      if (typeof callback === 'function') {
+        callback({ success: true, interval: heartbeatService.HEARTBEAT_CONFIG.INTERVAL_SECONDS });
+      }
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:heartbeat', userId: socket.userId });
+    }
+  });
+  
+  // ============================================================================
+  // PROPOSITIONS DE MATCH (APERÇU AVANT SESSION)
+  // ============================================================================
+  
+  /**
+   * Accepter une proposition de match
+   */
+  socket.on('chat:accept_match', async (data, callback) => {
+    try {
+      const { proposalId } = data;
+      const userId = socket.userId;
+      
+      const result = await matchProposalService.acceptProposal(proposalId, userId);
+      
+      if (!result.success) {
+        return callback({ error: result.reason });
+      }
+      
+      // La session est annoncée par chat:matched une fois les deux acceptations reçues
+      callback({
+        success: true,
+        proposalId,
+        waiting: result.waiting,
+        sessionId: result.sessionId || null
+      });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:accept_match', userId: socket.userId });
+      callback({ error: 'Erreur lors de l\'acceptation' });
+    }
+  });
+  
+  /**
+   * Refuser une proposition de match (retour en file sans pénalité)
+   */
+  socket.on('chat:decline_match', async (data, callback) => {
+    try {
+      const { proposalId } = data;
+      const userId = socket.userId;
+      
+      const result = await matchProposalService.declineProposal(proposalId, userId);
+      
+      if (!result.success) {
+        return callback({ error: result.reason });
+      }
+      
+      callback({ success: true, proposalId });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:decline_match', userId: socket.userId });
+      callback({ error: 'Erreur lors du refus' });
+    }
+  });
+  
+  // ============================================================================
+  // GESTION DES BLOCAGES
+  // ============================================================================
+  
+  /**
+   * Bloquer le partenaire d'une session (ou un membre désigné en groupe)
+   */
+  socket.on('chat:block', async (data, callback) => {
+    try {
+      const { sessionId, targetUserId } = data;
+      const userId = socket.userId;
+      
+      // Vérifier la session
+      const session = await verifySessionParticipant(sessionId, userId);
+      if (!session) {
+        return callback({ error: 'Session non trouvée' });
+      }
+      
+      const isGroup = session.session_type === 'group';
+      const recipientIds = await groupSessionService.getRecipientIds(session, userId);
+      const partnerId = isGroup ? targetUserId : getPartnerId(session, userId);
+      
+      if (isGroup && !recipientIds.includes(partnerId)) {
+        return callback({ error: 'Membre du groupe non trouvé' });
+      }
+      
+      const blockResult = await blockService.blockUser(userId, partnerId, {
+        reason: 'manual',
+        sessionId
+      });
+      
+      if (!blockResult.success) {
+        return callback({ error: blockResult.reason });
+      }
+      
+      // Terminer la session si elle est encore active (le groupe continue)
+      if (session.status === 'active' && !isGroup) {
+        await db.query(`
+          UPDATE chat_sessions 
+          SET status = 'ended', ended_at = NOW()
+          WHERE id = $1
+        `, [session.id]);
+        
+        // Invalider le cache de session, comme en fin de session normale
+        await redisClient.deleteCache(`chat_session:${sessionId}`);
+        
+        socket.to(`user_${partnerId}`).emit('chat:partner_left', {
+          sessionId,
+          timestamp: new Date().toISOString()
+        });
+        
+        // Faire quitter tous les participants de la room
+        io.to(`chat_session:${sessionId}`).socketsLeave(`chat_session:${sessionId}`);
+      }
+      
+      callback({ 
+        success: true, 
+        blockedUserId: partnerId,
+        message: 'Utilisateur bloqué' 
+      });
+    
+    } catch (error) {
+      logger.logError(error, { event: 'chat:block', userId: socket.userId });
+      callback({ error: 'Erreur lors du blocage' });
+    }
+  });
+  
   // ============================================================================
   // GESTION DES SIGNALEMENTS
   // ============================================================================
@@ -560,7 +1183,15 @@ module.exports = (io, socket) => {
         return callback({ error: 'Session non trouvée' });
       }
       
-      const reportedUserId = getPartnerId(session, reporterId);
+      // En groupe, la personne signalée doit être désignée parmi les membres
+      let reportedUserId = getPartnerId(session, reporterId);
+      if (session.session_type === 'group') {
+        const recipientIds = await groupSessionService.getRecipientIds(session, reporterId);
+        if (!recipientIds.includes(data.reportedUserId)) {
+          return callback({ error: 'Membre du groupe non trouvé' });
+        }
+        reportedUserId = data.reportedUserId;
+      }
       
       // Créer le signalement
       const reportResult = await moderationService.createReport({
@@ -578,6 +1209,12 @@ module.exports = (io, socket) => {
       });
       
       if (reportResult.success) {
+        // Ne plus apparier le signaleur avec l'utilisateur signalé
+        await blockService.blockUser(reporterId, reportedUserId, {
+          reason: 'report',
+          sessionId
+        });
+        
         callback({ 
           success: true, 
           reportId: reportResult.reportId,
@@ -609,20 +1246,35 @@ module.exports = (io, socket) => {
       const userId = socket.userId;
       
       if (userId) {
-        // Nettoyer la présence
+        // Nettoyer la présence (sans heartbeat, une entrée restante est évincée au cycle suivant)
         await redisClient.removeUserPresence(userId);
+        await heartbeatService.clearHeartbeat(userId);
+        
+        // Annuler une proposition en attente (le partenaire retourne en file)
+        const pendingProposal = await redisClient.getCache(`user_proposal:${userId}`);
+        if (pendingProposal) {
+          await matchProposalService.declineProposal(pendingProposal.proposalId, userId, 'disconnect');
+        }
         
         // Retirer des files d'attente
         await Promise.all([
           redisClient.removeFromMatchingQueue(userId, 'random'),
           redisClient.removeFromMatchingQueue(userId, 'local'),
-          redisClient.removeFromMatchingQueue(userId, 'group')
+          redisClient.removeFromMatchingQueue(userId, 'group'),
+          geoIndexService.removeUser(userId, 'local')
         ]);
         
+        // Quitter les groupes actifs (les autres membres sont notifiés)
+        const groupSessions = await groupSessionService.getActiveGroupSessions(userId);
+        for (const groupSession of groupSessions) {
+          await groupSessionService.leaveGroupSession(groupSession, userId, 'disconnect');
+        }
+        
         // Notifier les partenaires dans les sessions actives
         const activeSessions = await db.query(`
           SELECT session_id, user1_id, user2_id FROM chat_sessions 
           WHERE (user1_id = $1 OR user2_id = $1) AND status = 'active'
+            AND session_type <> 'group'
         `, [userId]);
         
         for (const session of activeSessions.rows) {
@@ -0,0 +1,264 @@
+// ============================================================================
+// TESTS : BUS D'ÉVÉNEMENTS ET SOCKET.IO ENTRE PROCESSUS (REDIS LOCAL)
+// Fichier : /var/www/libekoo/backend/tests/eventBus.test.js
+// ============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { fork } = require('child_process');
+const { v4: uuidv4 } = require('uuid');
+const { io: connectSocket } = require('socket.io-client');
+
+const redisClient = require('../config/redis');
+const { closeRedis } = require('./helpers/redis');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+const WORKER_PATH = path.join(__dirname, 'fixtures', 'eventBusWorker.js');
+
+// Délai maximal d'attente d'un message d'un processus (en millisecondes)
+const MESSAGE_TIMEOUT_MS = 5000;
+
+let workers = [];
+let sockets = [];
+let redisAvailable = false;
+
+// Utilisateurs notifiés par les tests (caches match:<id> supprimés à la fin)
+const notifiedUserIds = [];
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Lancer une instance du bus dans un processus séparé (messages conservés pour les attentes)
+ */
+function startWorker() {
+  const child = fork(WORKER_PATH, [], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+  const worker = { child, messages: [], waiters: [] };
+  
+  child.on('message', (message) => {
+    worker.messages.push(message);
+    worker.waiters = worker.waiters.filter(waiter => !waiter(message));
+  });
+  
+  return worker;
+}
+
+/**
+ * Attendre un message d'un processus correspondant au filtre
+ */
+function waitForMessage(worker, predicate) {
+  const received = worker.messages.find(predicate);
+  if (received) return Promise.resolve(received);
+  
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Message attendu non reçu')), MESSAGE_TIMEOUT_MS);
+    
+    worker.waiters.push((message) => {
+      if (!predicate(message)) return false;
+      clearTimeout(timer);
+      resolve(message);
+      return true;
+    });
+  });
+}
+
+/**
+ * Envoyer une commande et attendre sa confirmation
+ */
+async function sendCommand(worker, command, confirmationType) {
+  const confirmation = waitForMessage(worker, message =>
+    message.type === confirmationType && message.event === command.event
+  );
+  worker.child.send(command);
+  return confirmation;
+}
+
+/**
+ * Connecter un client Socket.io à une instance (rooms jointes à la connexion)
+ */
+function connectUser(worker, userId, { isAdmin = false } = {}) {
+  const socket = connectSocket(`http://127.0.0.1:${worker.port}`, {
+    auth: { userId, isAdmin },
+    transports: ['websocket'],
+    reconnection: false
+  });
+  sockets.push(socket);
+  
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+/**
+ * Attendre un événement Socket.io sur un client
+ */
+function waitForSocketEvent(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Événement ${event} non reçu`)), MESSAGE_TIMEOUT_MS);
+    
+    socket.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+}
+
+/**
+ * Utilisateur de test tel que placé dans la file de matching
+ */
+function buildQueueUser(userId) {
+  notifiedUserIds.push(userId);
+  
+  return {
+    userId,
+    username: `user_${userId.slice(0, 8)}`,
+    gender: 'non-specifie',
+    country: 'France',
+    city: 'Paris',
+    preferences: {}
+  };
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('eventBus (deux processus partageant Redis)', () => {
+  before(async () => {
+    workers = [startWorker(), startWorker()];
+    
+    const readyMessages = await Promise.all(workers.map(worker =>
+      waitForMessage(worker, message => message.type === 'ready')
+    ));
+    
+    redisAvailable = readyMessages.every(message => message.redisAvailable);
+    readyMessages.forEach((message, index) => {
+      workers[index].port = message.port;
+    });
+  });
+  
+  after(async () => {
+    for (const socket of sockets) {
+      socket.disconnect();
+    }
+    
+    for (const worker of workers) {
+      worker.child.kill();
+    }
+    
+    if (redisAvailable) {
+      for (const userId of notifiedUserIds) {
+        await redisClient.deleteCache(`match:${userId}`);
+      }
+    }
+    
+    // La connexion ouverte empêcherait le processus de test de se terminer
+    await closeRedis();
+  });
+  
+  it('attribue un identifiant distinct à chaque instance', async () => {
+    const [first, second] = await Promise.all(workers.map(worker =>
+      waitForMessage(worker, message => message.type === 'ready')
+    ));
+    
+    assert.notEqual(first.instanceId, second.instanceId);
+  });
+  
+  it('livre un événement publié par une instance à toutes les instances', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const event = `test:${uuidv4()}`;
+    const [publisher, listener] = workers;
+    
+    for (const worker of workers) {
+      const { subscribed } = await sendCommand(worker, { type: 'subscribe', event }, 'subscribed');
+      assert.equal(subscribed, true);
+    }
+    
+    await sendCommand(publisher, { type: 'publish', event, payload: { matchId: 'match_1' } }, 'published');
+    
+    const [local, remote] = await Promise.all([publisher, listener].map(worker =>
+      waitForMessage(worker, message => message.type === 'received' && message.event === event)
+    ));
+    
+    assert.deepEqual(local.payload, { matchId: 'match_1' });
+    assert.equal(local.isLocal, true);
+    assert.deepEqual(remote.payload, { matchId: 'match_1' });
+    assert.equal(remote.isLocal, false);
+  });
+  
+  it('livre chat:new_message émis par une instance au destinataire connecté à l\'autre', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const [instanceA, instanceB] = workers;
+    const recipientId = uuidv4();
+    const sessionId = uuidv4();
+    const recipient = await connectUser(instanceB, recipientId);
+    
+    // Mêmes rooms que POST /api/chat/send-message
+    const received = waitForSocketEvent(recipient, 'chat:new_message');
+    await sendCommand(instanceA, {
+      type: 'emitToRooms',
+      rooms: [`chat_session:${sessionId}`, `user_${recipientId}`],
+      event: 'chat:new_message',
+      payload: { sessionId, content: 'Bonjour' }
+    }, 'emitted');
+    
+    assert.deepEqual(await received, { sessionId, content: 'Bonjour' });
+  });
+  
+  it('livre chat:matched publié par une instance au partenaire connecté à l\'autre', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const [instanceA, instanceB] = workers;
+    const searcher = buildQueueUser(uuidv4());
+    const partner = buildQueueUser(uuidv4());
+    const session = { sessionId: uuidv4(), createdAt: new Date().toISOString(), distance: null };
+    const partnerSocket = await connectUser(instanceB, partner.userId);
+    
+    const received = waitForSocketEvent(partnerSocket, 'chat:matched');
+    await sendCommand(instanceA, {
+      type: 'publishMatch',
+      event: 'chat:matched',
+      user1: searcher,
+      user2: partner,
+      session,
+      matchScore: 0.8
+    }, 'emitted');
+    
+    const payload = await received;
+    assert.equal(payload.matched, true);
+    assert.equal(payload.partnerId, searcher.userId);
+    assert.equal(payload.sessionId, session.sessionId);
+  });
+  
+  it('livre une diffusion admin émise par une instance aux administrateurs connectés à l\'autre', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const [instanceA, instanceB] = workers;
+    const admin = await connectUser(instanceB, uuidv4(), { isAdmin: true });
+    const user = await connectUser(instanceB, uuidv4());
+    
+    let userReceived = false;
+    user.on('admin:user_banned', () => {
+      userReceived = true;
+    });
+    
+    const received = waitForSocketEvent(admin, 'admin:user_banned');
+    const bannedUserId = uuidv4();
+    await sendCommand(instanceA, {
+      type: 'emitToAdmins',
+      event: 'admin:user_banned',
+      payload: { userId: bannedUserId }
+    }, 'emitted');
+    
+    assert.deepEqual(await received, { userId: bannedUserId });
+    assert.equal(userReceived, false);
+  });
+});
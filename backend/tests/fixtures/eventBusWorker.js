@@ -0,0 +1,98 @@
+// ============================================================================
+// PROCESSUS DE TEST : UNE INSTANCE DU BUS D'ÉVÉNEMENTS ET SON SERVEUR SOCKET.IO (PILOTÉE PAR IPC)
+// Fichier : /var/www/libekoo/backend/tests/fixtures/eventBusWorker.js
+// ============================================================================
+
+const http = require('http');
+const { Server } = require('socket.io');
+const eventBus = require('../../services/eventBus');
+const matchingService = require('../../services/matchingService');
+const { isRedisAvailable } = require('../helpers/redis');
+
+// Serveur Socket.io de cette instance : authentification de test (identifiant fourni par le client)
+const server = http.createServer();
+const io = new Server(server);
+
+io.use((socket, next) => {
+  socket.userId = socket.handshake.auth.userId;
+  socket.isAdmin = Boolean(socket.handshake.auth.isAdmin);
+  next();
+});
+
+// Mêmes rooms que server.js (room personnelle) et adminHandler (admin_room)
+io.on('connection', (socket) => {
+  socket.join(`user_${socket.userId}`);
+  if (socket.isAdmin) socket.join('admin_room');
+});
+
+/**
+ * Exécuter une commande reçue du processus de test
+ */
+async function handleCommand(command) {
+  switch (command.type) {
+    case 'subscribe': {
+      const subscribed = await eventBus.subscribe(command.event, (payload, { isLocal }) => {
+        process.send({ type: 'received', event: command.event, payload, isLocal });
+      });
+      process.send({ type: 'subscribed', event: command.event, subscribed });
+      break;
+    }
+    
+    case 'publish':
+      await eventBus.publish(command.event, command.payload);
+      process.send({ type: 'published', event: command.event });
+      break;
+    
+    case 'emitToRooms':
+      await eventBus.emitToRooms(command.rooms, command.event, command.payload);
+      process.send({ type: 'emitted', event: command.event });
+      break;
+    
+    case 'emitToAdmins':
+      await eventBus.emitToAdmins(command.event, command.payload);
+      process.send({ type: 'emitted', event: command.event });
+      break;
+    
+    case 'publishMatch': {
+      const { user1, user2, session, matchScore } = command;
+      await matchingService.publishMatch(user1, user2, session, matchScore, [user1.userId, user2.userId]);
+      process.send({ type: 'emitted', event: command.event });
+      break;
+    }
+    
+    default:
+      process.send({ type: 'error', reason: `Commande inconnue: ${command.type}` });
+  }
+}
+
+process.on('message', (command) => {
+  handleCommand(command).catch(error => {
+    process.send({ type: 'error', reason: error.message });
+  });
+});
+
+/**
+ * Brancher l'adaptateur Redis si Redis répond, puis écouter sur un port libre
+ */
+async function start() {
+  const redisAvailable = await isRedisAvailable();
+  
+  // Sans Redis, la connexion de l'adaptateur attendrait indéfiniment
+  if (redisAvailable) {
+    await eventBus.attachSocketServer(io);
+  }
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  // Signaler au test le port de cette instance et si Redis est joignable
+  process.send({
+    type: 'ready',
+    redisAvailable,
+    instanceId: eventBus.INSTANCE_ID,
+    port: server.address().port
+  });
+}
+
+start().catch(error => {
+  process.send({ type: 'error', reason: error.message });
+});
@@ -0,0 +1,160 @@
+// ============================================================================
+// TESTS : PRÉSENCE EN FILE D'UNE SOCKET CONNECTÉE (REDIS LOCAL)
+// Fichier : /var/www/libekoo/backend/tests/heartbeat.test.js
+// ============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connectSocket } = require('socket.io-client');
+const { v4: uuidv4 } = require('uuid');
+
+const redisClient = require('../config/redis');
+const heartbeatService = require('../services/heartbeatService');
+const matchingService = require('../services/matchingService');
+const { isRedisAvailable, closeRedis } = require('./helpers/redis');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// File visée (type non indexé géographiquement)
+const TEST_MATCH_TYPE = 'random';
+
+// Délais raccourcis pour le test (TTL en secondes entières : EX de Redis)
+heartbeatService.HEARTBEAT_CONFIG.TTL_SECONDS = 1;
+heartbeatService.HEARTBEAT_CONFIG.INTERVAL_SECONDS = 0.25;
+
+// Attente au-delà du TTL (en millisecondes)
+const PAST_TTL_MS = heartbeatService.HEARTBEAT_CONFIG.TTL_SECONDS * 1000 * 2.5;
+
+// Identifiants propres à cette exécution (nettoyage des clés Redis)
+const RUN_ID = `test_${uuidv4()}`;
+
+let redisAvailable = false;
+let server = null;
+let io = null;
+const sockets = [];
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Connecter un client de test (aucun événement envoyé ensuite)
+ */
+function connectUser(userId) {
+  const socket = connectSocket(`http://127.0.0.1:${server.address().port}`, {
+    auth: { userId },
+    transports: ['websocket'],
+    reconnection: false
+  });
+  sockets.push(socket);
+  
+  return new Promise((resolve, reject) => {
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+}
+
+/**
+ * Placer un utilisateur en file (entrée minimale, sans passer par la base)
+ */
+async function queueUser(userId) {
+  const joinedAt = Date.now();
+  
+  await redisClient.client.rPush(`matching_queue:${TEST_MATCH_TYPE}`, JSON.stringify({
+    userId,
+    matchType: TEST_MATCH_TYPE,
+    joinedAt,
+    queueRank: joinedAt
+  }));
+}
+
+/**
+ * Vérifier qu'un utilisateur a encore une entrée dans la file
+ */
+async function isQueued(userId) {
+  const rawEntries = await redisClient.client.lRange(`matching_queue:${TEST_MATCH_TYPE}`, 0, -1);
+  
+  return rawEntries.some(raw => JSON.parse(raw).userId === userId);
+}
+
+/**
+ * Attendre un délai (en millisecondes)
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('heartbeatService.keepAliveWhileConnected', () => {
+  before(async () => {
+    redisAvailable = await isRedisAvailable();
+    
+    // Même branchement que chatHandler, authentification de test
+    server = http.createServer();
+    io = new Server(server);
+    
+    io.use((socket, next) => {
+      socket.userId = socket.handshake.auth.userId;
+      next();
+    });
+    
+    io.on('connection', (socket) => {
+      heartbeatService.keepAliveWhileConnected(socket);
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+  
+  after(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await new Promise(resolve => io.close(resolve));
+    
+    if (redisAvailable) {
+      const rawEntries = await redisClient.client.lRange(`matching_queue:${TEST_MATCH_TYPE}`, 0, -1);
+      for (const raw of rawEntries.filter(raw => raw.includes(RUN_ID))) {
+        await redisClient.client.lRem(`matching_queue:${TEST_MATCH_TYPE}`, 0, raw);
+      }
+      
+      const keys = await redisClient.client.keys(`*${RUN_ID}*`);
+      if (keys.length > 0) await redisClient.client.del(keys);
+    }
+    
+    // La connexion ouverte empêcherait le processus de test de se terminer
+    await closeRedis();
+  });
+  
+  it('garde en file au-delà du TTL une socket connectée qui n\'envoie rien', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const userId = `${RUN_ID}_connected`;
+    await connectUser(userId);
+    await queueUser(userId);
+    
+    await sleep(PAST_TTL_MS);
+    await matchingService.evictStaleEntries();
+    
+    assert.equal(await isQueued(userId), true);
+  });
+  
+  it('cesse de rafraîchir la présence après la déconnexion', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const userId = `${RUN_ID}_disconnected`;
+    const socket = await connectUser(userId);
+    await queueUser(userId);
+    
+    socket.disconnect();
+    
+    await sleep(PAST_TTL_MS);
+    await matchingService.evictStaleEntries();
+    
+    assert.equal(await isQueued(userId), false);
+  });
+});
@@ -0,0 +1,107 @@
+// ============================================================================
+// DOUBLURES DE MODULES POUR LES TESTS (BASE DE DONNÉES, AUTHENTIFICATION)
+// Fichier : /var/www/libekoo/backend/tests/helpers/doubles.js
+// ============================================================================
+
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// En-tête portant l'utilisateur authentifié des requêtes de test
+const TEST_USER_HEADER = 'x-test-user';
+
+// Racine du backend (chemins des modules remplacés)
+const BACKEND_ROOT = path.join(__dirname, '..', '..');
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Remplacer un module du backend (ex. 'config/database') dans le cache de require,
+ * avant le chargement des modules qui en dépendent
+ */
+function replaceModule(modulePath, moduleExports) {
+  const resolved = require.resolve(path.join(BACKEND_ROOT, modulePath));
+  
+  require.cache[resolved] = {
+    id: resolved,
+    filename: resolved,
+    loaded: true,
+    exports: moduleExports
+  };
+}
+
+/**
+ * Base de données en mémoire : utilisateurs connus d'avance, sessions créées conservées.
+ * Les requêtes libres renvoient un compteur nul (COUNT) ou aucune ligne.
+ */
+function createDatabaseDouble(users = new Map()) {
+  const sessions = [];
+  
+  return {
+    sessions,
+    
+    async query(text) {
+      if (/COUNT\(/.test(text) && !/GROUP BY/.test(text)) {
+        return { rows: [{ count: '0' }], rowCount: 1 };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+    
+    // Transaction : les requêtes passent par le même double
+    async transaction(work) {
+      return work(this);
+    },
+    
+    async getUserById(userId) {
+      const user = users.get(userId);
+      return { rows: user ? [user] : [], rowCount: user ? 1 : 0 };
+    },
+    
+    async createChatSession(sessionData) {
+      const session = { ...sessionData, id: uuidv4(), status: 'active', created_at: new Date() };
+      sessions.push(session);
+      return { rows: [session], rowCount: 1 };
+    },
+    
+    async updateUserStatus() {
+      return { rows: [], rowCount: 1 };
+    }
+  };
+}
+
+/**
+ * Module d'authentification dont le middleware lit l'utilisateur dans TEST_USER_HEADER
+ */
+function createAuthDouble(auth) {
+  return {
+    ...auth,
+    authMiddleware(req, res, next) {
+      req.user = {
+        userId: req.get(TEST_USER_HEADER),
+        userType: 'anonymous',
+        permissions: [],
+        isAuthenticated: true
+      };
+      next();
+    }
+  };
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Utilitaires
+  replaceModule,
+  createDatabaseDouble,
+  createAuthDouble,
+  
+  // Configuration
+  TEST_USER_HEADER
+};
@@ -0,0 +1,62 @@
+// ============================================================================
+// UTILITAIRES DES TESTS DÉPENDANT D'UN REDIS LOCAL
+// Fichier : /var/www/libekoo/backend/tests/helpers/redis.js
+// ============================================================================
+
+const redisClient = require('../../config/redis');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// Délai maximal de réponse à PING (un client en reconnexion ne répond jamais)
+const PING_TIMEOUT_MS = 1000;
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Vérifier que Redis répond, dans un délai borné
+ */
+async function isRedisAvailable() {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), PING_TIMEOUT_MS);
+  });
+  
+  const ping = redisClient.client.ping()
+    .then(reply => reply === 'PONG')
+    .catch(() => false);
+  
+  const available = await Promise.race([ping, timeout]);
+  clearTimeout(timer);
+  
+  return available;
+}
+
+/**
+ * Fermer la connexion Redis pour que le processus de test se termine
+ */
+async function closeRedis() {
+  // QUIT attend une connexion prête ; sinon fermeture forcée (reconnexion en cours)
+  if (await isRedisAvailable()) {
+    await redisClient.client.quit();
+    return;
+  }
+  
+  await redisClient.client.disconnect().catch(() => {});
+}
+
+// ============================================================================
+// EXPORT DU MODULE
+// ============================================================================
+
+module.exports = {
+  // Utilitaires
+  isRedisAvailable,
+  closeRedis,
+  
+  // Configuration
+  PING_TIMEOUT_MS
+};
@@ -0,0 +1,181 @@
+// ============================================================================
+// TESTS : RECHERCHES CONCURRENTES SUR POST /find-partner (REDIS LOCAL)
+// Fichier : /var/www/libekoo/backend/tests/matchingConcurrency.test.js
+// ============================================================================
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+
+const {
+  replaceModule,
+  createDatabaseDouble,
+  createAuthDouble,
+  TEST_USER_HEADER
+} = require('./helpers/doubles');
+
+// ============================================================================
+// CONSTANTES
+// ============================================================================
+
+// Nombre de recherches lancées simultanément
+const CONCURRENT_SEARCHES = 300;
+
+// Un utilisateur sur PREVIEW_EVERY demande l'aperçu avant match (proposition au lieu d'une session)
+const PREVIEW_EVERY = 4;
+
+// File visée (type non indexé géographiquement)
+const TEST_MATCH_TYPE = 'random';
+
+// Identifiants propres à cette exécution (nettoyage des clés Redis)
+const RUN_ID = `test_${uuidv4()}`;
+const userIds = Array.from({ length: CONCURRENT_SEARCHES }, (_, index) => `${RUN_ID}_${index}`);
+
+// Utilisateur sans partenaire compatible (personne d'autre n'est de genre 'femme')
+const UNMATCHABLE_USER_ID = `${RUN_ID}_unmatchable`;
+
+/**
+ * Ligne users d'un utilisateur de test
+ */
+function buildUser(userId, matchingPreferences = {}) {
+  return {
+    user_id: userId,
+    username: userId,
+    gender: 'non-specifie',
+    country: 'France',
+    city: 'Paris',
+    preferences: { matching: matchingPreferences },
+    stats: {}
+  };
+}
+
+// Base en mémoire et authentification par en-tête, installées avant le chargement du routeur
+const db = createDatabaseDouble(new Map([
+  ...userIds.map((userId, index) => [userId, buildUser(userId, { matchPreview: index % PREVIEW_EVERY === 0 })]),
+  [UNMATCHABLE_USER_ID, buildUser(UNMATCHABLE_USER_ID, { genderPreference: 'femme' })]
+]));
+
+replaceModule('config/database', db);
+replaceModule('middleware/auth', createAuthDouble(require('../middleware/auth')));
+
+const redisClient = require('../config/redis');
+const matchingRoutes = require('../routes/matching');
+const { isRedisAvailable, closeRedis } = require('./helpers/redis');
+
+let redisAvailable = false;
+let server = null;
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Lancer une recherche pour un utilisateur
+ */
+function search(userId) {
+  return request(server)
+    .post('/api/matching/find-partner')
+    .set(TEST_USER_HEADER, userId)
+    .send({ matchType: TEST_MATCH_TYPE });
+}
+
+/**
+ * Utilisateurs de cette exécution encore présents dans la file (une entrée par présence)
+ */
+async function getQueuedUserIds() {
+  const rawEntries = await redisClient.client.lRange(`matching_queue:${TEST_MATCH_TYPE}`, 0, -1);
+  
+  return rawEntries
+    .map(raw => JSON.parse(raw).userId)
+    .filter(userId => userId.startsWith(RUN_ID));
+}
+
+/**
+ * Utilisateurs des propositions créées par les recherches (aperçu avant match)
+ */
+async function getProposedUserIds(responses) {
+  const proposalIds = responses
+    .filter(response => response.body.proposed)
+    .map(response => response.body.proposalId);
+  
+  const proposals = await Promise.all(proposalIds.map(proposalId =>
+    redisClient.getCache(`match_proposal:${proposalId}`)
+  ));
+  
+  return proposals.flatMap(proposal => proposal.users.map(user => user.userId));
+}
+
+// ============================================================================
+// TESTS
+// ============================================================================
+
+describe('POST /api/matching/find-partner (recherches concurrentes)', () => {
+  before(async () => {
+    redisAvailable = await isRedisAvailable();
+    
+    const app = express();
+    app.use(express.json());
+    app.use('/api/matching', matchingRoutes);
+    
+    server = app.listen(0);
+  });
+  
+  after(async () => {
+    server.close();
+    
+    if (redisAvailable) {
+      for (const userId of [...userIds, UNMATCHABLE_USER_ID]) {
+        await redisClient.removeFromMatchingQueue(userId, TEST_MATCH_TYPE);
+      }
+      
+      const keys = await redisClient.client.keys(`*${RUN_ID}*`);
+      if (keys.length > 0) await redisClient.client.del(keys);
+    }
+    
+    // La connexion ouverte empêcherait le processus de test de se terminer
+    await closeRedis();
+  });
+  
+  it('n\'apparie jamais un utilisateur deux fois', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const responses = await Promise.all(userIds.map(search));
+    
+    assert.ok(responses.every(response => response.status === 200), 'recherche refusée');
+    
+    // Sessions créées et propositions en attente : chaque utilisateur dans une seule paire
+    const sessionUserIds = db.sessions.flatMap(session => [session.user1_id, session.user2_id]);
+    const pairedUserIds = [...sessionUserIds, ...await getProposedUserIds(responses)];
+    const queuedUserIds = await getQueuedUserIds();
+    
+    assert.equal(new Set(pairedUserIds).size, pairedUserIds.length, 'utilisateur dans deux paires');
+    assert.equal(new Set(queuedUserIds).size, queuedUserIds.length, 'utilisateur en file deux fois');
+    assert.ok(queuedUserIds.every(userId => !pairedUserIds.includes(userId)), 'utilisateur apparié encore en file');
+    
+    // Chaque utilisateur est soit apparié (par sa recherche ou celle d'un autre), soit en file
+    assert.equal(pairedUserIds.length + queuedUserIds.length, userIds.length);
+    
+    // Un match immédiat correspond à une session dont le demandeur est user1
+    const searcherIds = new Set(db.sessions.map(session => session.user1_id));
+    for (const [index, response] of responses.entries()) {
+      assert.equal(response.body.matched, searcherIds.has(userIds[index]), userIds[index]);
+    }
+  });
+  
+  it('ne duplique pas l\'entrée d\'un utilisateur déjà en file qui relance sa recherche', async (t) => {
+    if (!redisAvailable) return t.skip('Redis local indisponible');
+    
+    const first = await search(UNMATCHABLE_USER_ID);
+    assert.equal(first.body.matched, false);
+    
+    // Marqueur de recherche expiré : nouvelle recherche alors que l'entrée attend toujours
+    await redisClient.deleteCache(`searching:${UNMATCHABLE_USER_ID}`);
+    const second = await search(UNMATCHABLE_USER_ID);
+    assert.equal(second.body.matched, false);
+    
+    const queuedUserIds = await getQueuedUserIds();
+    assert.equal(queuedUserIds.filter(userId => userId === UNMATCHABLE_USER_ID).length, 1);
+  });
+});
@@ -0,0 +1,110 @@
+// ============================================================================
+// TESTS : REJEU DÉTERMINISTE DES FILES (STRATÉGIES DE MATCHING)
+// Fichier : /var/www/libekoo/backend/tests/matchingStrategies.test.js
+// ============================================================================
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const matchingStrategies = require('../services/matchingStrategies');
+const { passesPreferenceFilters } = require('../services/matchingScoring');
+
+// ============================================================================
+// FONCTIONS UTILITAIRES
+// ============================================================================
+
+/**
+ * Charger une file enregistrée (tests/fixtures/queues)
+ */
+function loadRecording(name) {
+  return require(path.join(__dirname, 'fixtures', 'queues', `${name}.json`));
+}
+
+/**
+ * Paires sous forme comparable (identifiants triés)
+ */
+function pairIds(result) {
+  return result.pairs.map(pair => [pair.user1Id, pair.user2Id].sort());
+}
+
+// ============================================================================
+// CONFIGURATION DES STRATÉGIES
+// ============================================================================
+
+describe('getStrategyForType', () => {
+  it('associe chaque type de match à sa stratégie', () => {
+    assert.equal(matchingStrategies.getStrategyForType('random').name, 'random');
+    assert.equal(matchingStrategies.getStrategyForType('local').name, 'proximity');
+    assert.equal(matchingStrategies.getStrategyForType('group').name, 'interest');
+  });
+  
+  it('utilise la stratégie par défaut pour un type inconnu', () => {
+    assert.equal(
+      matchingStrategies.getStrategyForType('inconnu').name,
+      matchingStrategies.STRATEGY_CONFIG.DEFAULT_STRATEGY
+    );
+  });
+});
+
+// ============================================================================
+// REJEU DES FILES ENREGISTRÉES
+// ============================================================================
+
+describe('replayQueue', () => {
+  it('donne les mêmes paires pour la même graine', () => {
+    const recording = loadRecording('random-gender-preferences');
+    
+    const first = matchingStrategies.replayQueue(recording, { seed: 'graine-1' });
+    const second = matchingStrategies.replayQueue(recording, { seed: 'graine-1' });
+    
+    assert.equal(first.strategy, 'random');
+    assert.deepEqual(second, first);
+  });
+  
+  it('ne forme que des paires compatibles, sans utilisateur en double', () => {
+    const recording = loadRecording('random-gender-preferences');
+    const usersById = new Map(recording.entries.map(entry => [entry.userId, entry]));
+    
+    for (const seed of ['a', 'b', 'c', 'd', 'e']) {
+      const result = matchingStrategies.replayQueue(recording, { seed });
+      const seen = [...result.unmatched];
+      
+      for (const pair of result.pairs) {
+        const user1 = usersById.get(pair.user1Id);
+        const user2 = usersById.get(pair.user2Id);
+        
+        assert.ok(passesPreferenceFilters(user1, user2, null, recording.recordedAt), `${pair.user1Id}/${pair.user2Id}`);
+        seen.push(pair.user1Id, pair.user2Id);
+      }
+      
+      assert.equal(new Set(seen).size, recording.entries.length);
+      assert.equal(seen.length, recording.entries.length);
+    }
+  });
+  
+  it('privilégie les centres d\'intérêt communs avec la stratégie interest', () => {
+    const recording = loadRecording('random-gender-preferences');
+    const result = matchingStrategies.replayQueue(recording, { strategyName: 'interest' });
+    
+    assert.equal(result.strategy, 'interest');
+    assert.deepEqual(pairIds(result), [
+      ['user_alice', 'user_eric'],
+      ['user_chloe', 'user_dana'],
+      ['user_bruno', 'user_farid']
+    ]);
+    assert.deepEqual(result.unmatched, []);
+  });
+  
+  it('apparie les utilisateurs d\'une même ville avec la stratégie proximity', () => {
+    const recording = loadRecording('local-three-cities');
+    const result = matchingStrategies.replayQueue(recording);
+    
+    assert.equal(result.strategy, 'proximity');
+    assert.deepEqual(pairIds(result), [
+      ['user_paris_a', 'user_paris_b'],
+      ['user_lyon_a', 'user_lyon_b']
+    ]);
+    assert.deepEqual(result.unmatched, ['user_marseille_a']);
+  });
+});
@@ -0,0 +1,25 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 001 : BLOCAGES ENTRE UTILISATEURS
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/001_user_blocks.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    
+    -- Utilisateur qui bloque et utilisateur bloqué
+    blocker_id TEXT NOT NULL,
+    blocked_id TEXT NOT NULL,
+    
+    -- Origine du blocage
+    reason TEXT DEFAULT 'manual' CHECK (reason IN ('manual', 'report', 'skip')),
+    source_session_id TEXT,
+    
+    -- Timestamp
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (blocker_id, blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker ON user_blocks(blocker_id);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
@@ -0,0 +1,23 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 002 : PARTICIPANTS DES SESSIONS DE GROUPE
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/002_group_session_participants.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS chat_session_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    
+    -- Membre
+    user_id TEXT NOT NULL,
+    username TEXT,
+    
+    -- Présence dans le groupe
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    left_at TIMESTAMPTZ,
+    
+    UNIQUE (session_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_participants_session ON chat_session_participants(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_participants_user ON chat_session_participants(user_id) WHERE left_at IS NULL;
@@ -0,0 +1,12 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 003 : EXPÉRIMENTATIONS A/B DU MATCHING
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/003_chat_session_experiments.sql
+-- ============================================================================
+
+-- Expérimentation A/B du matching (variante de l'utilisateur à l'origine du match)
+ALTER TABLE chat_sessions
+    ADD COLUMN IF NOT EXISTS experiment_id TEXT,
+    ADD COLUMN IF NOT EXISTS experiment_variant TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_chat_sessions_experiment ON chat_sessions(experiment_id, experiment_variant) WHERE experiment_id IS NOT NULL;
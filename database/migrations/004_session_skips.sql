@@ -0,0 +1,50 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 004 : SKIPS DE SESSION PAR PARTICIPANT
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/004_session_skips.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS session_skips (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    
+    -- Auteur du skip (next / fin de session) et partenaire écarté
+    skipped_by TEXT NOT NULL,
+    skipped_user_id TEXT NOT NULL,
+    reason TEXT CHECK (reason IN ('boring', 'language', 'inappropriate', 'bot', 'other')),
+    
+    -- Temps écoulé depuis le début de la session au moment du skip
+    elapsed_seconds INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (session_id, skipped_by)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_skips_skipped_user ON session_skips(skipped_user_id, created_at);
+
+-- Reprise des skips enregistrés sur chat_sessions (un seul par session) avant suppression des colonnes
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'chat_sessions' AND column_name = 'skipped_by'
+    ) THEN
+        INSERT INTO session_skips (session_id, skipped_by, skipped_user_id, reason, elapsed_seconds, created_at)
+        SELECT session_id,
+               skipped_by,
+               CASE WHEN skipped_by = user1_id THEN user2_id ELSE user1_id END,
+               skip_reason,
+               COALESCE(duration_seconds, 0),
+               COALESCE(ended_at, created_at)
+        FROM chat_sessions
+        WHERE skipped_by IS NOT NULL
+          AND skipped_by IN (user1_id, user2_id)
+        ON CONFLICT (session_id, skipped_by) DO NOTHING;
+    END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_chat_sessions_skipped_by;
+
+ALTER TABLE chat_sessions
+    DROP COLUMN IF EXISTS skipped_by,
+    DROP COLUMN IF EXISTS skip_reason;
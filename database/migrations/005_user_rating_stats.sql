@@ -0,0 +1,18 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 005 : COMPTEURS DE NOTES DANS LES STATISTIQUES
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/005_user_rating_stats.sql
+-- ============================================================================
+
+-- Les utilisateurs existants reçoivent les compteurs à leur première note (COALESCE côté service)
+ALTER TABLE users ALTER COLUMN stats SET DEFAULT '{
+    "total_chats": 0,
+    "total_video_calls": 0,
+    "total_messages": 0,
+    "total_friends": 0,
+    "total_time_minutes": 0,
+    "reports_received": 0,
+    "reports_sent": 0,
+    "ratings_received": 0,
+    "ratings_sum": 0
+}';
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 006 : MODIFICATION DES MESSAGES PAR L'EXPÉDITEUR
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/006_message_edits.sql
+-- ============================================================================
+
+-- Modification par l'expéditeur (historique dans message_edits)
+ALTER TABLE messages
+    ADD COLUMN IF NOT EXISTS is_edited BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS message_edits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    
+    -- Contenu avant et après modification
+    previous_content TEXT NOT NULL,
+    new_content TEXT NOT NULL,
+    
+    edited_by TEXT NOT NULL,
+    edited_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id, edited_at);
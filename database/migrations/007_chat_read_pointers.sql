@@ -0,0 +1,23 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 007 : POINTEURS DE LECTURE (ACCUSÉS DE RÉCEPTION ET DE LECTURE)
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/007_chat_read_pointers.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS chat_read_pointers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    
+    -- Dernier message reçu (sent_at du message, pour comparer)
+    last_delivered_message_id TEXT,
+    last_delivered_at TIMESTAMPTZ,
+    
+    -- Dernier message lu
+    last_read_message_id TEXT,
+    last_read_at TIMESTAMPTZ,
+    
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (session_id, user_id)
+);
@@ -0,0 +1,62 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 008 : PIÈCES JOINTES DES MESSAGES
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/008_message_attachments.sql
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    uploader_id TEXT NOT NULL,
+    
+    -- Fichier (type détecté à partir du contenu, pas du nom)
+    kind TEXT NOT NULL CHECK (kind IN ('image', 'file')),
+    mime_type TEXT NOT NULL,
+    original_name TEXT,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    
+    -- Stockage
+    storage_driver TEXT NOT NULL DEFAULT 'local',
+    storage_key TEXT NOT NULL,
+    thumbnail_key TEXT,
+    
+    -- File de modération
+    moderation_status TEXT DEFAULT 'pending' CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+    moderated_by TEXT,
+    moderated_at TIMESTAMPTZ,
+    rejection_reason TEXT,
+    
+    -- Réservée par un message (un seul envoi possible)
+    linked_at TIMESTAMPTZ,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Tables créées avant la réservation atomique des pièces jointes
+ALTER TABLE message_attachments ADD COLUMN IF NOT EXISTS linked_at TIMESTAMPTZ;
+
+-- Pièce jointe des messages 'image' et 'file'
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS attachment_id UUID UNIQUE;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'messages_attachment_id_fkey'
+    ) THEN
+        ALTER TABLE messages
+            ADD CONSTRAINT messages_attachment_id_fkey
+            FOREIGN KEY (attachment_id) REFERENCES message_attachments(id) ON DELETE SET NULL;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_attachments_pending ON message_attachments(created_at) WHERE moderation_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_attachments_session ON message_attachments(session_id);
+
+-- Pièces jointes déjà envoyées : réservées à la date de leur message
+UPDATE message_attachments
+SET linked_at = m.sent_at
+FROM messages m
+WHERE m.attachment_id = message_attachments.id
+  AND message_attachments.linked_at IS NULL;
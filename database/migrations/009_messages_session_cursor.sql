@@ -0,0 +1,7 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 009 : INDEX DE PAGINATION PAR CURSEUR DES MESSAGES
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/009_messages_session_cursor.sql
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_messages_session_cursor ON messages(session_id, sent_at, message_id);
@@ -0,0 +1,9 @@
+-- ============================================================================
+-- LIBEKOO - MIGRATION 011 : RÉPONSES AUX MESSAGES
+-- Rejouable : les bases déjà à jour ne sont pas modifiées
+-- Fichier : /var/www/libekoo/database/migrations/011_message_replies.sql
+-- ============================================================================
+
+-- Réponse à un message de la même session (message_id public, conservé
+-- sans clé étrangère pour afficher un remplaçant si l'original est purgé)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to_message_id TEXT;
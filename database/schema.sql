@@ -42,7 +42,9 @@ CREATE TABLE users (
         "total_friends": 0,
         "total_time_minutes": 0,
         "reports_received": 0,
-        "reports_sent": 0
+        "reports_sent": 0,
+        "ratings_received": 0,
+        "ratings_sum": 0
     }',
     
     -- Gamification
@@ -85,6 +87,10 @@ CREATE TABLE chat_sessions (
     user2_city TEXT,
     geographic_distance_km INTEGER,
     
+    -- Expérimentation A/B du matching (variante de l'utilisateur à l'origine du match)
+    experiment_id TEXT,
+    experiment_variant TEXT,
+    
     -- Statistiques session
     message_count INTEGER DEFAULT 0,
     duration_seconds INTEGER DEFAULT 0,
@@ -127,9 +133,20 @@ CREATE TABLE messages (
     metadata JSONB DEFAULT '{}',
     language_detected TEXT,
     
+    -- Pièce jointe des messages 'image' et 'file' (message_attachments)
+    attachment_id UUID UNIQUE,
+    
+    -- Réponse à un message de la même session (message_id public, conservé
+    -- sans clé étrangère pour afficher un remplaçant si l'original est purgé)
+    reply_to_message_id TEXT,
+    
     -- Timestamps
     sent_at TIMESTAMPTZ DEFAULT NOW(),
     
+    -- Modification par l'expéditeur (historique dans message_edits)
+    is_edited BOOLEAN DEFAULT FALSE,
+    edited_at TIMESTAMPTZ,
+    
     -- Modération automatique
     toxicity_score FLOAT DEFAULT 0.0, -- 0.0 = sain, 1.0 = toxique
     contains_personal_info BOOLEAN DEFAULT FALSE,
@@ -203,7 +220,7 @@ CREATE TABLE admin_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     admin_id TEXT NOT NULL,
     action TEXT NOT NULL,
-    target_type TEXT NOT NULL, -- 'user', 'session', 'message', 'ip'
+    target_type TEXT NOT NULL, -- 'user', 'session', 'message', 'attachment', 'ip'
     target_id TEXT NOT NULL,
     
     -- Détails de l'action
@@ -370,6 +387,149 @@ CREATE TABLE revenue_tracking (
     processed_at TIMESTAMPTZ
 );
 
+-- ============================================================================
+-- 11. TABLE BLOCAGES ENTRE UTILISATEURS
+-- ============================================================================
+CREATE TABLE user_blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    
+    -- Utilisateur qui bloque et utilisateur bloqué
+    blocker_id TEXT NOT NULL,
+    blocked_id TEXT NOT NULL,
+    
+    -- Origine du blocage
+    reason TEXT DEFAULT 'manual' CHECK (reason IN ('manual', 'report', 'skip')),
+    source_session_id TEXT,
+    
+    -- Timestamp
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (blocker_id, blocked_id)
+);
+
+-- ============================================================================
+-- 12. TABLE PARTICIPANTS DES SESSIONS DE GROUPE
+-- ============================================================================
+CREATE TABLE chat_session_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    
+    -- Membre
+    user_id TEXT NOT NULL,
+    username TEXT,
+    
+    -- Présence dans le groupe
+    joined_at TIMESTAMPTZ DEFAULT NOW(),
+    left_at TIMESTAMPTZ,
+    
+    UNIQUE (session_id, user_id)
+);
+
+-- ============================================================================
+-- 13. TABLE HISTORIQUE DES MODIFICATIONS DE MESSAGES (Modération)
+-- ============================================================================
+CREATE TABLE message_edits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    
+    -- Contenu avant et après modification
+    previous_content TEXT NOT NULL,
+    new_content TEXT NOT NULL,
+    
+    edited_by TEXT NOT NULL,
+    edited_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================================================
+-- 14. TABLE POINTEURS DE LECTURE (Accusés de réception et de lecture)
+-- ============================================================================
+CREATE TABLE chat_read_pointers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    
+    -- Dernier message reçu (sent_at du message, pour comparer)
+    last_delivered_message_id TEXT,
+    last_delivered_at TIMESTAMPTZ,
+    
+    -- Dernier message lu
+    last_read_message_id TEXT,
+    last_read_at TIMESTAMPTZ,
+    
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (session_id, user_id)
+);
+
+-- ============================================================================
+-- 15. TABLE PIÈCES JOINTES (Images et fichiers, modérés avant diffusion)
+-- ============================================================================
+CREATE TABLE message_attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    uploader_id TEXT NOT NULL,
+    
+    -- Fichier (type détecté à partir du contenu, pas du nom)
+    kind TEXT NOT NULL CHECK (kind IN ('image', 'file')),
+    mime_type TEXT NOT NULL,
+    original_name TEXT,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    
+    -- Stockage
+    storage_driver TEXT NOT NULL DEFAULT 'local',
+    storage_key TEXT NOT NULL,
+    thumbnail_key TEXT,
+    
+    -- File de modération
+    moderation_status TEXT DEFAULT 'pending' CHECK (moderation_status IN ('pending', 'approved', 'rejected')),
+    moderated_by TEXT,
+    moderated_at TIMESTAMPTZ,
+    rejection_reason TEXT,
+    
+    -- Réservée par un message (un seul envoi possible)
+    linked_at TIMESTAMPTZ,
+    
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE messages
+    ADD CONSTRAINT messages_attachment_id_fkey
+    FOREIGN KEY (attachment_id) REFERENCES message_attachments(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- 16. TABLE RÉACTIONS AUX MESSAGES
+-- ============================================================================
+CREATE TABLE message_reactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    emoji TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (message_id, user_id, emoji)
+);
+
+-- ============================================================================
+-- 17. TABLE SKIPS DE SESSION (Raison donnée par chaque participant)
+-- ============================================================================
+CREATE TABLE session_skips (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id TEXT NOT NULL REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+    
+    -- Auteur du skip (next / fin de session) et partenaire écarté
+    skipped_by TEXT NOT NULL,
+    skipped_user_id TEXT NOT NULL,
+    reason TEXT CHECK (reason IN ('boring', 'language', 'inappropriate', 'bot', 'other')),
+    
+    -- Temps écoulé depuis le début de la session au moment du skip
+    elapsed_seconds INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    
+    UNIQUE (session_id, skipped_by)
+);
+
 -- ============================================================================
 -- INDEX POUR PERFORMANCE
 -- ============================================================================
@@ -389,9 +549,11 @@ CREATE INDEX idx_chat_sessions_status ON chat_sessions(status);
 CREATE INDEX idx_chat_sessions_type ON chat_sessions(session_type);
 CREATE INDEX idx_chat_sessions_location ON chat_sessions(user1_country, user1_city);
 CREATE INDEX idx_chat_sessions_created_at ON chat_sessions(created_at);
+CREATE INDEX idx_chat_sessions_experiment ON chat_sessions(experiment_id, experiment_variant) WHERE experiment_id IS NOT NULL;
 
 -- Messages
 CREATE INDEX idx_messages_session_id ON messages(session_id);
+CREATE INDEX idx_messages_session_cursor ON messages(session_id, sent_at, message_id);
 CREATE INDEX idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX idx_messages_sent_at ON messages(sent_at);
 CREATE INDEX idx_messages_toxicity ON messages(toxicity_score);
@@ -428,6 +590,27 @@ CREATE INDEX idx_user_locations_coords ON user_locations(latitude, longitude);
 -- Analytics
 CREATE INDEX idx_analytics_period ON analytics(period_type, period_start);
 
+-- User Blocks
+CREATE INDEX idx_user_blocks_blocker ON user_blocks(blocker_id);
+CREATE INDEX idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+-- Chat Session Participants
+CREATE INDEX idx_session_participants_session ON chat_session_participants(session_id);
+CREATE INDEX idx_session_participants_user ON chat_session_participants(user_id) WHERE left_at IS NULL;
+
+-- Message Edits
+CREATE INDEX idx_message_edits_message ON message_edits(message_id, edited_at);
+
+-- Message Attachments
+CREATE INDEX idx_attachments_pending ON message_attachments(created_at) WHERE moderation_status = 'pending';
+CREATE INDEX idx_attachments_session ON message_attachments(session_id);
+
+-- Message Reactions
+CREATE INDEX idx_message_reactions_message ON message_reactions(message_id);
+
+-- Session Skips
+CREATE INDEX idx_session_skips_skipped_user ON session_skips(skipped_user_id, created_at);
+
 -- ============================================================================
 -- TRIGGERS POUR MISE À JOUR AUTOMATIQUE
 -- ============================================================================
@@ -286,6 +286,13 @@ setup_database() {
         warning "Fichier de schéma non trouvé"
     fi
     
+    # Migrations rejouables (dans l'ordre) pour les bases créées avec un schéma antérieur
+    for migration in $PROJECT_DIR/database/migrations/*.sql; do
+        [ -f "$migration" ] || continue
+        sudo -u postgres psql -d libekoo_db -v ON_ERROR_STOP=1 -f "$migration" || error "Échec de la migration $(basename $migration)"
+    done
+    success "Migrations appliquées"
+    
     success "Base de données configurée"
 }
 